@@ -1,663 +1,7222 @@
-const express    = require('express');
-const dotenv     = require('dotenv');
-const cors       = require('cors');
-const axios      = require('axios');
-const crypto     = require('crypto');
-const admin      = require('firebase-admin');
-const cloudinary = require('cloudinary').v2;
+const express     = require('express');
+const dotenv      = require('dotenv');
+const cors        = require('cors');
+const axios       = require('axios');
+const crypto      = require('crypto');
+const admin       = require('firebase-admin');
+const cloudinary  = require('cloudinary').v2;
+const PDFDocument = require('pdfkit');
+const nodemailer  = require('nodemailer');
+const multer      = require('multer');
+const promClient  = require('prom-client');
+const { AsyncLocalStorage } = require('async_hooks');
 
 dotenv.config();
 
+// ============================================
+// CONFIG
+// Every environment variable is declared in CONFIG_SCHEMA, parsed and checked
+// once at boot: anything missing or malformed stops the server with the full
+// list of problems instead of surfacing on the first payment.  The rest of
+// the file reads `config`, never process.env.
+//
+// APP_ENV names the environment — development, sandbox or production (the
+// default).  It supplies the provider base URLs, the public backend URL (and
+// so the payment redirect), whether test or live provider keys are expected,
+// and which credentials are mandatory; in development a missing credential
+// is only a warning.  Each preset can still be overridden by its own
+// variable (MONNIFY_BASE_URL, BACKEND_URL, …).
+//
+// GET /api/admin/config shows the effective settings with secrets redacted.
+// ============================================
+const ENVIRONMENTS = {
+  development: {
+    monnifyBaseUrl:  'https://sandbox.monnify.com',
+    paystackBaseUrl: 'https://api.paystack.co',
+    backendUrl:      (env) => `http://localhost:${env.PORT || 3000}`,
+    trustProxy:      null,   // direct connections
+    liveKeys:        false,
+  },
+  sandbox: {
+    monnifyBaseUrl:  'https://sandbox.monnify.com',
+    paystackBaseUrl: 'https://api.paystack.co',
+    backendUrl:      null,   // BACKEND_URL required
+    trustProxy:      1,      // behind the platform's load balancer
+    liveKeys:        false,
+  },
+  production: {
+    monnifyBaseUrl:  'https://api.monnify.com',
+    paystackBaseUrl: 'https://api.paystack.co',
+    backendUrl:      'https://callondemand-backend.onrender.com',
+    trustProxy:      1,
+    liveKeys:        true,
+  },
+};
+
+const DEPLOYED       = ['sandbox', 'production'];
+const PROVIDER_NAMES = ['monnify', 'paystack'];
+
+// Leaves: `env` (the variable), `type`, and a `default`, a `preset` (taken
+// from ENVIRONMENTS) or `required` — true, or the environments that need it.
+// `secret` values are redacted in the admin view, `account` ones masked.
+const CONFIG_SCHEMA = {
+  server: {
+    port:               { env: 'PORT',                 type: 'port', default: 3000 },
+    backendUrl:         { env: 'BACKEND_URL',          type: 'url',  preset: 'backendUrl', required: DEPLOYED },
+    paymentRedirectUrl: { env: 'PAYMENT_REDIRECT_URL', type: 'url' },   // default <backendUrl>/payment/done
+    trustProxy:         { env: 'TRUST_PROXY',          type: 'int',  preset: 'trustProxy' },   // proxy hops before us
+  },
+  logging: {
+    level:        { env: 'LOG_LEVEL',     type: 'enum',   values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    format:       { env: 'LOG_FORMAT',    type: 'enum',   values: ['json', 'pretty'], default: 'json' },
+    metricsToken: { env: 'METRICS_TOKEN', type: 'string', secret: true },
+  },
+  firebase: {
+    credentials: { env: 'FIREBASE_CREDENTIALS_JSON', type: 'json', required: true, secret: true },
+  },
+  // With MONNIFY_SIMULATOR=true the `simulated` values stand in for unset ones.
+  monnify: {
+    baseUrl:             { env: 'MONNIFY_BASE_URL',              type: 'url',     preset: 'monnifyBaseUrl',
+                           simulated: (env) => `http://127.0.0.1:${env.PORT || 3000}/simulator/monnify` },
+    apiKey:              { env: 'MONNIFY_API_KEY',               type: 'string',  required: DEPLOYED, secret: true,
+                           simulated: 'MK_TEST_SIMULATOR' },
+    secretKey:           { env: 'MONNIFY_SECRET_KEY',            type: 'string',  required: DEPLOYED, secret: true,
+                           simulated: 'simulator-secret' },
+    contractCode:        { env: 'MONNIFY_CONTRACT_CODE',         type: 'string',  required: DEPLOYED,
+                           simulated: 'SIMULATOR' },
+    walletAccountNumber: { env: 'MONNIFY_WALLET_ACCOUNT_NUMBER', type: 'string',  required: DEPLOYED, account: true,
+                           simulated: '9900000001' },
+    timeoutMs:           { env: 'MONNIFY_TIMEOUT_MS',            type: 'int',     default: 15000 },
+    payoutTimeoutMs:     { env: 'MONNIFY_PAYOUT_TIMEOUT_MS',     type: 'int',     default: 30000 },
+    simulator:           { env: 'MONNIFY_SIMULATOR',             type: 'boolean', default: false },
+    simulatorSettleMs:   { env: 'MONNIFY_SIMULATOR_SETTLE_MS',   type: 'int',     default: 2000 },
+  },
+  paystack: {
+    baseUrl:         { env: 'PAYSTACK_BASE_URL',          type: 'url',    preset: 'paystackBaseUrl' },
+    secretKey:       { env: 'PAYSTACK_SECRET_KEY',        type: 'string', secret: true },   // required once routed to
+    timeoutMs:       { env: 'PAYSTACK_TIMEOUT_MS',        type: 'int',    default: 15000 },
+    payoutTimeoutMs: { env: 'PAYSTACK_PAYOUT_TIMEOUT_MS', type: 'int',    default: 30000 },
+  },
+  payments: {
+    provider:         { env: 'PAYMENT_PROVIDER',                  type: 'enum', values: PROVIDER_NAMES, default: 'monnify' },
+    checkout:         { env: 'PAYMENT_PROVIDER_CHECKOUT',         type: 'enum', values: PROVIDER_NAMES },
+    payout:           { env: 'PAYMENT_PROVIDER_PAYOUT',           type: 'enum', values: PROVIDER_NAMES },
+    resolve:          { env: 'PAYMENT_PROVIDER_RESOLVE',          type: 'enum', values: PROVIDER_NAMES },
+    banks:            { env: 'PAYMENT_PROVIDER_BANKS',            type: 'enum', values: PROVIDER_NAMES },
+    virtual_accounts: { env: 'PAYMENT_PROVIDER_VIRTUAL_ACCOUNTS', type: 'enum', values: PROVIDER_NAMES },
+  },
+  cloudinary: {
+    cloudName: { env: 'CLOUDINARY_CLOUD_NAME', type: 'string', required: DEPLOYED },
+    apiKey:    { env: 'CLOUDINARY_API_KEY',    type: 'string', required: DEPLOYED },
+    apiSecret: { env: 'CLOUDINARY_API_SECRET', type: 'string', required: DEPLOYED, secret: true },
+  },
+  smtp: {
+    host:   { env: 'SMTP_HOST',   type: 'string' },
+    port:   { env: 'SMTP_PORT',   type: 'port',    default: 587 },
+    secure: { env: 'SMTP_SECURE', type: 'boolean', default: false },
+    user:   { env: 'SMTP_USER',   type: 'string' },
+    pass:   { env: 'SMTP_PASS',   type: 'string',  secret: true },
+    from:   { env: 'MAIL_FROM',   type: 'string',  default: 'CallOnDemand <no-reply@callondemand.app>' },
+  },
+  kyc: {
+    provider:   { env: 'KYC_PROVIDER',    type: 'enum',   values: ['monnify', 'stub'], default: 'monnify' },
+    hashKey:    { env: 'KYC_HASH_KEY',    type: 'string', required: DEPLOYED, secret: true },
+    tierLimits: { env: 'KYC_TIER_LIMITS', type: 'json',   default: {} },
+  },
+  risk: {
+    withdrawalsPerHour: { env: 'WITHDRAWALS_PER_HOUR', type: 'int',    default: 5 },
+    newPayeeMaxAmount:  { env: 'NEW_PAYEE_MAX_AMOUNT', type: 'number', default: 20000 },
+    amountLimits:       { env: 'AMOUNT_LIMITS',        type: 'json',   default: {} },
+  },
+  rateLimits: {
+    enabled:  { env: 'RATE_LIMIT_ENABLED',  type: 'boolean', default: true },
+    store:    { env: 'RATE_LIMIT_STORE',    type: 'enum',    values: ['memory', 'firestore'], default: 'memory' },
+    policies: { env: 'RATE_LIMIT_POLICIES', type: 'json',    default: {} },
+  },
+  workers: {
+    reconcileEnabled:    { env: 'RECONCILE_ENABLED',     type: 'boolean', default: true },
+    reconcileIntervalMs: { env: 'RECONCILE_INTERVAL_MS', type: 'int',     default: 5 * 60 * 1000 },
+    reconcileStaleMs:    { env: 'RECONCILE_STALE_MS',    type: 'int',     default: 10 * 60 * 1000 },
+    autopayEnabled:      { env: 'AUTOPAY_ENABLED',       type: 'boolean', default: true },
+    autopayIntervalMs:   { env: 'AUTOPAY_INTERVAL_MS',   type: 'int',     default: 60 * 1000 },
+    pushDeliveryEnabled: { env: 'PUSH_DELIVERY_ENABLED', type: 'boolean', default: true },
+    pushIntervalMs:      { env: 'PUSH_INTERVAL_MS',      type: 'int',     default: 15 * 1000 },
+    vasCatalogueRefresh: { env: 'VAS_CATALOGUE_REFRESH', type: 'boolean', default: true },
+    vasCatalogueTtlMs:   { env: 'VAS_CATALOGUE_TTL_MS',  type: 'int',     default: 6 * 60 * 60 * 1000 },
+  },
+};
+
+// Each parser returns the value or throws with what is wrong with it.
+const CONFIG_TYPES = {
+  string: (raw) => raw,
+  int: (raw) => {
+    if (!/^\d+$/.test(raw) || Number(raw) <= 0) throw new Error('must be a positive whole number');
+    return Number(raw);
+  },
+  number: (raw) => {
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= 0) throw new Error('must be a positive number');
+    return value;
+  },
+  port: (raw) => {
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 1 || value > 65535) throw new Error('must be a port number');
+    return value;
+  },
+  boolean: (raw) => {
+    if (raw === 'true')  return true;
+    if (raw === 'false') return false;
+    throw new Error('must be true or false');
+  },
+  enum: (raw, spec) => {
+    if (!spec.values.includes(raw)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+    return raw;
+  },
+  url: (raw) => {
+    let url;
+    try { url = new URL(raw); } catch { throw new Error('must be a URL'); }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('must be an http(s) URL');
+    return raw.replace(/\/+$/, '');
+  },
+  json: (raw) => {
+    try { return JSON.parse(raw); } catch { throw new Error('must be valid JSON'); }
+  },
+};
+
+// Which mode a provider key is for, from its prefix: true live, false test,
+// null when the prefix is not one we know.
+const keyIsLive = (key, livePrefix, testPrefix) =>
+  key?.startsWith(livePrefix) ? true : key?.startsWith(testPrefix) ? false : null;
+
+function loadConfig(env = process.env) {
+  const errors = [], warnings = [], missing = [];
+  const environment = env.APP_ENV || 'production';
+  const preset      = ENVIRONMENTS[environment];
+  if (!preset) {
+    errors.push(`APP_ENV must be one of ${Object.keys(ENVIRONMENTS).join(', ')} (got "${environment}")`);
+    return { errors, warnings, missing };
+  }
+
+  const simulating = env.MONNIFY_SIMULATOR === 'true';
+  const parse = (spec) => {
+    const raw = env[spec.env];
+    if (raw === undefined || raw === '') {
+      const fallback = simulating && 'simulated' in spec ? spec.simulated
+                     : spec.preset ? preset[spec.preset] : spec.default;
+      if (typeof fallback === 'function') return fallback(env);
+      if (fallback != null) return fallback;
+      if (spec.required === true || spec.required?.includes(environment))
+        errors.push(`${spec.env} is required in ${environment}`);
+      else if (spec.required) {
+        missing.push(spec.env);
+        warnings.push(`${spec.env} not set — fine for ${environment}, required in ${spec.required.join('/')}`);
+      }
+      return null;
+    }
+    try {
+      return CONFIG_TYPES[spec.type](raw, spec);
+    } catch (error) {
+      errors.push(`${spec.env} ${error.message}`);
+      return null;
+    }
+  };
+  const walk = (node) =>
+    Object.fromEntries(Object.entries(node).map(([key, spec]) => [key, spec.env ? parse(spec) : walk(spec)]));
+
+  const config = { env: environment, ...walk(CONFIG_SCHEMA) };
+  const { server, monnify, paystack, payments, smtp, kyc, rateLimits, workers } = config;
+
+  server.paymentRedirectUrl ??= `${server.backendUrl}/payment/done`;
+
+  const mode         = preset.liveKeys ? 'live' : 'test';
+  const monnifyLive  = keyIsLive(monnify.apiKey, 'MK_PROD_', 'MK_TEST_');
+  const paystackLive = keyIsLive(paystack.secretKey, 'sk_live_', 'sk_test_');
+  if (monnifyLive !== null && monnifyLive !== preset.liveKeys)
+    errors.push(`MONNIFY_API_KEY is a ${monnifyLive ? 'live' : 'test'} key but ${environment} expects ${mode} keys`);
+  if (paystackLive !== null && paystackLive !== preset.liveKeys)
+    errors.push(`PAYSTACK_SECRET_KEY is a ${paystackLive ? 'live' : 'test'} key but ${environment} expects ${mode} keys`);
+
+  const routed = new Set(Object.values(payments).filter(Boolean));
+  if (routed.has('paystack') && !paystack.secretKey)
+    errors.push('PAYSTACK_SECRET_KEY is required when payments are routed to Paystack');
+
+  // Its /control hooks credit wallets without auth, so never on a deployed server.
+  if (monnify.simulator && environment !== 'development')
+    errors.push(`MONNIFY_SIMULATOR is only allowed in development, not ${environment}`);
+  if (monnify.simulator && env.MONNIFY_BASE_URL)
+    errors.push('MONNIFY_BASE_URL cannot be set together with MONNIFY_SIMULATOR');
+
+  // Reconciliation must not look at a withdrawal whose payout call may still be in flight.
+  if (monnify.payoutTimeoutMs >= workers.reconcileStaleMs)
+    errors.push('MONNIFY_PAYOUT_TIMEOUT_MS must be shorter than RECONCILE_STALE_MS');
+  if (routed.has('paystack') && paystack.timeoutMs + paystack.payoutTimeoutMs >= workers.reconcileStaleMs)
+    errors.push('PAYSTACK_TIMEOUT_MS + PAYSTACK_PAYOUT_TIMEOUT_MS must be shorter than RECONCILE_STALE_MS');
+
+  if (smtp.user && !smtp.pass) errors.push('SMTP_PASS is required with SMTP_USER');
+  if (kyc.provider === 'stub' && environment === 'production')
+    errors.push('KYC_PROVIDER=stub is not allowed in production');
+  if (kyc.tierLimits && (typeof kyc.tierLimits !== 'object' || Array.isArray(kyc.tierLimits)))
+    errors.push('KYC_TIER_LIMITS must be a JSON object keyed by tier');
+  const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+  if (config.risk.amountLimits && !isObject(config.risk.amountLimits))
+    errors.push('AMOUNT_LIMITS must be a JSON object keyed by operation');
+  else for (const [name, limits] of Object.entries(config.risk.amountLimits || {})) {
+    const valid = isObject(limits) && Object.entries(limits)
+      .every(([key, value]) => ['min', 'max'].includes(key) && Number.isFinite(value) && value > 0);
+    if (!valid) errors.push(`AMOUNT_LIMITS.${name} must be { min, max } in positive naira`);
+  }
+  if (rateLimits.policies && !isObject(rateLimits.policies))
+    errors.push('RATE_LIMIT_POLICIES must be a JSON object keyed by policy');
+  else for (const [name, policy] of Object.entries(rateLimits.policies || {})) {
+    const valid = isObject(policy) && Object.entries(policy)
+      .every(([key, value]) => ['windowMs', 'max'].includes(key) && Number.isInteger(value) && value > 0);
+    if (!valid) errors.push(`RATE_LIMIT_POLICIES.${name} must be { windowMs, max } in positive whole numbers`);
+  }
+
+  return { config, errors, warnings, missing };
+}
+
+const { config, errors: configErrors, warnings: configWarnings, missing: configMissing } = loadConfig();
+if (configErrors.length) {
+  console.error(`❌ CRITICAL: invalid configuration (APP_ENV=${process.env.APP_ENV || 'production'}):`);
+  for (const problem of configErrors) console.error(`   • ${problem}`);
+  process.exit(1);
+}
+
+// Effective settings for GET /api/admin/config — set secrets show as
+// [REDACTED], account numbers keep their last four digits.
+function configView(node = CONFIG_SCHEMA, values = config) {
+  return Object.fromEntries(Object.entries(node).map(([key, spec]) => {
+    const value = values[key];
+    if (!spec.env)     return [key, configView(spec, value)];
+    if (value == null) return [key, null];
+    if (spec.secret)   return [key, '[REDACTED]'];
+    if (spec.account)  return [key, maskDigits(value)];
+    return [key, value];
+  }));
+}
+
+// ============================================
+// MONEY — integer kobo
+// Amounts are kept and compared as whole kobo: ledger legs (`amountKobo`),
+// transaction records (`amountKobo` next to the naira `amount` the app
+// shows) and every limit and balance check.  Naira appears only at the
+// edges — request bodies, API responses, receipts — and each payment
+// provider adapter converts to the unit its API takes.  Wallets hold an
+// integer `users.balanceKobo`; `users.balance` is its naira mirror, kept only
+// because the app reads it directly — read balances through
+// koboOf(user, 'balance').
+// ============================================
+const toKobo  = (amount) => Math.round(Number(amount) * 100);
+const toNaira = (kobo) => kobo / 100;
+
+// For people: ₦1,234.50.  Takes naira.
+const naira = (n) =>
+  `₦${Number(n).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// A record's `<field>Kobo`, or its naira `<field>` for records written
+// before amounts were kept in kobo.
+const koboOf = (record, field = 'amount') =>
+  Number.isInteger(record?.[`${field}Kobo`]) ? record[`${field}Kobo`] : toKobo(record?.[field] || 0);
+
+// Naira.  AMOUNT_LIMITS='{"withdrawal":{"max":500000}}' overrides single
+// values.  Bounds on a single request; KYC tier and velocity limits (see
+// RISK CONTROLS) still apply on top.
+const DEFAULT_AMOUNT_LIMITS = {
+  funding:    { min: 100,  max: 5000000  },
+  withdrawal: { min: 100,  max: 5000000  },
+  p2p:        { min: 1,    max: 5000000  },
+  vas:        { min: 50,   max: 500000   },
+  adjustment: { min: 0.01, max: 10000000 },
+};
+const AMOUNT_LIMITS = Object.fromEntries(Object.entries(DEFAULT_AMOUNT_LIMITS).map(([operation, limits]) => {
+  const merged = { ...limits, ...(config.risk.amountLimits[operation] || {}) };
+  return [operation, { min: toKobo(merged.min), max: toKobo(merged.max) }];
+}));
+
+for (const operation of Object.keys(config.risk.amountLimits))
+  if (!AMOUNT_LIMITS[operation]) console.warn(`⚠️ AMOUNT_LIMITS: unknown operation "${operation}" ignored`);
+for (const [operation, { min, max }] of Object.entries(AMOUNT_LIMITS)) {
+  if (min > 0 && min <= max) continue;
+  console.error(`❌ CRITICAL: AMOUNT_LIMITS.${operation} needs 0.01 <= min <= max`);
+  process.exit(1);
+}
+
+// ============================================
+// OBSERVABILITY — structured logs + metrics
+// Every log line is one JSON object ({ time, level, msg, requestId, … }) on
+// stdout/stderr; LOG_FORMAT=pretty prints readable lines for local work and
+// LOG_LEVEL (debug|info|warn|error, default info) sets the floor.  The
+// request id rides along in AsyncLocalStorage, so anything logged while a
+// request is in flight — Monnify calls, Firestore transactions — carries it
+// without being passed around.  Log through log.*, passing an error as
+// `{ error }` and a provider's answer as `{ providerResponse }` so both are
+// redacted; console.* is only used before the logger exists (CONFIG).
+//
+// Secrets never reach the log: credential-like keys (tokens, PINs,
+// signatures, BVN/NIN…) are replaced, account and phone numbers keep their last four
+// digits, and any bare 10- or 11-digit number (account, BVN, NIN, phone —
+// also as +234…) or bearer credential inside a string is masked as well.
+//
+// Metrics are Prometheus counters/histograms served from GET /metrics.
+// ============================================
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL  = LOG_LEVELS[config.logging.level];
+const LOG_PRETTY = config.logging.format === 'pretty';
+
+const requestContext = new AsyncLocalStorage();
+
+const SECRET_KEY_PATTERN  = /(secret|password|passcode|token|authorization|signature|apikey|cookie)$|^(pin|newpin|currentpin|bvn|nin|idnumber|otp)$/;
+const ACCOUNT_KEY_PATTERN = /accountnumber$|phone(number)?$|mobile(number)?$/;
+
+const maskDigits = (value) => {
+  const digits = String(value);
+  return digits.length > 4 ? '*'.repeat(digits.length - 4) + digits.slice(-4) : '****';
+};
+
+const redactText = (text) => text
+  .replace(/\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, '$1 [REDACTED]')
+  .replace(/\+?\b(?:234)?\d{10,11}\b/g, maskDigits);
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value);
+  if (value instanceof Error) {
+    return redact({
+      name:    value.name,
+      message: value.message,
+      code:    value.code,
+      status:  value.response?.status,
+      stack:   value.stack,
+    }, depth);
+  }
+  if (!value || typeof value !== 'object' || depth > 5) return value;
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    const name = key.toLowerCase().replace(/[-_]/g, '');
+    if (v == null)                            out[key] = v;
+    else if (SECRET_KEY_PATTERN.test(name))   out[key] = '[REDACTED]';
+    else if (ACCOUNT_KEY_PATTERN.test(name))  out[key] = maskDigits(v);
+    else                                      out[key] = redact(v, depth + 1);
+  }
+  return out;
+}
+
+function writeLog(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  const context = requestContext.getStore() || {};
+  const entry   = redact({
+    time:      new Date().toISOString(),
+    level,
+    msg,
+    requestId: context.requestId,
+    userId:    context.userId,
+    ...fields,
+  });
+  const { time, msg: text, ...rest } = entry;
+  const line = LOG_PRETTY
+    ? `${time} ${level.toUpperCase().padEnd(5)} ${rest.requestId ? `[${rest.requestId.slice(0, 8)}] ` : ''}${text}` +
+      (Object.keys(fields).length ? ' ' + JSON.stringify(redact(fields)) : '')
+    : JSON.stringify(entry);
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+const log = {
+  debug: (msg, fields) => writeLog('debug', msg, fields),
+  info:  (msg, fields) => writeLog('info',  msg, fields),
+  warn:  (msg, fields) => writeLog('warn',  msg, fields),
+  error: (msg, fields) => writeLog('error', msg, fields),
+};
+
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const metrics = {
+  httpRequestSeconds: new promClient.Histogram({
+    name:       'http_request_duration_seconds',
+    help:       'HTTP request latency by route and status',
+    labelNames: ['method', 'route', 'status'],
+    buckets:    [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers:  [metricsRegistry],
+  }),
+  providerRequests: new promClient.Counter({
+    name:       'provider_requests_total',
+    help:       'Outbound provider calls by outcome (success, client_error, server_error, timeout, network_error)',
+    labelNames: ['provider', 'operation', 'outcome'],
+    registers:  [metricsRegistry],
+  }),
+  providerRequestSeconds: new promClient.Histogram({
+    name:       'provider_request_duration_seconds',
+    help:       'Outbound provider call latency',
+    labelNames: ['provider', 'operation'],
+    buckets:    [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers:  [metricsRegistry],
+  }),
+  circuitRejections: new promClient.Counter({
+    name:       'provider_circuit_rejections_total',
+    help:       'Calls refused without trying because the provider circuit was open',
+    labelNames: ['provider'],
+    registers:  [metricsRegistry],
+  }),
+  webhookEvents: new promClient.Counter({
+    name:       'webhook_events_total',
+    help:       'Provider webhooks by outcome (rejected, duplicate, processed, failed, dead_letter)',
+    labelNames: ['provider', 'type', 'outcome'],
+    registers:  [metricsRegistry],
+  }),
+  journalEntries: new promClient.Counter({
+    name:       'journal_entries_total',
+    help:       'Committed ledger journal entries by category',
+    labelNames: ['category'],
+    registers:  [metricsRegistry],
+  }),
+  moneyFlowNaira: new promClient.Counter({
+    name:       'money_flow_naira_total',
+    help:       'Naira moved through committed journal entries, by category',
+    labelNames: ['category'],
+    registers:  [metricsRegistry],
+  }),
+  rateLimited: new promClient.Counter({
+    name:       'rate_limited_requests_total',
+    help:       'Requests refused with 429 by rate-limit policy',
+    labelNames: ['policy'],
+    registers:  [metricsRegistry],
+  }),
+  firestoreTransactionSeconds: new promClient.Histogram({
+    name:       'firestore_transaction_duration_seconds',
+    help:       'Firestore transaction latency by outcome (committed, aborted)',
+    labelNames: ['outcome'],
+    buckets:    [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers:  [metricsRegistry],
+  }),
+};
+
+function countMoneyFlow({ category, legs }) {
+  const kobo = legs.filter(l => l.direction === 'debit').reduce((sum, l) => sum + l.amountKobo, 0);
+  metrics.journalEntries.inc({ category: category || 'uncategorised' });
+  metrics.moneyFlowNaira.inc({ category: category || 'uncategorised' }, toNaira(kobo));
+}
+
+// Outbound HTTP: every axios call is timed, counted by provider and outcome,
+// and tagged with the request id so provider support can trace it too.
+const PROVIDER_BASE_URLS = [
+  [config.monnify.baseUrl,  'monnify'],
+  [config.paystack.baseUrl, 'paystack'],
+  ['https://exp.host',      'expo'],
+];
+
+// '/api/v2/transactions/MNFY%7C123' → '/api/v2/transactions/:id'
+const operationOf = (pathname) =>
+  pathname.split('/').map(s => /^([a-z-]*|v\d+)$/i.test(s) ? s : ':id').join('/');
+
+function recordProviderCall(request, status, error) {
+  if (!request?.metadata) return;
+  const url       = new URL(request.url, request.baseURL);
+  const base      = PROVIDER_BASE_URLS.find(([prefix]) => url.href.startsWith(prefix));
+  const provider  = base?.[1] || url.hostname;
+  const operation = operationOf(base ? url.pathname.slice(new URL(base[0]).pathname.replace(/\/$/, '').length) : url.pathname);
+  const outcome   = status
+    ? (status < 400 ? 'success' : status < 500 ? 'client_error' : 'server_error')
+    : (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT' ? 'timeout' : 'network_error');
+  const seconds   = (Date.now() - request.metadata.startedAt) / 1000;
+
+  metrics.providerRequests.inc({ provider, operation, outcome });
+  metrics.providerRequestSeconds.observe({ provider, operation }, seconds);
+  log.info('provider call', {
+    provider,
+    method:     request.method?.toUpperCase(),
+    operation,
+    status,
+    outcome,
+    durationMs: Math.round(seconds * 1000),
+  });
+}
+
+axios.interceptors.request.use((request) => {
+  request.metadata = { startedAt: Date.now() };
+  const requestId = requestContext.getStore()?.requestId;
+  if (requestId) request.headers.set('X-Request-Id', requestId);
+  return request;
+});
+axios.interceptors.response.use(
+  (response) => { recordProviderCall(response.config, response.status); return response; },
+  (error) => { recordProviderCall(error.config, error.response?.status, error); throw error; },
+);
+
 // ============================================
 // FIREBASE INITIALIZATION
 // ============================================
 let db;
 try {
-  if (!process.env.FIREBASE_CREDENTIALS_JSON) throw new Error('FIREBASE_CREDENTIALS_JSON missing.');
-  const serviceAccount = JSON.parse(process.env.FIREBASE_CREDENTIALS_JSON);
-  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  admin.initializeApp({ credential: admin.credential.cert(config.firebase.credentials) });
   db = admin.firestore();
-  console.log('✅ Firebase Admin SDK initialized.');
+  log.info('✅ Firebase Admin SDK initialized.');
 } catch (error) {
-  console.error('❌ CRITICAL ERROR:', error.message);
+  log.error('❌ CRITICAL ERROR', { error });
   process.exit(1);
 }
 
+// Transactions are timed, and journal entries posted inside one only count
+// towards the money-flow metrics once it commits — a retried attempt posts
+// them again.
+const journalBuffers = new WeakMap();
+const runTransaction = db.runTransaction.bind(db);
+
+db.runTransaction = async (updateFunction, options) => {
+  const stopTimer = metrics.firestoreTransactionSeconds.startTimer();
+  let posted = [], attempts = 0;
+  try {
+    const result = await runTransaction((t) => {
+      posted = [];
+      attempts++;
+      journalBuffers.set(t, posted);
+      return updateFunction(t);
+    }, options);
+    const seconds = stopTimer({ outcome: 'committed' });
+    posted.forEach(countMoneyFlow);
+    log.debug('firestore transaction', { outcome: 'committed', attempts, journalEntries: posted.length, durationMs: Math.round(seconds * 1000) });
+    return result;
+  } catch (error) {
+    const seconds = stopTimer({ outcome: 'aborted' });
+    log.debug('firestore transaction', { outcome: 'aborted', attempts, error: error.message, durationMs: Math.round(seconds * 1000) });
+    throw error;
+  }
+};
+
 const app  = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+
+// req.ip is the client's address, not the load balancer's — rate limits key on it.
+if (config.server.trustProxy) app.set('trust proxy', config.server.trustProxy);
 
 // ============================================
 // MONNIFY CONFIG
 // ============================================
-const MONNIFY_BASE_URL    = 'https://api.monnify.com';
-const MONNIFY_API_KEY     = process.env.MONNIFY_API_KEY;
-const MONNIFY_SECRET_KEY  = process.env.MONNIFY_SECRET_KEY;
-const MONNIFY_CONTRACT    = process.env.MONNIFY_CONTRACT_CODE;
-const MONNIFY_WALLET_ACCT = process.env.MONNIFY_WALLET_ACCOUNT_NUMBER;
+const MONNIFY_BASE_URL    = config.monnify.baseUrl;
+const MONNIFY_API_KEY     = config.monnify.apiKey;
+const MONNIFY_SECRET_KEY  = config.monnify.secretKey;
+const MONNIFY_CONTRACT    = config.monnify.contractCode;
+const MONNIFY_WALLET_ACCT = config.monnify.walletAccountNumber;
 
 const monnifyBasicAuth = () =>
   'Basic ' + Buffer.from(`${MONNIFY_API_KEY}:${MONNIFY_SECRET_KEY}`).toString('base64');
 
+// ============================================
+// MONNIFY HTTP CLIENT
+// All Monnify calls go through monnifyRequest():
+//   • the bearer token is cached until shortly before it expires, and
+//     concurrent callers share a single login while it refreshes;
+//   • every call has a timeout;
+//   • `retry: true` (safe reads only) retries transient failures with backoff;
+//   • a circuit breaker fails fast with ProviderUnavailableError (→ 503) once
+//     Monnify keeps failing, and lets one trial call through after a cool-off.
+// ============================================
+const MONNIFY_TIMEOUT_MS        = config.monnify.timeoutMs;
+const MONNIFY_PAYOUT_TIMEOUT_MS = config.monnify.payoutTimeoutMs;
+const MONNIFY_MAX_RETRIES       = 2;
+const TOKEN_REFRESH_MARGIN_MS   = 5 * 60 * 1000;
+
+class ProviderUnavailableError extends Error {
+  constructor(provider, retryAfterMs) {
+    super(`${provider} is temporarily unavailable`);
+    this.name         = 'ProviderUnavailableError';
+    this.provider     = provider;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Network errors, timeouts, 429 and 5xx — not business rejections.
+const isTransientError = (error) =>
+  !error.response || error.response.status === 429 || error.response.status >= 500;
+
+function createCircuitBreaker(name, { failureThreshold = 5, resetAfterMs = 30000 } = {}) {
+  const breaker = { name, state: 'closed', failures: 0, openedAt: 0 };
+
+  const refuse = (retryAfterMs) => {
+    metrics.circuitRejections.inc({ provider: name.toLowerCase() });
+    return new ProviderUnavailableError(name, retryAfterMs);
+  };
+
+  breaker.exec = async (fn) => {
+    if (breaker.state === 'open') {
+      const waited = Date.now() - breaker.openedAt;
+      if (waited < resetAfterMs) throw refuse(resetAfterMs - waited);
+      breaker.state = 'half_open';
+    } else if (breaker.state === 'half_open') {
+      throw refuse(resetAfterMs);   // trial call already in flight
+    }
+
+    try {
+      const result = await fn();
+      breaker.state    = 'closed';
+      breaker.failures = 0;
+      return result;
+    } catch (error) {
+      if (breaker.state === 'half_open' || (isTransientError(error) && ++breaker.failures >= failureThreshold)) {
+        if (breaker.state !== 'open') log.error(`🔌 ${name} circuit open`, { error });
+        breaker.state    = 'open';
+        breaker.openedAt = Date.now();
+      }
+      throw error;
+    }
+  };
+
+  return breaker;
+}
+
+const monnifyBreaker  = createCircuitBreaker('Monnify');
+const paystackBreaker = createCircuitBreaker('Paystack');
+
+new promClient.Gauge({
+  name:       'provider_circuit_open',
+  help:       '1 while the provider circuit breaker is open or half-open',
+  labelNames: ['provider'],
+  registers:  [metricsRegistry],
+  collect() {
+    this.set({ provider: 'monnify' },  monnifyBreaker.state === 'closed' ? 0 : 1);
+    this.set({ provider: 'paystack' }, paystackBreaker.state === 'closed' ? 0 : 1);
+  },
+});
+
+let monnifyToken        = null;   // { value, expiresAt }
+let monnifyTokenRequest = null;
+
 async function getMonnifyToken() {
-  const res = await axios.post(`${MONNIFY_BASE_URL}/api/v1/auth/login`, {}, {
-    headers: { Authorization: monnifyBasicAuth() },
+  if (monnifyToken && monnifyToken.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now())
+    return monnifyToken.value;
+
+  if (!monnifyTokenRequest) {
+    monnifyTokenRequest = (async () => {
+      const res = await axios.post(`${MONNIFY_BASE_URL}/api/v1/auth/login`, {}, {
+        headers: { Authorization: monnifyBasicAuth() },
+        timeout: MONNIFY_TIMEOUT_MS,
+      });
+      if (!res.data.requestSuccessful)
+        throw new Error(`Monnify auth failed: ${res.data.responseMessage}`);
+      const { accessToken, expiresIn } = res.data.responseBody;
+      monnifyToken = { value: accessToken, expiresAt: Date.now() + (expiresIn || 3600) * 1000 };
+      return accessToken;
+    })().finally(() => { monnifyTokenRequest = null; });
+  }
+  return monnifyTokenRequest;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function monnifyRequest({ method = 'get', path, data, auth = 'bearer', retry = false, timeout = MONNIFY_TIMEOUT_MS }) {
+  return monnifyBreaker.exec(async () => {
+    let refreshedToken = false;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const Authorization = auth === 'basic' ? monnifyBasicAuth() : `Bearer ${await getMonnifyToken()}`;
+        return await axios({ method, url: `${MONNIFY_BASE_URL}${path}`, data, timeout, headers: { Authorization } });
+      } catch (error) {
+        // A rejected token means the request was never processed — safe to resend once.
+        if (error.response?.status === 401 && auth === 'bearer' && !refreshedToken) {
+          monnifyToken   = null;
+          refreshedToken = true;
+          continue;
+        }
+        if (!retry || attempt >= MONNIFY_MAX_RETRIES || !isTransientError(error)) throw error;
+        await sleep(300 * 2 ** attempt + Math.random() * 200);
+      }
+    }
+  });
+}
+
+// No response at all (timeout, dropped connection), or a 5xx to a POST: the
+// provider may or may not have acted, so money-moving routes must not reverse
+// on this.  Only a 4xx or an explicit failure in the body is a rejection.
+const isOutcomeUnknown = (error) =>
+  !(error instanceof ProviderUnavailableError) && !!error.config &&
+  (!error.response || (error.response.status >= 500 && error.config.method === 'post'));
+
+// Routes call this in their catch blocks; true when it has responded.
+function respondProviderUnavailable(res, error) {
+  if (!(error instanceof ProviderUnavailableError)) return false;
+  res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+  res.status(503).json({ error: `${error.provider} is temporarily unavailable, please try again shortly` });
+  return true;
+}
+
+const notFoundAsNull = (error) => {
+  if (error.response?.status === 404) return null;
+  throw error;
+};
+
+// Shared by /api/vas/requery and the reconciliation worker; null when
+// Monnify has no record of the vend.
+async function requeryVend(reference) {
+  const r = await monnifyRequest({
+    path:  `/api/v1/vas/bills-payment/requery?reference=${encodeURIComponent(reference)}`,
+    retry: true,
+  }).catch(notFoundAsNull);
+  return r?.data.requestSuccessful ? r.data.responseBody : null;
+}
+
+log.info(`${'🏦 Monnify:'.padEnd(26)} ${MONNIFY_BASE_URL}`);
+for (const warning of configWarnings) log.warn(`⚠️ ${warning}`);
+
+// ============================================
+// PAYMENT PROVIDERS
+// Each adapter implements the same interface so routes never call a
+// processor's URLs directly:
+//
+//   initCheckout({ amountKobo, email, customerName, reference, redirectUrl })
+//                                     → { checkoutUrl, providerReference }
+//   verify({ paymentReference, providerReference })
+//                                     → { status, amountPaidKobo, paymentReference, providerReference, raw } | null
+//   resolveAccount({ accountNumber, bankCode }) → { accountName, accountNumber, bankCode } | null
+//   listBanks()                       → [{ name, code, ... }]
+//   disburse({ amountKobo, reference, narration, bankCode, accountNumber, accountName })
+//                                     → { status, providerReference, raw }
+//   disbursementStatus(reference)     → { status, raw }, or null only when the
+//                                       provider says it has no such payout
+//   verifyWebhook(rawBody, headers)   → boolean
+//   parseWebhook(event)               → { type, ... }  (see normalised types below)
+//   webhookEventId(event)             → the provider's identifier for the event | null
+//   payoutDeadlineMs                  → how long disburse() can run before every
+//                                       call it makes has timed out
+//
+// Optional (virtual accounts — currently Monnify only):
+//   createReservedAccount({ accountReference, accountName, email, bvn, nin })
+//                                     → { accountReference, accounts: [{ bankName, bankCode, accountNumber, accountName }], status }
+//   getReservedAccount(accountReference) → same shape | null
+//
+// Statuses are normalised: payments PAID | PENDING | FAILED, disbursements
+// SUCCESS | PENDING | FAILED | REVERSED.  Amounts are integer kobo at this
+// boundary; adapters convert to whatever unit their processor expects.
+//
+// Normalised webhook types: payment.success { paymentReference,
+// providerReference, amountPaidKobo }, disbursement.success /
+// disbursement.failed / disbursement.reversed { reference }, transfer.received
+// { accountReference, paymentReference, providerReference, amountPaidKobo }
+// for money paid into a virtual account, payment.refunded /
+// payment.refund_failed { paymentReference or providerReference,
+// refundReference, amountKobo }, and ignored { rawType }.
+//
+// PAYMENT_PROVIDER picks the default; PAYMENT_PROVIDER_<OPERATION> (CHECKOUT,
+// PAYOUT, RESOLVE, BANKS, VIRTUAL_ACCOUNTS) overrides it per operation.  Verification and
+// settlement always go back to the provider recorded on the transaction.
+// ============================================
+const PAYSTACK_BASE_URL          = config.paystack.baseUrl;
+const PAYSTACK_SECRET_KEY        = config.paystack.secretKey;
+const PAYSTACK_TIMEOUT_MS        = config.paystack.timeoutMs;
+const PAYSTACK_PAYOUT_TIMEOUT_MS = config.paystack.payoutTimeoutMs;
+
+const hmacSha512 = (secret, body) => crypto.createHmac('sha512', secret).update(body).digest('hex');
+
+const safeEqual = (a, b) =>
+  typeof a === 'string' && typeof b === 'string' && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const monnifyReservedAccount = (body) => ({
+  accountReference: body.accountReference,
+  accountName:      body.accountName,
+  status:           body.status,
+  accounts:         (body.accounts || []).map(a => ({
+    bankName:      a.bankName,
+    bankCode:      a.bankCode,
+    accountNumber: a.accountNumber,
+    accountName:   a.accountName || body.accountName,
+  })),
+});
+
+const monnifyProvider = {
+  name:             'monnify',
+  label:            'Monnify',
+  payoutDeadlineMs: MONNIFY_PAYOUT_TIMEOUT_MS,
+
+  async initCheckout({ amountKobo, email, customerName, reference, redirectUrl }) {
+    if (!MONNIFY_CONTRACT) throw new Error('MONNIFY_CONTRACT_CODE not set');
+    const r = await monnifyRequest({
+      method: 'post',
+      path:   '/api/v1/merchant/transactions/init-transaction',
+      auth:   'basic',
+      data:   {
+        amount:              toNaira(amountKobo),
+        customerName:        customerName || 'Customer',
+        customerEmail:       email,
+        paymentReference:    reference,
+        paymentDescription:  'Wallet Funding',
+        currencyCode:        'NGN',
+        contractCode:        MONNIFY_CONTRACT,
+        redirectUrl,
+        paymentMethods:      ['CARD', 'ACCOUNT_TRANSFER'],
+      },
+    });
+    if (!r.data.requestSuccessful) throw new Error(r.data.responseMessage);
+    return {
+      checkoutUrl:       r.data.responseBody.checkoutUrl,
+      providerReference: r.data.responseBody.transactionReference,
+    };
+  },
+
+  async verify({ paymentReference, providerReference }) {
+    const path = providerReference
+      ? `/api/v2/transactions/${encodeURIComponent(providerReference)}`
+      : `/api/v2/merchant/transactions/query?paymentReference=${encodeURIComponent(paymentReference)}`;
+    const r = await monnifyRequest({ path, retry: true }).catch(notFoundAsNull);
+    if (!r?.data.requestSuccessful) return null;
+
+    const txn = r.data.responseBody;
+    return {
+      status:            txn.paymentStatus === 'PAID' ? 'PAID'
+                       : ['PENDING', 'PARTIALLY_PAID'].includes(txn.paymentStatus) ? 'PENDING'
+                       : 'FAILED',
+      amountPaidKobo:    toKobo(txn.amountPaid || 0),
+      paymentReference:  txn.paymentReference,
+      providerReference: txn.transactionReference,
+      raw:               txn,
+    };
+  },
+
+  async resolveAccount({ accountNumber, bankCode }) {
+    // Monnify answers an unknown account with a 4xx rather than an empty body.
+    const r = await monnifyRequest({
+      path:  `/api/v1/disbursements/account/validate?accountNumber=${encodeURIComponent(accountNumber)}&bankCode=${encodeURIComponent(bankCode)}`,
+      retry: true,
+    }).catch((error) => {
+      if (error.response?.status >= 400 && error.response.status < 500) return null;
+      throw error;
+    });
+    if (!r?.data.requestSuccessful) return null;
+    return {
+      accountName:   r.data.responseBody.accountName,
+      accountNumber: r.data.responseBody.accountNumber,
+      bankCode,
+    };
+  },
+
+  async listBanks() {
+    const r = await monnifyRequest({ path: '/api/v1/sdk/transactions/banks', auth: 'basic', retry: true });
+    return r.data.responseBody;
+  },
+
+  async disburse({ amountKobo, reference, narration, bankCode, accountNumber, accountName }) {
+    const r = await monnifyRequest({
+      method:  'post',
+      path:    '/api/v2/disbursements/single',
+      timeout: MONNIFY_PAYOUT_TIMEOUT_MS,
+      data:    {
+        amount:                    toNaira(amountKobo),
+        reference,
+        narration,
+        destinationBankCode:       bankCode,
+        destinationAccountNumber:  accountNumber,
+        currency:                  'NGN',
+        sourceAccountNumber:       MONNIFY_WALLET_ACCT,
+        destinationAccountName:    accountName || '',
+      },
+    });
+    if (!r.data.requestSuccessful) throw new Error(r.data.responseMessage);
+    const body = r.data.responseBody || {};
+    return {
+      status:            body.status === 'SUCCESS' ? 'SUCCESS' : body.status === 'FAILED' ? 'FAILED' : 'PENDING',
+      providerReference: body.reference || reference,
+      raw:               body,
+    };
+  },
+
+  async disbursementStatus(reference) {
+    const r = await monnifyRequest({
+      path:  `/api/v2/disbursements/single/summary?reference=${encodeURIComponent(reference)}`,
+      retry: true,
+    }).catch(notFoundAsNull);
+    if (!r) return null;
+    if (!r.data.requestSuccessful) throw new Error(r.data.responseMessage || 'Disbursement lookup failed');
+    const status = r.data.responseBody.status;
+    return {
+      status: ['SUCCESS', 'FAILED', 'REVERSED'].includes(status) ? status
+            : status === 'EXPIRED' ? 'FAILED'
+            : 'PENDING',
+      raw: r.data.responseBody,
+    };
+  },
+
+  async createReservedAccount({ accountReference, accountName, email, bvn, nin }) {
+    if (!MONNIFY_CONTRACT) throw new Error('MONNIFY_CONTRACT_CODE not set');
+    const r = await monnifyRequest({
+      method: 'post',
+      path:   '/api/v2/bank-transfer/reserved-accounts',
+      data:   {
+        accountReference,
+        accountName,
+        currencyCode:         'NGN',
+        contractCode:         MONNIFY_CONTRACT,
+        customerEmail:        email,
+        customerName:         accountName,
+        getAllAvailableBanks: true,
+        ...(bvn ? { bvn } : {}),
+        ...(nin ? { nin } : {}),
+      },
+    });
+    if (!r.data.requestSuccessful) throw new Error(r.data.responseMessage);
+    return monnifyReservedAccount(r.data.responseBody);
+  },
+
+  async getReservedAccount(accountReference) {
+    const r = await monnifyRequest({
+      path:  `/api/v2/bank-transfer/reserved-accounts/${encodeURIComponent(accountReference)}`,
+      retry: true,
+    }).catch(notFoundAsNull);
+    return r?.data.requestSuccessful ? monnifyReservedAccount(r.data.responseBody) : null;
+  },
+
+  verifyWebhook(rawBody, headers) {
+    return safeEqual(hmacSha512(MONNIFY_SECRET_KEY, rawBody), headers['monnify-signature']);
+  },
+
+  parseWebhook(event) {
+    const data = event.eventData || {};
+    switch (event.eventType) {
+      case 'SUCCESSFUL_TRANSACTION':
+        if (data.product?.type === 'RESERVED_ACCOUNT') {
+          return {
+            type:              'transfer.received',
+            accountReference:  data.product.reference,
+            paymentReference:  data.paymentReference,
+            providerReference: data.transactionReference,
+            amountPaidKobo:    toKobo(data.amountPaid),
+          };
+        }
+        return {
+          type:              'payment.success',
+          paymentReference:  data.paymentReference,
+          providerReference: data.transactionReference,
+          amountPaidKobo:    toKobo(data.amountPaid),
+        };
+      case 'SUCCESSFUL_DISBURSEMENT': return { type: 'disbursement.success',  reference: data.reference };
+      case 'FAILED_DISBURSEMENT':     return { type: 'disbursement.failed',   reference: data.reference };
+      case 'REVERSED_DISBURSEMENT':   return { type: 'disbursement.reversed', reference: data.reference };
+      case 'SUCCESSFUL_REFUND':
+      case 'FAILED_REFUND':
+        return {
+          type:              event.eventType === 'SUCCESSFUL_REFUND' ? 'payment.refunded' : 'payment.refund_failed',
+          providerReference: data.transactionReference,
+          refundReference:   data.refundReference,
+          amountKobo:        toKobo(data.refundAmount),
+        };
+      default:                        return { type: 'ignored', rawType: event.eventType };
+    }
+  },
+
+  // Monnify sends no event ID; the event type plus the reference it is about
+  // is unique per event.
+  webhookEventId(event) {
+    const data = event.eventData || {};
+    const key  = data.refundReference || data.transactionReference || data.reference || data.paymentReference;
+    return key ? `${event.eventType}:${key}` : null;
+  },
+};
+
+// Paystack works in kobo and keys everything on our own reference.  Its calls
+// get the same timeout, read retries and circuit breaker as monnifyRequest().
+async function paystackRequest({ method = 'get', path, data, retry = false, timeout = PAYSTACK_TIMEOUT_MS }) {
+  return paystackBreaker.exec(async () => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios({
+          method, url: `${PAYSTACK_BASE_URL}${path}`, data, timeout,
+          headers: { Authorization: `Bearer ${PAYSTACK_SECRET_KEY}` },
+        });
+      } catch (error) {
+        if (!retry || attempt >= MONNIFY_MAX_RETRIES || !isTransientError(error)) throw error;
+        await sleep(300 * 2 ** attempt + Math.random() * 200);
+      }
+    }
   });
-  if (!res.data.requestSuccessful)
-    throw new Error(`Monnify auth failed: ${res.data.responseMessage}`);
-  return res.data.responseBody.accessToken;
 }
 
-console.log('🔧 Monnify Config:');
-console.log('API Key:        ', MONNIFY_API_KEY     ? '✅ Set' : '❌ Missing');
-console.log('Secret Key:     ', MONNIFY_SECRET_KEY  ? '✅ Set' : '❌ Missing');
-console.log('Contract Code:  ', MONNIFY_CONTRACT    ? '✅ Set' : '❌ Missing');
-console.log('Wallet Account: ', MONNIFY_WALLET_ACCT ? '✅ Set' : '❌ Missing');
+const paystackProvider = {
+  name:             'paystack',
+  label:            'Paystack',
+  payoutDeadlineMs: PAYSTACK_TIMEOUT_MS + PAYSTACK_PAYOUT_TIMEOUT_MS,   // recipient, then transfer
+
+  async initCheckout({ amountKobo, email, reference, redirectUrl }) {
+    const r = await paystackRequest({
+      method: 'post',
+      path:   '/transaction/initialize',
+      data:   {
+        amount:       amountKobo,
+        email,
+        reference,
+        currency:     'NGN',
+        callback_url: redirectUrl,
+        channels:     ['card', 'bank_transfer'],
+      },
+    });
+    if (!r.data.status) throw new Error(r.data.message);
+    return { checkoutUrl: r.data.data.authorization_url, providerReference: r.data.data.reference };
+  },
+
+  async verify({ paymentReference }) {
+    const r = await paystackRequest({
+      path:  `/transaction/verify/${encodeURIComponent(paymentReference)}`,
+      retry: true,
+    }).catch(notFoundAsNull);
+    if (!r?.data.status) return null;
+
+    const txn = r.data.data;
+    return {
+      status:            txn.status === 'success' ? 'PAID'
+                       : ['ongoing', 'pending', 'processing', 'queued'].includes(txn.status) ? 'PENDING'
+                       : 'FAILED',
+      amountPaidKobo:    txn.amount,
+      paymentReference:  txn.reference,
+      providerReference: String(txn.id),
+      raw:               txn,
+    };
+  },
+
+  async resolveAccount({ accountNumber, bankCode }) {
+    const qs = new URLSearchParams({ account_number: accountNumber, bank_code: bankCode });
+    const r  = await paystackRequest({ path: `/bank/resolve?${qs}`, retry: true }).catch(notFoundAsNull);
+    if (!r?.data.status) return null;
+    return { accountName: r.data.data.account_name, accountNumber: r.data.data.account_number, bankCode };
+  },
+
+  async listBanks() {
+    const r = await paystackRequest({ path: '/bank?country=nigeria&perPage=100', retry: true });
+    return r.data.data.map(b => ({ name: b.name, code: b.code }));
+  },
+
+  async disburse({ amountKobo, reference, narration, bankCode, accountNumber, accountName }) {
+    const recipient = await paystackRequest({
+      method: 'post',
+      path:   '/transferrecipient',
+      data:   { type: 'nuban', name: accountName || accountNumber, account_number: accountNumber, bank_code: bankCode, currency: 'NGN' },
+    });
+    if (!recipient.data.status) throw new Error(recipient.data.message);
+
+    const r = await paystackRequest({
+      method:  'post',
+      path:    '/transfer',
+      data:    {
+        source:    'balance',
+        amount:    amountKobo,
+        reference,
+        recipient: recipient.data.data.recipient_code,
+        reason:    narration,
+      },
+      timeout: PAYSTACK_PAYOUT_TIMEOUT_MS,
+    });
+    if (!r.data.status) throw new Error(r.data.message);
+    const body = r.data.data;
+    return {
+      status:            body.status === 'success' ? 'SUCCESS' : body.status === 'failed' ? 'FAILED' : 'PENDING',
+      providerReference: body.transfer_code,
+      raw:               body,
+    };
+  },
+
+  async disbursementStatus(reference) {
+    const r = await paystackRequest({
+      path:  `/transfer/verify/${encodeURIComponent(reference)}`,
+      retry: true,
+    }).catch(notFoundAsNull);
+    if (!r) return null;
+    if (!r.data.status) throw new Error(r.data.message || 'Transfer lookup failed');
+    const status = r.data.data.status;
+    return {
+      status: status === 'success' ? 'SUCCESS'
+            : status === 'reversed' ? 'REVERSED'
+            : ['failed', 'abandoned', 'rejected'].includes(status) ? 'FAILED'
+            : 'PENDING',
+      raw: r.data.data,
+    };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    return !!PAYSTACK_SECRET_KEY &&
+      safeEqual(hmacSha512(PAYSTACK_SECRET_KEY, rawBody), headers['x-paystack-signature']);
+  },
+
+  parseWebhook(event) {
+    const data = event.data || {};
+    switch (event.event) {
+      case 'charge.success':
+        return {
+          type:              'payment.success',
+          paymentReference:  data.reference,
+          providerReference: String(data.id),
+          amountPaidKobo:    data.amount,
+        };
+      case 'transfer.success':  return { type: 'disbursement.success',  reference: data.reference };
+      case 'transfer.failed':   return { type: 'disbursement.failed',   reference: data.reference };
+      case 'transfer.reversed': return { type: 'disbursement.reversed', reference: data.reference };
+      case 'refund.processed':
+      case 'refund.failed':
+        return {
+          type:             event.event === 'refund.processed' ? 'payment.refunded' : 'payment.refund_failed',
+          paymentReference: data.transaction_reference,
+          refundReference:  String(data.id ?? data.refund_reference),
+          amountKobo:       data.amount,
+        };
+      default:                  return { type: 'ignored', rawType: event.event };
+    }
+  },
+
+  webhookEventId(event) {
+    const data = event.data || {};
+    const key  = data.id ?? data.reference;
+    return key != null ? `${event.event}:${key}` : null;
+  },
+};
+
+const PAYMENT_PROVIDERS = { monnify: monnifyProvider, paystack: paystackProvider };
+
+const PROVIDER_OPERATIONS = ['checkout', 'payout', 'resolve', 'banks', 'virtual_accounts'];
+
+function paymentProvider(name) {
+  const provider = PAYMENT_PROVIDERS[name || 'monnify'];
+  if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+  return provider;
+}
+
+const providerFor = (operation) =>
+  paymentProvider(config.payments[operation] || config.payments.provider);
+
+for (const op of PROVIDER_OPERATIONS) log.info(`${`💳 Provider (${op}):`.padEnd(26)} ${providerFor(op).label}`);
 
 // ============================================
 // CLOUDINARY CONFIG
 // ============================================
 cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key:    process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
+  cloud_name: config.cloudinary.cloudName,
+  api_key:    config.cloudinary.apiKey,
+  api_secret: config.cloudinary.apiSecret,
 });
 
 // ============================================
-// MIDDLEWARE
+// EMAIL (SMTP)
+// Receipts and alerts go out over plain SMTP.  In development point SMTP_HOST
+// and SMTP_PORT at a local catcher (Mailpit / MailHog: localhost, 1025).
+// Without SMTP_HOST email is off and only push notifications are sent.
 // ============================================
-app.use(cors());
+const SMTP_HOST = config.smtp.host;
+const SMTP_PORT = config.smtp.port;
+const MAIL_FROM = config.smtp.from;
+
+const mailer = SMTP_HOST
+  ? nodemailer.createTransport({
+      host:   SMTP_HOST,
+      port:   SMTP_PORT,
+      secure: config.smtp.secure,
+      auth:   config.smtp.user ? { user: config.smtp.user, pass: config.smtp.pass } : undefined,
+    })
+  : null;
+
+log.info(`${'📧 Email (SMTP):'.padEnd(26)} ${mailer ? `${SMTP_HOST}:${SMTP_PORT}` : '⚠️ Off (SMTP_HOST not set)'}`);
 
 // ============================================
-// HEALTH
+// AUTH — Firebase ID tokens + roles
+// The acting user always comes from the verified token, never the body.
+// Role resolution: `role` custom claim first, then `users/{uid}.role`.
 // ============================================
-app.get('/health', (req, res) => res.status(200).send('Server is alive'));
+const ROLES = ['user', 'provider', 'admin'];
 
-app.get('/api/server-ip', async (req, res) => {
+async function requireAuth(req, res, next) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return res.status(401).json({ error: 'Authentication required' });
+
+  let decoded;
   try {
-    const r = await axios.get('https://api.ipify.org?format=json');
-    res.json({ ip: r.data.ip, note: 'Whitelist this in Monnify Dashboard → Settings → API Settings' });
-  } catch (e) {
-    res.status(500).json({ error: 'Could not determine IP' });
+    decoded = await admin.auth().verifyIdToken(match[1], true);
+  } catch (error) {
+    const revoked = error.code === 'auth/id-token-revoked' || error.code === 'auth/user-disabled';
+    return res.status(401).json({ error: revoked ? 'Session revoked' : 'Invalid or expired token' });
   }
-});
+
+  try {
+    let role = decoded.role;
+    if (!ROLES.includes(role)) {
+      const snap = await db.collection('users').doc(decoded.uid).get();
+      role = snap.exists ? snap.data().role : undefined;
+    }
+    req.user = {
+      uid:   decoded.uid,
+      email: decoded.email,
+      role:  ROLES.includes(role) ? role : 'user',
+      token: decoded,
+    };
+    const context = requestContext.getStore();
+    if (context) context.userId = decoded.uid;
+    next();
+  } catch (error) {
+    log.error('❌ Auth Error', { error });
+    res.status(500).json({ error: 'Could not resolve user role' });
+  }
+}
+
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+  if (!roles.includes(req.user.role))
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  next();
+};
 
 // ============================================
-// PAYMENT DONE REDIRECT PAGE
-// ✅ FIX: Monnify redirects here after payment.  The WebView detects the URL
-//         and triggers verification.  Without this route the backend returns
-//         a 404 which some WebView implementations handle differently across
-//         Android/iOS, occasionally preventing the navigation-state-change
-//         callback from firing.  A proper 200 response removes that ambiguity.
+// RATE LIMITING
+// Fixed-window limits per route group, counted per signed-in user (after
+// requireAuth) and per IP for anonymous callers.  Mount rateLimit(policy)
+// after requireAuth and before requireTransactionPin / idempotent, so a
+// throttled request costs no PIN attempt and claims no Idempotency-Key.
+//
+// RATE_LIMIT_STORE picks where counts live: `memory` (per process — fine for
+// a single instance) or `firestore` (`rate_limits`, shared by all instances;
+// give the collection a TTL policy on `expiresAt`).  If the store fails the
+// request goes through — a limiter outage must not take payments down.
+//
+// Throttled requests get 429 with Retry-After.  The first refusal in each
+// window is counted on `rate_limit_offenders/{subject}`; a subject throttled
+// in RATE_LIMIT_FLAG_WINDOWS windows is flagged for review (see
+// ADMIN — RATE LIMIT OFFENDERS).
 // ============================================
-app.get('/payment/done', (req, res) => {
-  const { paymentStatus = 'UNKNOWN', transactionReference = '' } = req.query;
-  res.status(200).send(`
-    <!DOCTYPE html>
-    <html>
-      <head>
-        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-        <title>Payment ${paymentStatus}</title>
-        <style>
-          body { font-family: -apple-system, sans-serif; display: flex; align-items: center;
-                 justify-content: center; min-height: 100vh; margin: 0; background: #f9fafb; }
-          .card { background: #fff; border-radius: 16px; padding: 40px 32px;
-                  text-align: center; box-shadow: 0 2px 16px rgba(0,0,0,.08); max-width: 340px; }
-          .icon { font-size: 52px; margin-bottom: 12px; }
-          h2 { margin: 0 0 8px; font-size: 20px; color: #111; }
-          p  { margin: 0; color: #666; font-size: 14px; }
-        </style>
-      </head>
-      <body>
-        <div class="card">
-          <div class="icon">${paymentStatus === 'PAID' ? '✅' : paymentStatus === 'FAILED' ? '❌' : '⏳'}</div>
-          <h2>${paymentStatus === 'PAID' ? 'Payment Successful' : paymentStatus === 'FAILED' ? 'Payment Failed' : 'Processing…'}</h2>
-          <p>Please return to the app — your wallet is being updated.</p>
-        </div>
-      </body>
-    </html>
-  `);
+// RATE_LIMIT_POLICIES='{"lookup":{"max":40}}' overrides single values.
+const DEFAULT_RATE_LIMIT_POLICIES = {
+  lookup:        { windowMs: 60 * 1000,      max: 20 },   // name enquiries, validations, status checks
+  money:         { windowMs: 60 * 1000,      max: 10 },   // funding, withdrawals, transfers, vends
+  upload:        { windowMs: 15 * 60 * 1000, max: 20 },
+  export:        { windowMs: 15 * 60 * 1000, max: 10 },   // statement downloads — ledger scans rendered to PDF/CSV
+  notifications: { windowMs: 60 * 60 * 1000, max: 30 },   // admin broadcasts and direct sends
+  public:        { windowMs: 60 * 1000,      max: 60 },   // anonymous pages and probes, per IP
+  webhook:       { windowMs: 60 * 1000,      max: 600 },  // provider callbacks, per IP — each is stored
+};
+const RATE_LIMIT_POLICIES = Object.fromEntries(Object.entries(DEFAULT_RATE_LIMIT_POLICIES)
+  .map(([name, policy]) => [name, { ...policy, ...(config.rateLimits.policies[name] || {}) }]));
+const RATE_LIMIT_FLAG_WINDOWS = 3;
+
+for (const name of Object.keys(config.rateLimits.policies))
+  if (!RATE_LIMIT_POLICIES[name]) log.warn(`⚠️ RATE_LIMIT_POLICIES: unknown policy "${name}" ignored`);
+
+// Stores implement hit(key, windowMs) → { count, resetAt }: counts one
+// request against the key's current window.
+function createMemoryRateLimitStore() {
+  const windows = new Map();   // key → { count, resetAt }
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) if (window.resetAt <= now) windows.delete(key);
+  }, 60 * 1000).unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+}
+
+// Windows are aligned to the clock so every instance counts into the same doc.
+function createFirestoreRateLimitStore() {
+  const collection = db.collection('rate_limits');
+  return {
+    async hit(key, windowMs) {
+      const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+      const resetAt     = windowStart + windowMs;
+      const ref         = collection.doc(sha256(`${key}|${windowStart}`));
+      const count = await db.runTransaction(async (t) => {
+        const snap = await t.get(ref);
+        const next = (snap.exists ? snap.data().count : 0) + 1;
+        t.set(ref, { key, count: next, windowStart, expiresAt: admin.firestore.Timestamp.fromMillis(resetAt) });
+        return next;
+      });
+      return { count, resetAt };
+    },
+  };
+}
+
+const rateLimitStore = config.rateLimits.store === 'firestore'
+  ? createFirestoreRateLimitStore()
+  : createMemoryRateLimitStore();
+
+const rateLimitSubject = (req) => (req.user ? `user:${req.user.uid}` : `ip:${req.ip}`);
+
+function rateLimit(policyName) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) throw new Error(`Unknown rate-limit policy: ${policyName}`);
+
+  return async (req, res, next) => {
+    if (!config.rateLimits.enabled) return next();
+    const subject = rateLimitSubject(req);
+
+    let hit;
+    try {
+      hit = await rateLimitStore.hit(`${policyName}:${subject}`, policy.windowMs);
+    } catch (error) {
+      log.error(`❌ Rate limit store error (${policyName}), allowing request`, { error });
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((hit.resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit':     String(policy.max),
+      'RateLimit-Remaining': String(Math.max(0, policy.max - hit.count)),
+      'RateLimit-Reset':     String(retryAfter),
+    });
+    if (hit.count <= policy.max) return next();
+
+    metrics.rateLimited.inc({ policy: policyName });
+    if (hit.count === policy.max + 1) recordRateLimitOffence(req, policyName, subject);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Too many requests. Please try again later.', code: 'RATE_LIMITED', retryAfter });
+  };
+}
+
+// One call per throttled window; never blocks or fails the response.
+async function recordRateLimitOffence(req, policyName, subject) {
+  const ref = db.collection('rate_limit_offenders').doc(subject);
+  try {
+    const flagged = await db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      const data = snap.exists ? snap.data() : {};
+      const throttledWindows = (data.throttledWindows || 0) + 1;
+      const flag = throttledWindows >= RATE_LIMIT_FLAG_WINDOWS && data.status !== 'flagged';
+      t.set(ref, {
+        subject,
+        userId:           req.user?.uid || null,
+        ip:               req.ip,
+        status:           flag ? 'flagged' : data.status || 'watching',
+        throttledWindows,
+        totalWindows:     (data.totalWindows || 0) + 1,
+        policies:         { ...(data.policies || {}), [policyName]: (data.policies?.[policyName] || 0) + 1 },
+        lastPolicy:       policyName,
+        lastPath:         req.originalUrl.split('?')[0],
+        firstThrottledAt: data.firstThrottledAt || admin.firestore.FieldValue.serverTimestamp(),
+        lastThrottledAt:  admin.firestore.FieldValue.serverTimestamp(),
+        ...(flag && { flaggedAt: admin.firestore.FieldValue.serverTimestamp() }),
+      }, { merge: true });
+      return flag;
+    });
+    if (flagged) log.warn(`🚩 Repeat rate-limit offender flagged: ${subject} (${policyName})`);
+  } catch (error) {
+    log.error(`❌ Rate limit offence for ${subject} not recorded`, { error });
+  }
+}
+
+// ============================================
+// REQUEST VALIDATION
+// Every route declares the params, query and body it accepts, as field
+// specs like CONFIG_SCHEMA's — `type`, `required`, `default`, `nullable`
+// (an explicit null is kept, e.g. to clear a value) and per-type rules:
+//
+//   validate({ body: { amount: { type: 'money', operation: 'p2p', required: true } } })
+//
+// Undeclared fields, wrong types (a JSON string where a number belongs, a
+// repeated query parameter) and out-of-range values are refused with 422,
+// listing every problem:
+//
+//   { error: 'Invalid request', code: 'VALIDATION_FAILED',
+//     fields: [{ field: 'body.amount', message: 'must be at least ₦1.00' }] }
+//
+// Parsed values are on req.valid.{params,query,body}: strings trimmed,
+// query numbers and flags converted, `money` in integer kobo (naira in, at
+// most two decimals, within AMOUNT_LIMITS[operation]).  req.body is left as
+// sent — the Idempotency-Key fingerprint is taken from it.
+// ============================================
+const REFERENCE_PATTERN = /^[\w|.:-]{1,128}$/;   // our references, provider references, document IDs
+const EMAIL_PATTERN     = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN      = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_OBJECT_KEYS   = 50;
+const ID_PARAM          = { id: { type: 'reference', required: true } };   // for /…/:id routes
+
+// Shared field specs.
+const ACCOUNT_NUMBER_FIELD = { type: 'digits', length: 10 };
+const BANK_CODE_FIELD      = { type: 'string', max: 10, pattern: /^[A-Za-z0-9]+$/, message: 'must be a bank code' };
+const PIN_FIELD            = { type: 'digits', min: 4, max: 6 };   // transaction PIN
+const PHONE_FIELD          = { type: 'string', max: 16, pattern: /^\+?\d{7,15}$/, message: 'must be a phone number' };
+const PAGE_QUERY           = {
+  cursor: { type: 'reference' },
+  limit:  { type: 'int', min: 1, max: 200 },
+};
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value) &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+// Query strings and route params arrive as text; bodies are JSON.  Each
+// parser returns the value or throws with what is wrong with it.
+const REQUEST_TYPES = {
+  string: (raw, spec) => {
+    if (typeof raw !== 'string') throw new Error('must be text');
+    const value = raw.trim();
+    if (value.length < (spec.min ?? 1)) throw new Error(spec.min ? `must be at least ${spec.min} characters` : 'must not be empty');
+    if (value.length > (spec.max ?? 500)) throw new Error(`must be at most ${spec.max ?? 500} characters`);
+    if (spec.pattern && !spec.pattern.test(value)) throw new Error(spec.message || 'has an invalid format');
+    return value;
+  },
+  reference: (raw) => {
+    if (typeof raw !== 'string' || !REFERENCE_PATTERN.test(raw))
+      throw new Error('must be 1-128 letters, digits or _ - . : |');
+    return raw;
+  },
+  digits: (raw, spec) => {
+    if (typeof raw !== 'string' || !/^\d+$/.test(raw)) throw new Error('must be a string of digits');
+    if (spec.length && raw.length !== spec.length) throw new Error(`must be ${spec.length} digits`);
+    if (raw.length < (spec.min ?? 1) || raw.length > (spec.max ?? 32))
+      throw new Error(`must be ${spec.min ?? 1}-${spec.max ?? 32} digits`);
+    return raw;
+  },
+  email: (raw) => {
+    if (typeof raw !== 'string' || raw.length > 254 || !EMAIL_PATTERN.test(raw.trim()))
+      throw new Error('must be an email address');
+    return raw.trim();
+  },
+  date: (raw) => {
+    if (typeof raw !== 'string' || !DATE_PATTERN.test(raw)) throw new Error('must be a date (YYYY-MM-DD)');
+    return raw;
+  },
+  int: (raw, spec, source) => {
+    const value = source === 'body' ? raw : typeof raw === 'string' && /^-?\d+$/.test(raw) ? Number(raw) : NaN;
+    if (!Number.isSafeInteger(value)) throw new Error('must be a whole number');
+    if (spec.min !== undefined && value < spec.min) throw new Error(`must be at least ${spec.min}`);
+    if (spec.max !== undefined && value > spec.max) throw new Error(`must be at most ${spec.max}`);
+    return value;
+  },
+  boolean: (raw, spec, source) => {
+    if (typeof raw === 'boolean' && source === 'body') return raw;
+    if (raw === 'true' && source !== 'body')  return true;
+    if (raw === 'false' && source !== 'body') return false;
+    throw new Error('must be true or false');
+  },
+  enum: (raw, spec) => {
+    if (!spec.values.includes(raw)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+    return raw;
+  },
+  money: (raw, spec, source) => {
+    const value = source === 'body' ? raw : typeof raw === 'string' && /^\d+(\.\d+)?$/.test(raw) ? Number(raw) : NaN;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)
+      throw new Error('must be a positive amount in naira');
+    const kobo = Math.round(value * 100);
+    if (Math.abs(value * 100 - kobo) > 1e-6) throw new Error('must have at most two decimal places');
+    const { min, max } = AMOUNT_LIMITS[spec.operation];
+    if (kobo < min) throw new Error(`must be at least ${naira(toNaira(min))}`);
+    if (kobo > max) throw new Error(`must be at most ${naira(toNaira(max))}`);
+    return kobo;
+  },
+  object: (raw, spec, source, field, problems) => {
+    if (!isPlainObject(raw)) throw new Error('must be an object');
+    if (spec.fields) return checkFields(spec.fields, raw, source, field, problems);
+    const keys = Object.keys(raw);
+    if (keys.length > (spec.maxKeys ?? MAX_OBJECT_KEYS)) throw new Error(`must have at most ${spec.maxKeys ?? MAX_OBJECT_KEYS} keys`);
+    if (keys.some(key => raw[key] !== null && typeof raw[key] === 'object'))
+      throw new Error('values must be text, numbers, booleans or null');
+    return raw;
+  },
+  array: (raw, spec, source, field, problems) => {
+    if (!Array.isArray(raw)) throw new Error('must be a list');
+    if (raw.length < (spec.min ?? 0)) throw new Error(`must have at least ${spec.min} items`);
+    if (raw.length > (spec.max ?? 100)) throw new Error(`must have at most ${spec.max ?? 100} items`);
+    return raw.map((item, i) => checkField(spec.items, item, source, `${field}[${i}]`, problems));
+  },
+};
+
+function checkField(spec, raw, source, field, problems) {
+  try {
+    return REQUEST_TYPES[spec.type](raw, spec, source, field, problems);
+  } catch (error) {
+    problems.push({ field, message: error.message });
+    return undefined;
+  }
+}
+
+// Checks `values` against `fields`, adding to `problems`; returns the parsed
+// values (absent optional fields take their `default`, if any).
+function checkFields(fields, values = {}, source, prefix = source, problems = []) {
+  const parsed = {};
+  for (const key of Object.keys(values))
+    if (!Object.hasOwn(fields, key)) problems.push({ field: `${prefix}.${key}`, message: 'is not allowed' });
+
+  for (const [key, spec] of Object.entries(fields)) {
+    const raw = values[key];
+    if (raw === null && spec.nullable) {
+      parsed[key] = null;
+      continue;
+    }
+    if (raw === undefined || raw === null || raw === '') {
+      if (spec.required) problems.push({ field: `${prefix}.${key}`, message: 'is required' });
+      else if (spec.default !== undefined) parsed[key] = spec.default;
+      continue;
+    }
+    if (source !== 'body' && typeof raw !== 'string') {
+      problems.push({ field: `${prefix}.${key}`, message: 'must be given once' });
+      continue;
+    }
+    const value = checkField(spec, raw, source, `${prefix}.${key}`, problems);
+    if (value !== undefined) parsed[key] = value;
+  }
+  return parsed;
+}
+
+function respondInvalid(res, problems) {
+  res.status(422).json({ error: 'Invalid request', code: 'VALIDATION_FAILED', fields: problems });
+}
+
+// For bodies only readable inside the handler (multipart); responds and
+// returns null when invalid.
+function parseInput(res, fields, values, source = 'body') {
+  const problems = [];
+  const parsed   = checkFields(fields, values, source, source, problems);
+  if (!problems.length) return parsed;
+  respondInvalid(res, problems);
+  return null;
+}
+
+function validate({ params = {}, query = {}, body = {} } = {}) {
+  return (req, res, next) => {
+    const problems = [];
+    if (req.body !== undefined && !isPlainObject(req.body))
+      return respondInvalid(res, [{ field: 'body', message: 'must be a JSON object' }]);
+    req.valid = {
+      params: checkFields(params, req.params, 'params', 'params', problems),
+      query:  checkFields(query, req.query, 'query', 'query', problems),
+      body:   checkFields(body, req.body, 'body', 'body', problems),
+    };
+    if (problems.length) return respondInvalid(res, problems);
+    next();
+  };
+}
+
+// ============================================
+// ADMIN AUDIT LOG
+// Every admin change is appended to `admin_audit_log`.  Entries are only ever
+// created — nothing here updates or deletes one.  Pass the change's Firestore
+// transaction when there is one so the change and its entry commit together;
+// otherwise the entry is written once the change has been made.
+// ============================================
+function recordAdminAction(req, { action, targetType, targetId, reason, details }, t) {
+  const ref   = db.collection('admin_audit_log').doc();
+  const entry = {
+    actorId:     req.user.uid,
+    actorEmail:  req.user.email || null,
+    action,
+    targetType:  targetType || null,
+    targetId:    targetId || null,
+    reason:      reason || null,
+    details:     details || {},
+    ip:          req.ip,
+    path:        req.originalUrl.split('?')[0],
+    createdAt:   admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (t) return t.create(ref, entry);
+  return ref.create(entry).catch(e =>
+    log.error(`❌ CRITICAL: audit entry for ${action} by ${req.user.uid} not written`, { error: e }));
+}
+
+// ============================================
+// LEDGER — double-entry journal
+// Every money movement is an immutable `ledger_entries` document whose debit
+// and credit legs balance, in kobo (`amountKobo`; entries written before
+// that carry a naira `amount` — read legs through legKobo()).  Wallet legs
+// also move the cached `users.balanceKobo` (and its naira mirror `balance`)
+// inside the same Firestore transaction, so the cache can always be checked
+// against the journal (see /api/admin/ledger/reconcile).
+//
+// Wallets are liabilities: a credit leg increases the user's balance, a debit
+// leg decreases it.  Entry IDs are deterministic (`<reference>:<kind>`) and
+// written with t.create(), so posting the same movement twice fails instead
+// of double-crediting.
+// ============================================
+const LEDGER_ACCOUNTS = {
+  wallet:            (uid) => `user_wallet:${uid}`,
+  settlement:        (provider) => `${provider}_settlement`,
+  vasPayable:        'vas_payable',
+  fees:              'fees',
+  adjustments:       'manual_adjustments',
+  openingBalance:    'opening_balance',
+};
+
+const legKobo = (leg) => koboOf(leg);
+
+const walletOwner = (account) =>
+  account.startsWith('user_wallet:') ? account.slice('user_wallet:'.length) : null;
+
+// Writes only — call after every t.get() of the surrounding transaction.
+function postJournalEntry(t, { id, reference, description, category, legs, meta = {}, updateWallets = true }) {
+  if (!id || !Array.isArray(legs) || legs.length < 2)
+    throw new Error('Journal entry needs an id and at least two legs');
+
+  let debits = 0, credits = 0;
+  for (const leg of legs) {
+    if (!Number.isInteger(leg.amountKobo) || leg.amountKobo <= 0)
+      throw new Error(`Invalid journal leg amount: ${leg.amountKobo}`);
+    if (leg.direction === 'debit')       debits  += leg.amountKobo;
+    else if (leg.direction === 'credit') credits += leg.amountKobo;
+    else throw new Error(`Invalid journal leg direction: ${leg.direction}`);
+  }
+  if (debits !== credits)
+    throw new Error(`Unbalanced journal entry ${id}: debits ${debits} ≠ credits ${credits}`);
+
+  t.create(db.collection('ledger_entries').doc(id), {
+    reference:   reference || id,
+    description: description || '',
+    category:    category || null,
+    legs:        legs.map(({ account, direction, amountKobo }) => ({ account, direction, amountKobo })),
+    accounts:    [...new Set(legs.map(l => l.account))],
+    meta,
+    createdAt:   admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  // Counted on commit when inside db.runTransaction, straight away in a batch.
+  const posted = journalBuffers.get(t);
+  if (posted) posted.push({ category, legs });
+  else        countMoneyFlow({ category, legs });
+
+  if (!updateWallets) return;
+  for (const leg of legs) {
+    const uid = walletOwner(leg.account);
+    if (!uid) continue;
+    const deltaKobo = leg.direction === 'credit' ? leg.amountKobo : -leg.amountKobo;
+    t.update(db.collection('users').doc(uid), {
+      balanceKobo: admin.firestore.FieldValue.increment(deltaKobo),
+      balance:     admin.firestore.FieldValue.increment(toNaira(deltaKobo)),
+      updatedAt:   admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+const reversedLegs = (legs) =>
+  legs.map(l => ({ ...l, direction: l.direction === 'debit' ? 'credit' : 'debit' }));
+
+// Wallet balance as the journal sees it, in kobo.
+async function journalWalletBalance(uid) {
+  const account = LEDGER_ACCOUNTS.wallet(uid);
+  const snap    = await db.collection('ledger_entries').where('accounts', 'array-contains', account).get();
+  let balanceKobo = 0;
+  snap.forEach(doc => {
+    for (const leg of doc.data().legs) {
+      if (leg.account !== account) continue;
+      balanceKobo += leg.direction === 'credit' ? legKobo(leg) : -legKobo(leg);
+    }
+  });
+  return { balanceKobo, entries: snap.size };
+}
+
+// ============================================
+// IDEMPOTENCY — `Idempotency-Key` header on money-moving routes
+// The first request with a key stores a fingerprint of the request and, once
+// the handler responds, the final response.  A retry with the same key and
+// body replays that response; the same key with a different body is a 409.
+// 5xx responses are not stored so the client may retry with the same key.
+// While the handler runs the claim holds a lease (`lockedUntil`) that is
+// renewed until it responds; a claim whose lease ran out — the process died
+// mid-request — is taken over by the next request with that key.
+// ============================================
+const IDEMPOTENCY_TTL_MS   = 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_LEASE_MS = 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// The transaction PIN is left out: it is checked on every attempt and must not
+// end up (even hashed) in the key record.
+const requestFingerprint = (req) => {
+  const { pin, ...body } = req.body ?? {};
+  return sha256(JSON.stringify({ method: req.method, path: req.originalUrl.split('?')[0], body: req.body ? body : null }));
+};
+
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+  if (key.length > 255)
+    return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+
+  const ref         = db.collection('idempotency_keys').doc(sha256(`${req.user.uid}:${key}`));
+  const fingerprint = requestFingerprint(req);
+
+  let outcome;
+  try {
+    outcome = await db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      const rec  = snap.exists ? snap.data() : null;
+      const abandoned = rec?.status === 'in_progress' && (rec.lockedUntil?.toMillis() ?? 0) < Date.now();
+      if (!rec || rec.expiresAt.toMillis() < Date.now() || abandoned) {
+        t.set(ref, {
+          userId:      req.user.uid,
+          key,
+          path:        req.originalUrl.split('?')[0],
+          fingerprint,
+          status:      'in_progress',
+          lockedUntil: admin.firestore.Timestamp.fromMillis(Date.now() + IDEMPOTENCY_LEASE_MS),
+          createdAt:   admin.firestore.FieldValue.serverTimestamp(),
+          expiresAt:   admin.firestore.Timestamp.fromMillis(Date.now() + IDEMPOTENCY_TTL_MS),
+        });
+        return { state: 'new', reclaimed: abandoned };
+      }
+      if (rec.fingerprint !== fingerprint) return { state: 'mismatch' };
+      if (rec.status === 'completed')      return { state: 'replay', rec };
+      return { state: 'in_progress' };
+    });
+  } catch (error) {
+    log.error('❌ Idempotency Error', { error });
+    return res.status(500).json({ error: 'Could not check Idempotency-Key' });
+  }
+
+  if (outcome.reclaimed) log.warn('⚠️ Idempotency lease expired, reclaiming key', { path: req.originalUrl.split('?')[0] });
+  if (outcome.state === 'mismatch')
+    return res.status(409).json({ error: 'Idempotency-Key was already used with a different request' });
+  if (outcome.state === 'in_progress')
+    return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+  if (outcome.state === 'replay') {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(outcome.rec.statusCode).json(outcome.rec.body);
+  }
+
+  // Keep the lease alive for as long as the handler is working on the request.
+  const renewal = setInterval(() => {
+    ref.update({ lockedUntil: admin.firestore.Timestamp.fromMillis(Date.now() + IDEMPOTENCY_LEASE_MS) })
+      .catch(e => log.warn('⚠️ Idempotency Lease Renewal Error', { error: e }));
+  }, IDEMPOTENCY_LEASE_MS / 3);
+  renewal.unref();
+  res.on('close', () => clearInterval(renewal));
+
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    clearInterval(renewal);
+    const write = res.statusCode >= 500
+      ? ref.delete()
+      : ref.update({
+          status:      'completed',
+          statusCode:  res.statusCode,
+          body,
+          completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    write
+      .catch(e => log.error('❌ Idempotency Save Error', { error: e }))
+      .finally(() => send(body));
+    return res;
+  };
+  next();
+}
+
+// ============================================
+// RISK CONTROLS — transaction PIN, tier limits, velocity
+// Money leaving a wallet needs the user's transaction PIN (body `pin`).  PINs
+// are scrypt-hashed in `user_secrets/{uid}`; five wrong attempts lock the PIN
+// for 30 minutes.
+//
+// Withdrawals are also checked, inside the debit transaction, against the
+// limits for the user's KYC tier (`users/{uid}.kycTier`, 0 when unverified)
+// and the velocity rules.  Usage is kept in `risk_usage/{uid}` (recent
+// withdrawals, payout accounts already used) and
+// `risk_usage/{uid}/days/{YYYY-MM-DD}` (Lagos time).
+//
+// Rejections are RiskErrors and reach the app as `{ error, code, ... }`.
+// ============================================
+const PIN_MAX_ATTEMPTS         = 5;
+const PIN_LOCK_MS              = 30 * 60 * 1000;
+const PIN_RESET_MAX_AUTH_AGE_S = 5 * 60;
+
+// Naira.  KYC_TIER_LIMITS='{"1":{"daily":300000}}' overrides single values.
+const DEFAULT_TIER_LIMITS = {
+  0: { perTransaction: 10000,   daily: 20000   },
+  1: { perTransaction: 50000,   daily: 200000  },
+  2: { perTransaction: 200000,  daily: 1000000 },
+  3: { perTransaction: 1000000, daily: 5000000 },
+};
+const KYC_TIER_LIMITS = Object.fromEntries(Object.entries(DEFAULT_TIER_LIMITS).map(([tier, limits]) => {
+  const merged = { ...limits, ...(config.kyc.tierLimits[tier] || {}) };
+  return [tier, { perTransaction: toKobo(merged.perTransaction), daily: toKobo(merged.daily) }];
+}));
+const WITHDRAWALS_PER_HOUR      = config.risk.withdrawalsPerHour;
+const NEW_PAYEE_MAX_AMOUNT_KOBO = toKobo(config.risk.newPayeeMaxAmount);
+const HOUR_MS                   = 60 * 60 * 1000;
+
+class RiskError extends Error {
+  constructor(code, message, { status = 403, ...details } = {}) {
+    super(message);
+    this.name    = 'RiskError';
+    this.code    = code;
+    this.status  = status;
+    this.details = details;
+  }
+}
+
+// Routes call this in their catch blocks; true when it has responded.
+function respondRiskRejection(res, error) {
+  if (!(error instanceof RiskError)) return false;
+  res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+  return true;
+}
+
+// Admins freeze accounts from the back office (see ADMIN — USERS).
+function assertNotFrozen(user) {
+  if (user?.frozen)
+    throw new RiskError('ACCOUNT_FROZEN', 'This account is frozen. Please contact support.');
+}
+
+const userTier   = (user) => Number(user?.kycTier) || 0;
+// Kobo; tierLimitsView() is the naira form for responses.
+const tierLimits     = (tier) => KYC_TIER_LIMITS[tier] || KYC_TIER_LIMITS[0];
+const tierLimitsView = (tier) => {
+  const { perTransaction, daily } = tierLimits(tier);
+  return { perTransaction: toNaira(perTransaction), daily: toNaira(daily) };
+};
+const lagosDay   = (ms = Date.now()) => new Date(ms + HOUR_MS).toISOString().slice(0, 10);
+
+const riskUsageRefs = (uid, day = lagosDay()) => {
+  const profile = db.collection('risk_usage').doc(uid);
+  return { profile, day: profile.collection('days').doc(day) };
+};
+
+const hashPin = (pin, salt) => new Promise((resolve, reject) =>
+  crypto.scrypt(pin, salt, 32, (err, key) => (err ? reject(err) : resolve(key.toString('hex')))));
+
+async function storePin(uid, pin) {
+  const pinSalt = crypto.randomBytes(16).toString('hex');
+  await db.collection('user_secrets').doc(uid).set({
+    pinHash:           await hashPin(pin, pinSalt),
+    pinSalt,
+    pinSetAt:          admin.firestore.FieldValue.serverTimestamp(),
+    failedPinAttempts: 0,
+    pinLockedUntil:    null,
+  }, { merge: true });
+}
+
+async function verifyTransactionPin(uid, pin) {
+  if (pin === undefined || pin === null || pin === '')
+    throw new RiskError('PIN_REQUIRED', 'Transaction PIN required');
+
+  // Each guess is counted (and the lock taken on the last allowed one) before
+  // the hash is compared, so parallel requests cannot outrun the limit.
+  const ref = db.collection('user_secrets').doc(uid);
+  const { secret, attempts } = await db.runTransaction(async (t) => {
+    const secret = (await t.get(ref)).data();
+    if (!secret?.pinHash) throw new RiskError('PIN_NOT_SET', 'Set a transaction PIN first');
+
+    const lockedUntil = secret.pinLockedUntil?.toMillis() || 0;
+    if (lockedUntil > Date.now())
+      throw new RiskError('PIN_LOCKED', 'Too many incorrect PIN attempts. Try again later.', {
+        retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000),
+      });
+
+    const attempts = (secret.failedPinAttempts || 0) + 1;
+    t.update(ref, attempts >= PIN_MAX_ATTEMPTS
+      ? { failedPinAttempts: 0, pinLockedUntil: admin.firestore.Timestamp.fromMillis(Date.now() + PIN_LOCK_MS) }
+      : { failedPinAttempts: attempts });
+    return { secret, attempts };
+  });
+
+  if (safeEqual(await hashPin(String(pin), secret.pinSalt), secret.pinHash)) {
+    await ref.update({ failedPinAttempts: 0, pinLockedUntil: null });
+    return;
+  }
+
+  if (attempts >= PIN_MAX_ATTEMPTS)
+    throw new RiskError('PIN_LOCKED', 'Too many incorrect PIN attempts. Try again later.', {
+      retryAfter: PIN_LOCK_MS / 1000,
+    });
+  throw new RiskError('PIN_INVALID', 'Incorrect transaction PIN', {
+    attemptsRemaining: PIN_MAX_ATTEMPTS - attempts,
+  });
+}
+
+// Runs before `idempotent`, so a wrong PIN never claims the Idempotency-Key.
+async function requireTransactionPin(req, res, next) {
+  try {
+    await verifyTransactionPin(req.user.uid, req.body?.pin);
+  } catch (error) {
+    if (respondRiskRejection(res, error)) return;
+    log.error('❌ PIN Check Error', { error });
+    return res.status(500).json({ error: 'Could not verify transaction PIN' });
+  }
+  next();
+}
+
+// Days begun before usage was kept in kobo also carry a naira `withdrawn`.
+const dayWithdrawnKobo = (day) => (day?.withdrawnKobo || 0) + toKobo(day?.withdrawn || 0);
+
+// Reads only; call before the transaction's writes.  Throws a RiskError on a
+// breach, otherwise returns a function that records the withdrawal's usage
+// (writes only) and returns the usage day to store on the transaction.
+async function assessWithdrawal(t, { userId, user, amountKobo, payee }) {
+  const now  = Date.now();
+  const refs = riskUsageRefs(userId, lagosDay(now));
+  const [profileSnap, daySnap] = await Promise.all([t.get(refs.profile), t.get(refs.day)]);
+
+  const tier       = userTier(user);
+  const limits     = tierLimits(tier);
+  const recent     = (profileSnap.data()?.recentWithdrawals || []).filter(ms => now - ms < HOUR_MS);
+  const knownPayee = Boolean(profileSnap.data()?.payees?.[payee]);
+  const withdrawn  = dayWithdrawnKobo(daySnap.data());
+
+  if (amountKobo > limits.perTransaction)
+    throw new RiskError('LIMIT_PER_TRANSACTION',
+      `Your account tier allows withdrawals of up to ${naira(toNaira(limits.perTransaction))} at a time`,
+      { tier, limit: toNaira(limits.perTransaction) });
+  if (withdrawn + amountKobo > limits.daily)
+    throw new RiskError('LIMIT_DAILY', 'This withdrawal would exceed your daily limit', {
+      tier, limit: toNaira(limits.daily), remaining: toNaira(Math.max(0, limits.daily - withdrawn)),
+    });
+  if (recent.length >= WITHDRAWALS_PER_HOUR)
+    throw new RiskError('VELOCITY_HOURLY', 'Too many withdrawals in the last hour. Try again later.', {
+      retryAfter: Math.ceil((Math.min(...recent) + HOUR_MS - now) / 1000),
+    });
+  if (!knownPayee && amountKobo > NEW_PAYEE_MAX_AMOUNT_KOBO)
+    throw new RiskError('NEW_PAYEE_LIMIT',
+      `The first withdrawal to a new account is limited to ${naira(toNaira(NEW_PAYEE_MAX_AMOUNT_KOBO))}`,
+      { limit: toNaira(NEW_PAYEE_MAX_AMOUNT_KOBO) });
+
+  return () => {
+    t.set(refs.profile, {
+      recentWithdrawals: [...recent, now],
+      ...(knownPayee ? {} : { payees: { [payee]: now } }),
+      updatedAt:         admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    t.set(refs.day, {
+      withdrawnKobo: admin.firestore.FieldValue.increment(amountKobo),
+      count:         admin.firestore.FieldValue.increment(1),
+    }, { merge: true });
+    return refs.day.id;
+  };
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+// Request id: the caller's X-Request-Id when it looks sane, else a fresh one.
+// Echoed on the response and attached to every log line of the request.
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,128}$/;
+const QUIET_PATHS        = ['/health', '/ready', '/metrics'];
+
+app.use((req, res, next) => {
+  const incoming  = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const route   = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    metrics.httpRequestSeconds.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    (QUIET_PATHS.includes(req.path) ? log.debug : log.info)('request', {
+      requestId,
+      method:     req.method,
+      path:       req.path,
+      route,
+      status:     res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      ip:         req.ip,
+    });
+  });
+
+  requestContext.run({ requestId }, next);
+});
+
+app.use(cors());
+
+// ============================================
+// HEALTH
+// ============================================
+// Not rate-limited: a liveness probe that got a 429 would restart the instance.
+app.get('/health', (req, res) => res.status(200).send('Server is alive'));
+
+// Readiness, for the load balancer: Firestore answers and no credential is
+// missing — only possible in development, as elsewhere the server would not
+// have booted (503 otherwise).  An open Monnify circuit only
+// marks the instance degraded — every instance shares the same provider, so
+// pulling them all would take wallets and statements down with it.
+const READY_TIMEOUT_MS = 3000;
+
+app.get('/ready', rateLimit('public'), async (req, res) => {
+  const checks = {};
+
+  const startedAt = Date.now();
+  try {
+    await Promise.race([
+      db.collection('_health').doc('ready').get(),
+      sleep(READY_TIMEOUT_MS).then(() => { throw new Error(`no answer within ${READY_TIMEOUT_MS}ms`); }),
+    ]);
+    checks.firestore = { ok: true, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    checks.firestore = { ok: false, error: error.message };
+  }
+
+  checks.config = configMissing.length
+    ? { ok: false, environment: config.env, missing: configMissing }
+    : { ok: true,  environment: config.env };
+
+  checks.monnifyCircuit = { ok: monnifyBreaker.state === 'closed', state: monnifyBreaker.state };
+
+  const ready  = checks.firestore.ok && checks.config.ok;
+  const status = !ready ? 'not_ready' : checks.monnifyCircuit.ok ? 'ready' : 'degraded';
+  if (!ready) log.warn('readiness check failed', { checks });
+  res.status(ready ? 200 : 503).json({ status, checks });
+});
+
+// Prometheus scrape endpoint.  With METRICS_TOKEN set it needs
+// `Authorization: Bearer <METRICS_TOKEN>`.
+const METRICS_TOKEN = config.logging.metricsToken;
+if (!METRICS_TOKEN) log.warn('⚠️ METRICS_TOKEN not set — /metrics is unauthenticated');
+
+app.get('/metrics', rateLimit('public'), async (req, res) => {
+  if (METRICS_TOKEN && !safeEqual(req.get('Authorization') || '', `Bearer ${METRICS_TOKEN}`))
+    return res.status(401).json({ error: 'Authentication required' });
+  try {
+    res.set('Content-Type', metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+  } catch (error) {
+    log.error('❌ Metrics Error', { error });
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
+app.get('/api/server-ip', requireAuth, requireRole('admin'), validate(), async (req, res) => {
+  try {
+    const r = await axios.get('https://api.ipify.org?format=json');
+    res.json({ ip: r.data.ip, note: 'Whitelist this in Monnify Dashboard → Settings → API Settings' });
+  } catch (e) {
+    res.status(500).json({ error: 'Could not determine IP' });
+  }
+});
+
+// ============================================
+// PAYMENT DONE REDIRECT PAGE
+// ✅ FIX: Monnify redirects here after payment.  The WebView detects the URL
+//         and triggers verification.  Without this route the backend returns
+//         a 404 which some WebView implementations handle differently across
+//         Android/iOS, occasionally preventing the navigation-state-change
+//         callback from firing.  A proper 200 response removes that ambiguity.
+// ============================================
+// No validate(): Monnify picks the query, and this page must always be a 200.
+// The status is echoed into the page, so anything unexpected shows as UNKNOWN.
+app.get('/payment/done', rateLimit('public'), (req, res) => {
+  const paymentStatus = /^[A-Z_]{1,32}$/.test(req.query.paymentStatus) ? req.query.paymentStatus : 'UNKNOWN';
+  res.status(200).send(`
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+        <title>Payment ${paymentStatus}</title>
+        <style>
+          body { font-family: -apple-system, sans-serif; display: flex; align-items: center;
+                 justify-content: center; min-height: 100vh; margin: 0; background: #f9fafb; }
+          .card { background: #fff; border-radius: 16px; padding: 40px 32px;
+                  text-align: center; box-shadow: 0 2px 16px rgba(0,0,0,.08); max-width: 340px; }
+          .icon { font-size: 52px; margin-bottom: 12px; }
+          h2 { margin: 0 0 8px; font-size: 20px; color: #111; }
+          p  { margin: 0; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="card">
+          <div class="icon">${paymentStatus === 'PAID' ? '✅' : paymentStatus === 'FAILED' ? '❌' : '⏳'}</div>
+          <h2>${paymentStatus === 'PAID' ? 'Payment Successful' : paymentStatus === 'FAILED' ? 'Payment Failed' : 'Processing…'}</h2>
+          <p>Please return to the app — your wallet is being updated.</p>
+        </div>
+      </body>
+    </html>
+  `);
+});
+
+// ============================================
+// PAYMENT FULFILMENT
+// The one place a checkout payment turns into wallet balance.  Called by the
+// provider webhooks, /api/monnify/verify and the reconciliation worker —
+// whichever runs first credits, the others see `already_credited`.
+//
+// The amount Monnify reports is checked against the amount recorded by
+// /api/monnify/initialize; a mismatch is flagged for admin review instead of
+// being credited.  The balance, the funding record and the user-level
+// transaction log are written in the same Firestore transaction.
+// ============================================
+async function fulfilPayment({ paymentReference, providerReference, amountPaidKobo, source }) {
+  const txnRef = db.collection('transactions').doc(paymentReference);
+
+  const result = await db.runTransaction(async (t) => {
+    const snap = await t.get(txnRef);
+    if (!snap.exists) return { outcome: 'unknown_reference' };
+
+    const txn = snap.data();
+    if (txn.status === 'success') return { outcome: 'already_credited', userId: txn.userId };
+    if (txn.status === 'flagged') return { outcome: 'already_flagged',  userId: txn.userId };
+
+    const userId   = txn.userId;
+    const provider = paymentProvider(txn.provider);
+    const logRef  = db.collection('users').doc(userId).collection('transactions').doc(paymentReference);
+    const description = txn.channel === 'virtual_account'
+      ? `Bank Transfer via ${provider.label}`
+      : `Wallet Funding via ${provider.label}`;
+    const logBase = {
+      reference:   paymentReference,
+      description,
+      type:        'credit',
+      category:    'wallet_fund',
+      createdAt:   admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    // Records created before initialize tracked the amount have nothing to compare.
+    const amountPaid = toNaira(amountPaidKobo);
+    const expected   = txn.expectedAmount == null ? null : koboOf(txn, 'expectedAmount');
+    if (expected !== null && expected !== amountPaidKobo) {
+      const flag = amountPaidKobo < expected ? 'underpayment' : 'overpayment';
+      t.update(txnRef, {
+        status:           'flagged',
+        flag,
+        amountPaid,
+        amountPaidKobo,
+        providerReference,
+        flaggedBy:        source,
+        flaggedAt:        admin.firestore.FieldValue.serverTimestamp(),
+      });
+      t.set(logRef, { ...logBase, amount: amountPaid, amountKobo: amountPaidKobo, status: 'flagged' }, { merge: true });
+      return { outcome: 'flagged', flag, userId, expected };
+    }
+
+    postJournalEntry(t, {
+      id:          `${paymentReference}:credit`,
+      reference:   paymentReference,
+      description,
+      category:    'wallet_fund',
+      legs: [
+        { account: LEDGER_ACCOUNTS.settlement(provider.name), direction: 'debit',  amountKobo: amountPaidKobo },
+        { account: LEDGER_ACCOUNTS.wallet(userId),            direction: 'credit', amountKobo: amountPaidKobo },
+      ],
+      meta: { providerReference, source },
+    });
+    t.update(txnRef, {
+      status:              'success',
+      providerReference,
+      amountPaid,
+      amountPaidKobo,
+      creditedBy:          source,
+      verifiedAt:          admin.firestore.FieldValue.serverTimestamp(),
+    });
+    t.set(logRef, { ...logBase, amount: amountPaid, amountKobo: amountPaidKobo, status: 'success' }, { merge: true });
+    return { outcome: 'credited', userId, description };
+  });
+
+  if (result.outcome === 'credited')
+    emitWalletEvent('wallet.funded', result.userId, {
+      reference: paymentReference, amount: toNaira(amountPaidKobo), description: result.description,
+    });
+  return result;
+}
+
+// Transfers into a virtual account have no checkout record, so one is created
+// (once — keyed by the provider's payment reference) and then fulfilled like
+// any other payment.  No expected amount: whatever arrives is credited.
+async function fulfilVirtualAccountTransfer({ accountReference, paymentReference, providerReference, amountPaidKobo, provider, source }) {
+  const va = await db.collection('virtual_accounts').doc(accountReference).get();
+  if (!va.exists) return { outcome: 'unknown_account' };
+
+  await db.collection('transactions').doc(paymentReference).create({
+    userId:            va.data().userId,
+    provider,
+    providerReference,
+    accountReference,
+    channel:           'virtual_account',
+    type:              'credit',
+    category:          'wallet_fund',
+    status:            'pending',
+    createdAt:         admin.firestore.FieldValue.serverTimestamp(),
+  }).catch((error) => {
+    if (error.code !== 6) throw error;   // ALREADY_EXISTS: a redelivery
+  });
+
+  return fulfilPayment({ paymentReference, providerReference, amountPaidKobo, source });
+}
+
+// ============================================
+// PROVIDER WEBHOOKS  (raw body BEFORE express.json)
+// Every delivery is stored raw in `webhook_events` with its signature check
+// before anything else happens, then processed from that record.
+//
+// Signed events are keyed by the provider's event identifier (see
+// webhookEventId), so a redelivery of a processed event is acknowledged and
+// counted, not re-run.  A failed event answers 500 so the provider retries;
+// after WEBHOOK_MAX_ATTEMPTS it moves to `dead_letter` and is acknowledged,
+// and waits for an admin to replay it (ADMIN — WEBHOOK EVENTS).  Unsigned
+// deliveries are stored as `rejected` and never processed.
+//
+//   received → processed | failed → … → dead_letter
+// ============================================
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_STALE_MS     = 2 * 60 * 1000;   // a `received` event older than this crashed mid-way
+
+// ── Handlers: normalised event → outcome.  Each must be safe to run twice. ──
+async function settleDisbursementEvent(event) {
+  const status    = event.type === 'disbursement.success' ? 'success' : 'failed';
+  const reference = event.reference;
+  const txnRef    = db.collection('transactions').doc(reference);
+
+  const reversed = await db.runTransaction(async (t) => {
+    const snap = await t.get(txnRef);
+    if (!snap.exists) return 'unknown_reference';
+    const txn = snap.data();
+
+    if (status === 'success') {
+      t.update(txnRef, { status, settledAt: admin.firestore.FieldValue.serverTimestamp() });
+      syncWithdrawalLog(t, reference, txn, 'success');
+      return 'marked_success';
+    }
+    // Already reversed by the transfer route or an earlier delivery
+    if (txn.status === 'failed' || txn.status === 'reversed') return 'already_reversed';
+
+    reverseWithdrawal(t, reference, txn, 'Withdrawal failed — reversal');
+    t.update(txnRef, { status: 'failed', settledAt: admin.firestore.FieldValue.serverTimestamp() });
+    return txn;
+  });
+  if (typeof reversed === 'string') return reversed;
+
+  log.warn(`↩️ Disbursement failed — reversed ₦${toNaira(koboOf(reversed))} for ${reversed.userId}`);
+  emitWalletEvent('withdrawal.reversed', reversed.userId, {
+    reference, amount: toNaira(koboOf(reversed)), destination: reversed.destination,
+  });
+  return 'reversed';
+}
+
+// A processor refunded (part of) a wallet funding payment to the payer, so the
+// refunded amount leaves the wallet.  A wallet taken below zero is frozen
+// until support sorts it out.
+async function refundPaymentEvent(event, providerName) {
+  let txnRef;
+  if (event.paymentReference) {
+    txnRef = db.collection('transactions').doc(event.paymentReference);
+  } else {
+    const snap = await db.collection('transactions')
+      .where('providerReference', '==', event.providerReference).limit(1).get();
+    if (snap.empty) return 'unknown_reference';
+    txnRef = snap.docs[0].ref;
+  }
+  const refundKey = String(event.refundReference).replace(/[^\w-]/g, '_');
+
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(txnRef);
+    if (!snap.exists) return 'unknown_reference';
+    const txn = snap.data();
+    if ((txn.refunds || []).some(r => r.refundReference === event.refundReference)) return 'already_refunded';
+
+    const amount   = toNaira(event.amountKobo);
+    const refund   = { refundReference: event.refundReference, amount, amountKobo: event.amountKobo, at: new Date().toISOString() };
+    const refunded = { refundedAmountKobo: koboOf(txn, 'refundedAmount') + event.amountKobo };
+    refunded.refundedAmount = toNaira(refunded.refundedAmountKobo);
+
+    // Never credited (flagged, rejected, expired): nothing to take back.
+    if (txn.status !== 'success' && txn.status !== 'refunded') {
+      t.update(txnRef, { refunds: admin.firestore.FieldValue.arrayUnion(refund), ...refunded });
+      return 'recorded_uncredited';
+    }
+
+    const userRef    = db.collection('users').doc(txn.userId);
+    const user       = await t.get(userRef);
+    const id         = `${txnRef.id}-REFUND-${refundKey}`;
+    const settlement = LEDGER_ACCOUNTS.settlement(txn.provider || providerName);
+    postJournalEntry(t, {
+      id,
+      reference:   txnRef.id,
+      description: 'Refund of wallet funding',
+      category:    'wallet_fund',
+      legs: [
+        { account: LEDGER_ACCOUNTS.wallet(txn.userId), direction: 'debit',  amountKobo: event.amountKobo },
+        { account: settlement,                         direction: 'credit', amountKobo: event.amountKobo },
+      ],
+      meta: { refundReference: event.refundReference },
+    });
+    t.set(userRef.collection('transactions').doc(id), {
+      reference:   id,
+      description: 'Refund of wallet funding',
+      type:        'debit',
+      category:    'wallet_fund',
+      amount,
+      amountKobo:  event.amountKobo,
+      status:      'success',
+      createdAt:   admin.firestore.FieldValue.serverTimestamp(),
+    });
+    t.update(txnRef, {
+      refunds: admin.firestore.FieldValue.arrayUnion(refund),
+      ...refunded,
+      ...(refunded.refundedAmountKobo >= koboOf(txn, 'amountPaid') ? { status: 'refunded' } : {}),
+    });
+    if (koboOf(user.data(), 'balance') < event.amountKobo) {
+      t.update(userRef, {
+        frozen:       true,
+        frozenReason: `Balance went negative after refund ${event.refundReference}`,
+        frozenAt:     admin.firestore.FieldValue.serverTimestamp(),
+        frozenBy:     'system',
+      });
+      log.error(`❌ CRITICAL: refund ${event.refundReference} took ${txn.userId} below zero — account frozen`);
+    }
+    return 'refunded';
+  });
+}
+
+const webhookHandlers = {
+  'payment.success': async (event, name) => {
+    const { outcome, userId, flag } = await fulfilPayment({ ...event, source: `webhook:${name}` });
+    if (outcome === 'flagged')
+      log.warn(`⚠️ Webhook: ${event.paymentReference} ${flag} (₦${toNaira(event.amountPaidKobo)}) — held for review`);
+    else if (outcome === 'credited')
+      log.info(`✅ Webhook credited ₦${toNaira(event.amountPaidKobo)} → ${userId}`);
+    return outcome;
+  },
+  'transfer.received': async (event, name) => {
+    const { outcome, userId } = await fulfilVirtualAccountTransfer({ ...event, provider: name, source: `webhook:${name}` });
+    if (outcome === 'unknown_account')
+      log.warn(`⚠️ Webhook: transfer to unknown virtual account ${event.accountReference}`);
+    else if (outcome === 'credited')
+      log.info(`✅ Webhook credited ₦${toNaira(event.amountPaidKobo)} → ${userId} (virtual account)`);
+    return outcome;
+  },
+  'disbursement.success':  settleDisbursementEvent,
+  'disbursement.failed':   settleDisbursementEvent,
+  'disbursement.reversed': settleDisbursementEvent,
+  'payment.refunded':      refundPaymentEvent,
+  'payment.refund_failed': async (event) => {
+    log.warn(`⚠️ Refund ${event.refundReference} failed at the processor`);
+    return 'noted';
+  },
+  ignored: async () => 'ignored',
+};
+
+// Runs the stored event through its handler and records the result.
+async function processWebhookEvent(ref) {
+  const record = (await ref.get()).data();
+  try {
+    const event   = paymentProvider(record.provider).parseWebhook(JSON.parse(record.rawBody));
+    const outcome = await webhookHandlers[event.type](event, record.provider);
+    await ref.update({
+      status:      'processed',
+      outcome,
+      attempts:    (record.attempts || 0) + 1,
+      lastError:   null,
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    metrics.webhookEvents.inc({ provider: record.provider, type: event.type, outcome: 'processed' });
+    return { status: 'processed', outcome };
+  } catch (error) {
+    const attempts = (record.attempts || 0) + 1;
+    const status   = attempts >= WEBHOOK_MAX_ATTEMPTS ? 'dead_letter' : 'failed';
+    metrics.webhookEvents.inc({ provider: record.provider, type: record.type || 'unknown', outcome: status });
+    await ref.update({ status, attempts, lastError: error.message, failedAt: admin.firestore.FieldValue.serverTimestamp() })
+      .catch(e => log.error(`❌ Webhook ${ref.id} status update failed`, { error: e }));
+    if (status === 'dead_letter') log.error(`❌ CRITICAL: webhook ${ref.id} dead-lettered`, { error });
+    else                          log.error(`❌ Webhook ${ref.id} attempt ${attempts} failed`, { error });
+    return { status, error };
+  }
+}
+
+const providerWebhook = (name) => async (req, res) => {
+  const provider = paymentProvider(name);
+  const events   = db.collection('webhook_events');
+  try {
+    const rawBody = req.body.toString();
+    let parsed = null;
+    try { parsed = JSON.parse(rawBody); } catch (_) {}
+    const signatureValid = provider.verifyWebhook(req.body, req.headers);
+    const event          = parsed ? provider.parseWebhook(parsed) : null;
+    const record = {
+      provider:       name,
+      type:           event?.type || null,
+      rawType:        event?.rawType || null,
+      rawBody,
+      signatureValid,
+      ip:             req.ip,
+      attempts:       0,
+      duplicates:     0,
+      receivedAt:     admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (!signatureValid || !parsed) {
+      await events.add({ ...record, status: 'rejected', reason: parsed ? 'invalid_signature' : 'invalid_json' });
+      metrics.webhookEvents.inc({ provider: name, type: event?.type || 'unknown', outcome: 'rejected' });
+      log.warn(`⚠️ Invalid ${provider.label} webhook ${parsed ? 'signature' : 'body'} — stored as rejected`);
+      return res.status(401).send('Invalid Signature');
+    }
+
+    const eventKey = provider.webhookEventId(parsed) || `body:${sha256(rawBody)}`;
+    const ref      = events.doc(`${name}-${sha256(eventKey).slice(0, 32)}`);
+    log.info(`📩 Webhook (${provider.label}): ${event.type === 'ignored' ? event.rawType : event.type}`);
+
+    try {
+      await ref.create({ ...record, eventKey, status: 'received' });
+    } catch (error) {
+      if (error.code !== 6) throw error;   // ALREADY_EXISTS: a redelivery
+      const existing = (await ref.get()).data();
+      const stale    = existing.status === 'received' && Date.now() - existing.receivedAt.toMillis() > WEBHOOK_STALE_MS;
+      if (existing.status !== 'failed' && !stale) {
+        await ref.update({
+          duplicates:      admin.firestore.FieldValue.increment(1),
+          lastDuplicateAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        metrics.webhookEvents.inc({ provider: name, type: event.type, outcome: 'duplicate' });
+        log.info(`⏭️  Webhook: ${eventKey} already ${existing.status} — skipping.`);
+        return res.status(200).send('Already processed');
+      }
+    }
+
+    const result = await processWebhookEvent(ref);
+    if (result.status === 'failed') return res.status(500).send('Processing failed');
+    res.status(200).send('Webhook Received');
+  } catch (err) {
+    // Not even stored: let the provider retry.
+    log.error('❌ Webhook Error', { error: err });
+    res.status(500).send('Webhook Error');
+  }
+};
+
+// Throttled before the body is read, so a flood of unsigned posts is refused
+// rather than stored in `webhook_events`.
+app.post('/api/monnify/webhook',  rateLimit('webhook'), express.raw({ type: 'application/json' }), providerWebhook('monnify'));
+app.post('/api/paystack/webhook', rateLimit('webhook'), express.raw({ type: 'application/json' }), providerWebhook('paystack'));
+
+// ============================================
+// MONNIFY SIMULATOR  (MONNIFY_SIMULATOR=true — development only)
+// An in-process stand-in for the Monnify endpoints this server calls, so the
+// app runs end to end with no network access: with the simulator on,
+// MONNIFY_BASE_URL points at /simulator/monnify on this same server and the
+// Monnify credentials default to simulator values (see CONFIG).  Pair it with
+// the Firestore emulator (FIRESTORE_EMULATOR_HOST) and KYC_PROVIDER=stub —
+// BVN/NIN lookups are not simulated.
+//
+// It behaves like Monnify where our code depends on it: Basic key:secret for
+// login and the issued bearer token after that, unique payment / payout /
+// vend references, paged VAS lists, 4xx for unknown records, and
+// HMAC-signed webhooks posted back to /api/monnify/webhook when money moves.
+// State lives in memory and is lost on restart.
+//
+// Outcomes follow the last digit, like the stub KYC provider:
+//   • account numbers ending in 0 do not resolve; payouts to ones ending in 8
+//     are refused outright (400) and payouts to ones ending in 9 fail.  Other
+//     payouts answer PENDING and settle as SUCCESS after
+//     MONNIFY_SIMULATOR_SETTLE_MS, each with its webhook;
+//   • VAS customer ids ending in 0 fail validation; vends for ones ending
+//     in 9 come back FAILED.
+// The checkoutUrl of a payment serves a page with Pay and Cancel buttons.
+//
+// Test hooks, all under /simulator/monnify/control (answers include the
+// webhook delivery status, so a test can assert on the wallet straight away):
+//   POST /transactions/:transactionReference/pay     { amount? }  → PAID
+//   POST /transactions/:transactionReference/refund  { amount }   → SUCCESSFUL_REFUND
+//   POST /disbursements/:reference/settle            { status }   → SUCCESS | FAILED | REVERSED
+//   POST /reserved-accounts/:accountReference/transfer { amount } → inbound transfer
+//   POST /webhooks/:index/redeliver — resend a webhook byte for byte (dedup tests)
+//   GET  /state, POST /reset
+// ============================================
+const SIMULATOR_PATH = '/simulator/monnify';
+
+const SIM_BANKS = [
+  { name: 'Access Bank',            code: '044'   },
+  { name: 'First Bank of Nigeria',  code: '011'   },
+  { name: 'Guaranty Trust Bank',    code: '058'   },
+  { name: 'Moniepoint MFB',         code: '50515' },
+  { name: 'Sterling Bank',          code: '232'   },
+  { name: 'United Bank For Africa', code: '033'   },
+  { name: 'Wema Bank',              code: '035'   },
+  { name: 'Zenith Bank',            code: '057'   },
+];
+
+const SIM_ACCOUNT_NAMES = ['ADAEZE OKAFOR', 'TUNDE BAKARE', 'FATIMA BELLO', 'CHIDI NWOSU', 'BISI ADEYEMI'];
+const SIM_WALLET_OPENING_BALANCE = 10000000;
+const SIM_PAYOUT_FEE             = 10;
+
+const simCategory = (code, name) => ({ code, name });
+const AIRTIME     = simCategory('AIRTIME', 'Airtime');
+const DATA_BUNDLE = simCategory('DATA_BUNDLE', 'Data Bundle');
+const ELECTRICITY = simCategory('ELECTRICITY', 'Electricity');
+const CABLE_TV    = simCategory('CABLE_TV', 'Cable TV');
+
+// Products with a `price` vend for exactly that; the others take any amount
+// between minAmount and maxAmount.
+const SIM_VAS = [
+  { code: 'MTN',    name: 'MTN',            category: AIRTIME, products: [
+    { code: 'MTN-VTU',    name: 'MTN Airtime',              minAmount: 50, maxAmount: 50000, categories: [AIRTIME] },
+  ] },
+  { code: 'AIRTEL', name: 'Airtel',         category: AIRTIME, products: [
+    { code: 'AIRTEL-VTU', name: 'Airtel Airtime',           minAmount: 50, maxAmount: 50000, categories: [AIRTIME] },
+  ] },
+  { code: 'MTN-DATA', name: 'MTN Data',     category: DATA_BUNDLE, products: [
+    { code: 'MTN-1GB',    name: 'MTN 1GB (30 days)',        price: 1000, categories: [DATA_BUNDLE] },
+    { code: 'MTN-5GB',    name: 'MTN 5GB (30 days)',        price: 3500, categories: [DATA_BUNDLE] },
+  ] },
+  { code: 'IKEDC',  name: 'Ikeja Electric', category: ELECTRICITY, products: [
+    { code: 'IKEDC-PRE',  name: 'Ikeja Electric Prepaid',   minAmount: 500, maxAmount: 500000, categories: [ELECTRICITY] },
+    { code: 'IKEDC-POST', name: 'Ikeja Electric Postpaid',  minAmount: 500, maxAmount: 500000, categories: [ELECTRICITY] },
+  ] },
+  { code: 'DSTV',   name: 'DStv',           category: CABLE_TV, products: [
+    { code: 'DSTV-COMPACT', name: 'DStv Compact',           price: 15700, categories: [CABLE_TV] },
+    { code: 'DSTV-PADI',    name: 'DStv Padi',              price: 3600,  categories: [CABLE_TV] },
+  ] },
+];
+
+function createMonnifySimulator() {
+  const router = express.Router();
+  const state  = {};
+  const reset  = () => Object.assign(state, {
+    tokens:           new Map(),   // accessToken → expiresAt
+    transactions:     new Map(),   // transactionReference → transaction
+    disbursements:    new Map(),   // reference → disbursement
+    reservedAccounts: new Map(),   // accountReference → reserved account
+    vends:            new Map(),   // reference → vend
+    webhooks:         [],          // { eventType, body, deliveries: [status] }
+    walletBalance:    SIM_WALLET_OPENING_BALANCE,
+    sequence:         0,
+  });
+  reset();
+
+  const nextId      = (prefix) => `${prefix}${Date.now()}${String(++state.sequence).padStart(4, '0')}`;
+  const lastDigit   = (value) => String(value ?? '').slice(-1);
+  const accountName = (accountNumber) => SIM_ACCOUNT_NAMES[Number(lastDigit(accountNumber)) % SIM_ACCOUNT_NAMES.length];
+  const bankName    = (code) => SIM_BANKS.find(b => b.code === code)?.name;
+  const findProduct = (code) => SIM_VAS.flatMap(b => b.products).find(p => p.code === code);
+
+  const ok = (res, responseBody, responseMessage = 'success') =>
+    res.json({ requestSuccessful: true, responseMessage, responseCode: '0', responseBody });
+  const fail = (res, status, responseMessage, responseCode = '99') =>
+    res.status(status).json({ requestSuccessful: false, responseMessage, responseCode });
+
+  // Resolves with the HTTP status our webhook endpoint answered (or null).
+  async function deliver(webhook) {
+    const status = await axios.post(`http://127.0.0.1:${PORT}/api/monnify/webhook`, webhook.body, {
+      headers: { 'Content-Type': 'application/json', 'monnify-signature': hmacSha512(MONNIFY_SECRET_KEY, webhook.body) },
+      timeout: 10000,
+      validateStatus: () => true,
+    }).then(r => r.status, (error) => {
+      log.error(`❌ Simulator webhook ${webhook.eventType} failed`, { error });
+      return null;
+    });
+    webhook.deliveries.push(status);
+    return status;
+  }
+
+  const sendWebhook = (eventType, eventData) => {
+    const webhook = { eventType, body: JSON.stringify({ eventType, eventData }), deliveries: [] };
+    state.webhooks.push(webhook);
+    return deliver(webhook);
+  };
+
+  const transactionEvent = (txn) => ({
+    transactionReference: txn.transactionReference,
+    paymentReference:     txn.paymentReference,
+    amountPaid:           txn.amountPaid,
+    totalPayable:         txn.amount,
+    settlementAmount:     txn.amountPaid,
+    paidOn:               txn.paidOn,
+    paymentStatus:        txn.paymentStatus,
+    paymentDescription:   txn.paymentDescription,
+    paymentMethod:        txn.paymentMethod,
+    currency:             'NGN',
+    product:              txn.product,
+    customer:             txn.customer,
+  });
+
+  function payTransaction(txn, amount = txn.amount) {
+    txn.amountPaid    = amount;
+    txn.paymentStatus = amount >= txn.amount ? 'PAID' : 'PARTIALLY_PAID';
+    txn.paidOn        = new Date().toISOString();
+    return sendWebhook('SUCCESSFUL_TRANSACTION', transactionEvent(txn));
+  }
+
+  const DISBURSEMENT_EVENTS = { SUCCESS: 'SUCCESSFUL_DISBURSEMENT', FAILED: 'FAILED_DISBURSEMENT', REVERSED: 'REVERSED_DISBURSEMENT' };
+
+  // PENDING → SUCCESS | FAILED, SUCCESS → REVERSED; null when not allowed.
+  function settleDisbursement(disbursement, status) {
+    const allowed = disbursement.status === 'PENDING' ? ['SUCCESS', 'FAILED'] : disbursement.status === 'SUCCESS' ? ['REVERSED'] : [];
+    if (!allowed.includes(status)) return null;
+    disbursement.status      = status;
+    disbursement.completedOn = new Date().toISOString();
+    if (status !== 'SUCCESS') state.walletBalance += disbursement.amount + disbursement.totalFee;
+    return sendWebhook(DISBURSEMENT_EVENTS[status], {
+      reference:                disbursement.reference,
+      transactionReference:     disbursement.transactionReference,
+      amount:                   disbursement.amount,
+      fee:                      disbursement.totalFee,
+      status,
+      narration:                disbursement.narration,
+      destinationAccountNumber: disbursement.destinationAccountNumber,
+      destinationBankCode:      disbursement.destinationBankCode,
+      destinationAccountName:   disbursement.destinationAccountName,
+      completedOn:              disbursement.completedOn,
+    });
+  }
+
+  const page = (items, { page = 0, size = 20 }) => {
+    const number     = Math.max(0, Number(page) || 0);
+    const limit      = Math.min(100, Math.max(1, Number(size) || 20));
+    const totalPages = Math.ceil(items.length / limit);
+    return {
+      content:       items.slice(number * limit, (number + 1) * limit),
+      number,
+      size:          limit,
+      totalElements: items.length,
+      totalPages,
+      last:          number + 1 >= totalPages,
+    };
+  };
+
+  router.use(express.json());
+  router.use(express.urlencoded({ extended: false }));
+
+  // ---- Monnify API ----
+
+  router.post('/api/v1/auth/login', (req, res) => {
+    if (req.get('Authorization') !== monnifyBasicAuth()) return fail(res, 401, 'Invalid client credentials', '99');
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    state.tokens.set(accessToken, Date.now() + 3600 * 1000);
+    ok(res, { accessToken, expiresIn: 3599 });
+  });
+
+  router.use('/api', (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const bearer = header.match(/^Bearer (.+)$/)?.[1];
+    if (header === monnifyBasicAuth() || (bearer && state.tokens.get(bearer) > Date.now())) return next();
+    fail(res, 401, 'Full authentication is required to access this resource', '401');
+  });
+
+  router.post('/api/v1/merchant/transactions/init-transaction', (req, res) => {
+    const { amount, paymentReference, contractCode, customerEmail, customerName, paymentDescription, redirectUrl } = req.body;
+    if (contractCode !== MONNIFY_CONTRACT) return fail(res, 400, 'Invalid contract code');
+    if (!(Number(amount) > 0))            return fail(res, 400, 'Amount must be greater than zero');
+    if (!paymentReference)                return fail(res, 400, 'Payment reference is required');
+    if ([...state.transactions.values()].some(t => t.paymentReference === paymentReference))
+      return fail(res, 400, `Duplicate payment reference ${paymentReference}`);
+
+    const transactionReference = nextId('MNFY|SIM|');
+    state.transactions.set(transactionReference, {
+      transactionReference,
+      paymentReference,
+      amount:             Number(amount),
+      amountPaid:         0,
+      paymentStatus:      'PENDING',
+      paymentDescription: paymentDescription || '',
+      paymentMethod:      'CARD',
+      redirectUrl,
+      product:            { type: 'WEB_SDK', reference: paymentReference },
+      customer:           { email: customerEmail, name: customerName },
+      createdOn:          new Date().toISOString(),
+      paidOn:             null,
+    });
+    ok(res, {
+      transactionReference,
+      paymentReference,
+      merchantName:         'CallOnDemand (simulator)',
+      enabledPaymentMethod: ['CARD', 'ACCOUNT_TRANSFER'],
+      checkoutUrl:          `${config.server.backendUrl}${SIMULATOR_PATH}/checkout/${encodeURIComponent(transactionReference)}`,
+    });
+  });
+
+  const transactionView = (txn) => ({ ...transactionEvent(txn), createdOn: txn.createdOn });
+
+  router.get('/api/v2/transactions/:transactionReference', (req, res) => {
+    const txn = state.transactions.get(req.params.transactionReference);
+    txn ? ok(res, transactionView(txn)) : fail(res, 404, 'Transaction not found');
+  });
+
+  router.get('/api/v2/merchant/transactions/query', (req, res) => {
+    const txn = [...state.transactions.values()].find(t => t.paymentReference === req.query.paymentReference);
+    txn ? ok(res, transactionView(txn)) : fail(res, 404, 'Transaction not found');
+  });
+
+  router.get('/api/v1/sdk/transactions/banks', (req, res) => ok(res, SIM_BANKS));
+
+  router.get('/api/v1/disbursements/account/validate', (req, res) => {
+    const { accountNumber, bankCode } = req.query;
+    if (!bankName(bankCode))                   return fail(res, 400, 'Invalid bank code');
+    if (!/^\d{10}$/.test(accountNumber || '')) return fail(res, 400, 'Account number must be 10 digits');
+    if (lastDigit(accountNumber) === '0')      return fail(res, 400, 'Could not resolve account name');
+    ok(res, { accountNumber, accountName: accountName(accountNumber), bankCode });
+  });
+
+  router.post('/api/v2/disbursements/single', (req, res) => {
+    const { amount, reference, narration, destinationBankCode, destinationAccountNumber, sourceAccountNumber } = req.body;
+    if (!(Number(amount) > 0))                  return fail(res, 400, 'Amount must be greater than zero');
+    if (!reference)                             return fail(res, 400, 'Reference is required');
+    if (state.disbursements.has(reference))     return fail(res, 400, `Duplicate reference ${reference}`, 'D01');
+    if (sourceAccountNumber !== MONNIFY_WALLET_ACCT)
+      return fail(res, 400, 'Invalid source account number');
+    if (!bankName(destinationBankCode))         return fail(res, 400, 'Invalid destination bank code');
+    if (!/^\d{10}$/.test(destinationAccountNumber || ''))
+      return fail(res, 400, 'Invalid destination account number');
+    if (state.walletBalance < Number(amount) + SIM_PAYOUT_FEE)
+      return fail(res, 400, 'Insufficient balance', 'D02');
+    if (lastDigit(destinationAccountNumber) === '8')
+      return fail(res, 400, 'Transfer to this account is not allowed', 'D05');
+
+    const disbursement = {
+      reference,
+      transactionReference:     nextId('MFDS'),
+      amount:                   Number(amount),
+      totalFee:                 SIM_PAYOUT_FEE,
+      status:                   'PENDING',
+      narration,
+      destinationAccountNumber,
+      destinationBankCode,
+      destinationBankName:      bankName(destinationBankCode),
+      destinationAccountName:   accountName(destinationAccountNumber),
+      dateCreated:              new Date().toISOString(),
+      completedOn:              null,
+    };
+    state.disbursements.set(reference, disbursement);
+    state.walletBalance -= disbursement.amount + disbursement.totalFee;
+
+    setTimeout(() => {
+      settleDisbursement(disbursement, lastDigit(destinationAccountNumber) === '9' ? 'FAILED' : 'SUCCESS');
+    }, config.monnify.simulatorSettleMs).unref();
+    ok(res, disbursement);
+  });
+
+  router.get('/api/v2/disbursements/single/summary', (req, res) => {
+    const disbursement = state.disbursements.get(req.query.reference);
+    disbursement ? ok(res, disbursement) : fail(res, 404, 'Transfer not found');
+  });
+
+  router.post('/api/v2/bank-transfer/reserved-accounts', (req, res) => {
+    const { accountReference, accountName: name, contractCode, customerEmail } = req.body;
+    if (contractCode !== MONNIFY_CONTRACT) return fail(res, 400, 'Invalid contract code');
+    if (!accountReference || !name)        return fail(res, 400, 'accountReference and accountName are required');
+    if (state.reservedAccounts.has(accountReference))
+      return fail(res, 400, 'You cannot reserve more than one account with the same reference', 'R42');
+
+    const account = {
+      accountReference,
+      accountName:          name,
+      customerEmail,
+      status:               'ACTIVE',
+      reservationReference: nextId('RSV'),
+      accounts:             ['035', '50515'].map(code => ({
+        bankCode:      code,
+        bankName:      bankName(code),
+        accountNumber: String(7000000000 + ++state.sequence),
+        accountName:   name,
+      })),
+    };
+    state.reservedAccounts.set(accountReference, account);
+    ok(res, account);
+  });
+
+  router.get('/api/v2/bank-transfer/reserved-accounts/:accountReference', (req, res) => {
+    const account = state.reservedAccounts.get(req.params.accountReference);
+    account ? ok(res, account) : fail(res, 404, 'Reserved account not found');
+  });
+
+  router.get('/api/v1/vas/bills-payment/billers', (req, res) =>
+    ok(res, page(SIM_VAS.map(({ products, ...biller }) => biller), req.query)));
+
+  router.get('/api/v1/vas/bills-payment/biller-products', (req, res) => {
+    const biller = SIM_VAS.find(b => b.code === req.query.biller_code);
+    if (!biller) return fail(res, 404, 'Biller not found');
+    ok(res, page(biller.products, req.query));
+  });
+
+  router.post('/api/v1/vas/bills-payment/validate-customer', (req, res) => {
+    const { productCode, customerId } = req.body;
+    const product = findProduct(productCode);
+    if (!product)                      return fail(res, 400, 'Invalid product code');
+    if (!customerId)                   return fail(res, 400, 'customerId is required');
+    if (lastDigit(customerId) === '0') return fail(res, 400, 'Customer could not be validated');
+    ok(res, {
+      productCode,
+      customerId,
+      customerName:        accountName(customerId),
+      validationReference: nextId('SIMVAL'),
+      ...(product.price ? { vendAmount: product.price } : {}),
+    });
+  });
+
+  router.post('/api/v1/vas/bills-payment/vend', (req, res) => {
+    const { productCode, customerId, amount, reference, phoneNumber } = req.body;
+    const product = findProduct(productCode);
+    if (!product)                     return fail(res, 400, 'Invalid product code');
+    if (!reference || !customerId)    return fail(res, 400, 'reference and customerId are required');
+    if (state.vends.has(reference))   return fail(res, 400, `Duplicate reference ${reference}`);
+    const value = Number(amount);
+    if (product.price ? value !== product.price : !(value >= product.minAmount && value <= product.maxAmount))
+      return fail(res, 400, product.price
+        ? `Amount must be ${product.price} for ${product.name}`
+        : `Amount must be between ${product.minAmount} and ${product.maxAmount}`);
+
+    const vend = {
+      reference,
+      vendReference: nextId('SIMV'),
+      vendStatus:    lastDigit(customerId) === '9' ? 'FAILED' : 'SUCCESS',
+      productCode,
+      productName:   product.name,
+      customerId,
+      phoneNumber,
+      vendAmount:    value,
+      payableAmount: value,
+      createdOn:     new Date().toISOString(),
+    };
+    state.vends.set(reference, vend);
+    ok(res, vend, vend.vendStatus === 'FAILED' ? 'Vend failed at the biller' : 'success');
+  });
+
+  router.get('/api/v1/vas/bills-payment/requery', (req, res) => {
+    const vend = state.vends.get(req.query.reference);
+    vend ? ok(res, vend) : fail(res, 404, 'Transaction not found');
+  });
+
+  router.use('/api', (req, res) => fail(res, 404, `${req.method} ${req.baseUrl}${req.path} is not simulated`));
+
+  // ---- Hosted checkout ----
+
+  router.get('/checkout/:transactionReference', (req, res) => {
+    const txn = state.transactions.get(req.params.transactionReference);
+    if (!txn) return res.status(404).send('Unknown transaction');
+    const action = (verb) => `${SIMULATOR_PATH}/checkout/${encodeURIComponent(txn.transactionReference)}/${verb}`;
+    res.send(`<!DOCTYPE html>
+<html>
+  <head><meta name="viewport" content="width=device-width, initial-scale=1.0" /><title>Monnify simulator</title></head>
+  <body style="font-family: -apple-system, sans-serif; max-width: 340px; margin: 40px auto; text-align: center">
+    <h2>${naira(txn.amount)}</h2>
+    <p>${escapeHtml(txn.paymentDescription)} · ${escapeHtml(txn.paymentReference)}</p>
+    <p>Status: ${txn.paymentStatus}</p>
+    <form method="post" action="${action('pay')}"><button style="width: 100%; padding: 12px">Pay</button></form>
+    <form method="post" action="${action('cancel')}"><button style="width: 100%; padding: 12px; margin-top: 8px">Cancel</button></form>
+  </body>
+</html>`);
+  });
+
+  const redirectAfterCheckout = (res, txn) => {
+    if (!txn.redirectUrl) return res.send(`Payment ${txn.paymentStatus}`);
+    const url = new URL(txn.redirectUrl);
+    url.searchParams.set('paymentReference', txn.paymentReference);
+    url.searchParams.set('transactionReference', txn.transactionReference);
+    url.searchParams.set('paymentStatus', txn.paymentStatus);
+    res.redirect(303, url.href);
+  };
+
+  router.post('/checkout/:transactionReference/pay', async (req, res) => {
+    const txn = state.transactions.get(req.params.transactionReference);
+    if (!txn) return res.status(404).send('Unknown transaction');
+    if (txn.paymentStatus === 'PENDING') await payTransaction(txn);
+    redirectAfterCheckout(res, txn);
+  });
+
+  router.post('/checkout/:transactionReference/cancel', (req, res) => {
+    const txn = state.transactions.get(req.params.transactionReference);
+    if (!txn) return res.status(404).send('Unknown transaction');
+    if (txn.paymentStatus === 'PENDING') txn.paymentStatus = 'CANCELLED';
+    redirectAfterCheckout(res, txn);
+  });
+
+  // ---- Test hooks ----
+
+  router.post('/control/transactions/:transactionReference/pay', async (req, res) => {
+    const txn = state.transactions.get(req.params.transactionReference);
+    if (!txn) return res.status(404).json({ error: 'Transaction not found' });
+    if (txn.paymentStatus !== 'PENDING') return res.status(409).json({ error: `Transaction is ${txn.paymentStatus}` });
+    const amount = req.body?.amount != null ? Number(req.body.amount) : txn.amount;
+    if (!(amount > 0)) return res.status(400).json({ error: 'amount must be a positive number' });
+    const webhookStatus = await payTransaction(txn, amount);
+    res.json({ success: true, transaction: transactionView(txn), webhookStatus });
+  });
+
+  router.post('/control/transactions/:transactionReference/refund', async (req, res) => {
+    const txn = state.transactions.get(req.params.transactionReference);
+    if (!txn) return res.status(404).json({ error: 'Transaction not found' });
+    const refundable = txn.amountPaid - (txn.refundedAmount || 0);
+    const amount     = req.body?.amount != null ? Number(req.body.amount) : refundable;
+    if (!['PAID', 'PARTIALLY_PAID'].includes(txn.paymentStatus) || !(amount > 0) || amount > refundable)
+      return res.status(409).json({ error: `Nothing to refund up to ${refundable}` });
+    txn.refundedAmount = (txn.refundedAmount || 0) + amount;
+    const webhookStatus = await sendWebhook('SUCCESSFUL_REFUND', {
+      transactionReference: txn.transactionReference,
+      paymentReference:     txn.paymentReference,
+      refundReference:      nextId('SIMRF'),
+      refundAmount:         amount,
+      refundStatus:         'COMPLETED',
+      completedOn:          new Date().toISOString(),
+    });
+    res.json({ success: true, transaction: transactionView(txn), webhookStatus });
+  });
+
+  router.post('/control/disbursements/:reference/settle', async (req, res) => {
+    const disbursement = state.disbursements.get(req.params.reference);
+    if (!disbursement) return res.status(404).json({ error: 'Disbursement not found' });
+    const settling = settleDisbursement(disbursement, req.body?.status);
+    if (!settling) return res.status(409).json({ error: `Cannot move a ${disbursement.status} disbursement to ${req.body?.status}` });
+    res.json({ success: true, disbursement, webhookStatus: await settling });
+  });
+
+  router.post('/control/reserved-accounts/:accountReference/transfer', async (req, res) => {
+    const account = state.reservedAccounts.get(req.params.accountReference);
+    if (!account) return res.status(404).json({ error: 'Reserved account not found' });
+    const amount = Number(req.body?.amount);
+    if (!(amount > 0)) return res.status(400).json({ error: 'amount must be a positive number' });
+
+    const transactionReference = nextId('MNFY|SIM|');
+    const txn = {
+      transactionReference,
+      paymentReference:   nextId('MNFY|SIM|RA|'),
+      amount,
+      amountPaid:         0,
+      paymentStatus:      'PENDING',
+      paymentDescription: `Transfer to ${account.accountName}`,
+      paymentMethod:      'ACCOUNT_TRANSFER',
+      product:            { type: 'RESERVED_ACCOUNT', reference: account.accountReference },
+      customer:           { email: account.customerEmail, name: account.accountName },
+      createdOn:          new Date().toISOString(),
+      paidOn:             null,
+    };
+    state.transactions.set(transactionReference, txn);
+    const webhookStatus = await payTransaction(txn);
+    res.json({ success: true, transaction: transactionView(txn), webhookStatus });
+  });
+
+  router.post('/control/webhooks/:index/redeliver', async (req, res) => {
+    const webhook = state.webhooks[Number(req.params.index)];
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ success: true, eventType: webhook.eventType, webhookStatus: await deliver(webhook) });
+  });
+
+  router.get('/control/state', (req, res) => res.json({
+    success:          true,
+    walletBalance:    state.walletBalance,
+    transactions:     [...state.transactions.values()],
+    disbursements:    [...state.disbursements.values()],
+    reservedAccounts: [...state.reservedAccounts.values()],
+    vends:            [...state.vends.values()],
+    webhooks:         state.webhooks.map((w, index) => ({ index, eventType: w.eventType, deliveries: w.deliveries })),
+  }));
+
+  router.post('/control/reset', (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+if (config.monnify.simulator) {
+  app.use(SIMULATOR_PATH, createMonnifySimulator());
+  log.info(`${'🧪 Monnify simulator:'.padEnd(26)} ${config.server.backendUrl}${SIMULATOR_PATH}`);
+}
+
+// ============================================
+// LEGACY IMAGE UPLOAD  (own JSON parser, BEFORE express.json)
+// Older app builds send the avatar as a base64 data URI in JSON, which needs
+// a larger body limit than the rest of the API — so the caller is signed in
+// and within the upload limit before the body is read.  New clients use POST
+// /api/media (multipart) — see MEDIA UPLOADS.  Either body shape is accepted
+// here and treated as an avatar upload; `oldImagePublicId` is ignored, since
+// the previous avatar is retired server-side.
+// ============================================
+const DATA_URI = /^data:([\w/+.-]+);base64,(.+)$/s;
+
+const LEGACY_UPLOAD_FIELDS = { oldImagePublicId: { type: 'string', max: 255 } };
+
+app.post('/api/upload/image', requireAuth, rateLimit('upload'), express.json({ limit: '10mb' }), async (req, res) => {
+  try {
+    let file;
+    if (req.is('multipart/form-data')) {
+      if (!await receiveFile(req, res)) return;
+      if (!parseInput(res, LEGACY_UPLOAD_FIELDS, req.body)) return;
+      file = req.file;
+    } else {
+      const body = parseInput(res, {
+        ...LEGACY_UPLOAD_FIELDS,
+        fileUri: { type: 'string', required: true, max: 15 * MB, pattern: DATA_URI, message: 'must be a base64 data URI' },
+      }, req.body);
+      if (!body) return;
+      const match  = DATA_URI.exec(body.fileUri);
+      const buffer = Buffer.from(match[2], 'base64');
+      file = { buffer, mimetype: match[1], size: buffer.length };
+    }
+    const invalid = checkUpload('avatar', file);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const asset = await uploadForPurpose(req.user.uid, 'avatar', file);
+    res.json({ url: asset.data().url, publicId: asset.data().publicId, assetId: asset.id });
+  } catch (error) {
+    log.error('❌ Cloudinary Error', { error });
+    res.status(500).json({ error: 'Upload failed', message: error.message });
+  }
+});
+
+// ============================================
+// JSON BODY PARSER
+// ============================================
+app.use(express.json({ limit: '1mb' }));
+
+// ============================================
+// MEDIA UPLOADS
+// Multipart uploads (`file` field) for a named purpose; each purpose has its
+// own folder, allowed types, size cap and transforms.  Every asset is
+// recorded in `media_assets` with its owner, and only the owner (or an
+// admin) can delete it.
+//
+// Direct uploads: POST /api/media/signature returns signed Cloudinary
+// parameters for one upload; the app uploads straight to Cloudinary and then
+// registers the result with POST /api/media/confirm, which checks the asset
+// against the purpose's rules before recording it.
+// ============================================
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic'];
+const MB          = 1024 * 1024;
+
+const UPLOAD_PURPOSES = {
+  avatar: {
+    folder:         'profile_pictures',
+    mimeTypes:      IMAGE_TYPES,
+    maxBytes:       5 * MB,
+    resourceType:   'image',
+    transformation: [{ width: 500, height: 500, crop: 'fill', gravity: 'face' }, { quality: 'auto' }],
+    replaces:       true,    // a new avatar retires the previous one
+  },
+  service_gallery: {
+    folder:         'service_gallery',
+    mimeTypes:      IMAGE_TYPES,
+    maxBytes:       10 * MB,
+    resourceType:   'image',
+    transformation: [{ width: 1600, height: 1600, crop: 'limit' }, { quality: 'auto' }],
+  },
+  kyc_document: {
+    folder:         'kyc_documents',
+    mimeTypes:      [...IMAGE_TYPES, 'application/pdf'],
+    maxBytes:       10 * MB,
+    resourceType:   'image',          // Cloudinary stores PDFs as image resources
+    deliveryType:   'authenticated',  // never publicly readable
+  },
+};
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(UPLOAD_PURPOSES).map(p => p.maxBytes));
+
+// Cloudinary `format` → MIME, for checking direct uploads.
+const FORMAT_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', heic: 'image/heic', pdf: 'application/pdf' };
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
+
+// The declared Content-Type is the client's word; the first bytes are not.
+function sniffMimeType(buffer) {
+  const hex = buffer.subarray(0, 12).toString('hex');
+  if (hex.startsWith('ffd8ff'))                                   return 'image/jpeg';
+  if (hex.startsWith('89504e470d0a1a0a'))                         return 'image/png';
+  if (hex.startsWith('52494646') && hex.slice(16) === '57454250') return 'image/webp';
+  if (hex.startsWith('25504446'))                                 return 'application/pdf';
+  if (buffer.subarray(4, 12).toString() === 'ftypheic')           return 'image/heic';
+  return null;
+}
+
+// → null when the file is acceptable for the purpose, else the error message.
+function checkUpload(purpose, { buffer, mimetype, size }) {
+  const rules = UPLOAD_PURPOSES[purpose];
+  if (!rules.mimeTypes.includes(mimetype))
+    return `${purpose} uploads must be one of ${rules.mimeTypes.join(', ')}`;
+  if (sniffMimeType(buffer) !== mimetype) return 'File contents do not match its type';
+  if (size > rules.maxBytes) return `${purpose} uploads can be at most ${rules.maxBytes / MB} MB`;
+  return null;
+}
+
+const uploadBuffer = (buffer, options) => new Promise((resolve, reject) => {
+  cloudinary.uploader.upload_stream(options, (error, result) => (error ? reject(error) : resolve(result))).end(buffer);
+});
+
+const mediaAssetView = (doc) => {
+  const { createdAt, deletedAt, ...asset } = doc.data();
+  return { id: doc.id, ...asset, createdAt: isoTime(createdAt) };
+};
+
+// Retires the owner's current assets for a single-asset purpose (avatar).
+async function retireAssets(ownerId, purpose, keepId) {
+  const snap = await db.collection('media_assets')
+    .where('ownerId', '==', ownerId).where('purpose', '==', purpose).where('status', '==', 'active').get();
+  for (const doc of snap.docs.filter(d => d.id !== keepId))
+    await destroyAsset(doc).catch(e => log.error(`⚠️ Media cleanup ${doc.id}`, { error: e }));
+}
+
+async function destroyAsset(doc) {
+  const { publicId, resourceType, deliveryType } = doc.data();
+  await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type: deliveryType, invalidate: true });
+  await doc.ref.update({ status: 'deleted', deletedAt: admin.firestore.FieldValue.serverTimestamp() });
+}
+
+// Records a Cloudinary upload result as an asset of `ownerId`.
+async function recordAsset(ownerId, purpose, result, source) {
+  const ref = db.collection('media_assets').doc();
+  await ref.create({
+    ownerId,
+    purpose,
+    publicId:     result.public_id,
+    url:          result.secure_url,
+    resourceType: result.resource_type,
+    deliveryType: result.type,
+    format:       result.format,
+    bytes:        result.bytes,
+    width:        result.width ?? null,
+    height:       result.height ?? null,
+    source,
+    status:       'active',
+    createdAt:    admin.firestore.FieldValue.serverTimestamp(),
+  });
+  if (UPLOAD_PURPOSES[purpose].replaces) await retireAssets(ownerId, purpose, ref.id);
+  return ref.get();
+}
+
+async function uploadForPurpose(ownerId, purpose, file) {
+  const rules  = UPLOAD_PURPOSES[purpose];
+  const result = await uploadBuffer(file.buffer, {
+    folder:        rules.folder,
+    public_id:     `${ownerId}_${crypto.randomUUID()}`,
+    resource_type: rules.resourceType,
+    type:          rules.deliveryType || 'upload',
+    ...(rules.transformation ? { transformation: rules.transformation } : {}),
+  });
+  return recordAsset(ownerId, purpose, result, 'server');
+}
+
+// Runs multer for one request; responds and returns false on a bad upload.
+async function receiveFile(req, res) {
+  try {
+    await new Promise((resolve, reject) => upload.single('file')(req, res, e => (e ? reject(e) : resolve())));
+  } catch (error) {
+    if (!(error instanceof multer.MulterError)) throw error;
+    if (error.code === 'LIMIT_FILE_SIZE')
+      res.status(413).json({ error: `Files can be at most ${MAX_UPLOAD_BYTES / MB} MB` });
+    else
+      res.status(400).json({ error: error.message });
+    return false;
+  }
+  if (!req.file) {
+    res.status(400).json({ error: 'file required (multipart/form-data)' });
+    return false;
+  }
+  return true;
+}
+
+const PURPOSE_FIELD = { type: 'enum', values: Object.keys(UPLOAD_PURPOSES) };
+
+// multipart/form-data: `purpose` (field or query) and `file`.
+app.post('/api/media', requireAuth, rateLimit('upload'), validate({ query: { purpose: PURPOSE_FIELD } }), async (req, res) => {
+  try {
+    if (!await receiveFile(req, res)) return;
+    const body = parseInput(res, { purpose: PURPOSE_FIELD }, req.body);
+    if (!body) return;
+    const purpose = body.purpose || req.valid.query.purpose;
+    if (!purpose) return respondInvalid(res, [{ field: 'body.purpose', message: 'is required' }]);
+    const invalid = checkUpload(purpose, req.file);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const asset = await uploadForPurpose(req.user.uid, purpose, req.file);
+    log.info(`🖼️ ${purpose} upload ${asset.id} for ${req.user.uid}`);
+    res.status(201).json({ status: true, data: mediaAssetView(asset) });
+  } catch (error) {
+    log.error('❌ Media Upload Error', { error });
+    res.status(500).json({ error: 'Upload failed' });
+  }
+});
+
+app.get('/api/media', requireAuth, validate({ query: { purpose: PURPOSE_FIELD } }), async (req, res) => {
+  try {
+    const { purpose } = req.valid.query;
+    let q = db.collection('media_assets').where('ownerId', '==', req.user.uid).where('status', '==', 'active');
+    if (purpose) q = q.where('purpose', '==', purpose);
+    const snap = await q.orderBy('createdAt', 'desc').limit(100).get();
+    res.json({ status: true, data: snap.docs.map(mediaAssetView) });
+  } catch (error) {
+    log.error('❌ Media List Error', { error });
+    res.status(500).json({ error: 'Failed to fetch media' });
+  }
+});
+
+app.delete('/api/media/:id', requireAuth, validate({ params: ID_PARAM }), async (req, res) => {
+  try {
+    const doc = await db.collection('media_assets').doc(req.params.id).get();
+    if (!doc.exists || doc.data().status !== 'active')
+      return res.status(404).json({ error: 'Asset not found' });
+    if (doc.data().ownerId !== req.user.uid && req.user.role !== 'admin')
+      return res.status(403).json({ error: 'You can only delete your own uploads' });
+
+    await destroyAsset(doc);
+    if (doc.data().ownerId !== req.user.uid)
+      await recordAdminAction(req, {
+        action: 'media.delete', targetType: 'media_asset', targetId: doc.id, details: { ownerId: doc.data().ownerId },
+      });
+    res.json({ status: true });
+  } catch (error) {
+    log.error('❌ Media Delete Error', { error });
+    res.status(500).json({ error: 'Delete failed' });
+  }
+});
+
+// Signed parameters for one direct upload, valid for about an hour.  The
+// public ID is fixed here, so the upload can only land under the caller's name.
+app.post('/api/media/signature', requireAuth, rateLimit('upload'), validate({
+  body: { purpose: { ...PURPOSE_FIELD, required: true } },
+}), (req, res) => {
+  const { purpose } = req.valid.body;
+
+  const rules  = UPLOAD_PURPOSES[purpose];
+  const params = {
+    timestamp:       Math.floor(Date.now() / 1000),
+    folder:          rules.folder,
+    public_id:       `${req.user.uid}_${crypto.randomUUID()}`,
+    type:            rules.deliveryType || 'upload',
+    allowed_formats: Object.keys(FORMAT_TYPES).filter(f => rules.mimeTypes.includes(FORMAT_TYPES[f])).join(','),
+    ...(rules.transformation ? { transformation: cloudinary.utils.generate_transformation_string([...rules.transformation]) } : {}),
+  };
+  res.json({
+    status: true,
+    data: {
+      ...params,
+      signature:    cloudinary.utils.api_sign_request(params, config.cloudinary.apiSecret),
+      apiKey:       config.cloudinary.apiKey,
+      cloudName:    config.cloudinary.cloudName,
+      resourceType: rules.resourceType,
+      uploadUrl:    `https://api.cloudinary.com/v1_1/${config.cloudinary.cloudName}/${rules.resourceType}/upload`,
+      maxBytes:     rules.maxBytes,
+    },
+  });
+});
+
+// Registers a direct upload.  The asset is re-read from Cloudinary, and one
+// that breaks the purpose's rules is deleted rather than recorded.
+app.post('/api/media/confirm', requireAuth, rateLimit('upload'), validate({
+  body: {
+    purpose:  { ...PURPOSE_FIELD, required: true },
+    publicId: { type: 'string', required: true, max: 255 },
+  },
+}), async (req, res) => {
+  const { purpose, publicId } = req.valid.body;
+  const rules = UPLOAD_PURPOSES[purpose];
+  if (!publicId.startsWith(`${rules.folder}/${req.user.uid}_`))
+    return res.status(403).json({ error: 'This upload was not issued to you' });
+
+  try {
+    const existing = await db.collection('media_assets').where('publicId', '==', publicId).limit(1).get();
+    if (!existing.empty) return res.json({ status: true, data: mediaAssetView(existing.docs[0]) });
+
+    const options = { resource_type: rules.resourceType, type: rules.deliveryType || 'upload' };
+    const result  = await cloudinary.api.resource(publicId, options).catch((error) => {
+      if (error.error?.http_code === 404) return null;
+      throw error;
+    });
+    if (!result) return res.status(404).json({ error: 'Upload not found' });
+
+    if (!rules.mimeTypes.includes(FORMAT_TYPES[result.format]) || result.bytes > rules.maxBytes) {
+      await cloudinary.uploader.destroy(publicId, { ...options, invalidate: true }).catch(() => {});
+      return res.status(400).json({ error: `Upload does not meet the ${purpose} rules and was removed` });
+    }
+
+    const asset = await recordAsset(req.user.uid, purpose, result, 'direct');
+    res.status(201).json({ status: true, data: mediaAssetView(asset) });
+  } catch (error) {
+    log.error('❌ Media Confirm Error', { error });
+    res.status(500).json({ error: 'Failed to confirm upload' });
+  }
+});
+
+// ============================================
+// PAYMENTS — WALLET FUNDING & PAYOUTS
+// Routes keep their historical /api/monnify prefix; the processor behind each
+// one is chosen by providerFor() (see PAYMENT PROVIDERS).
+// ============================================
+app.post('/api/monnify/initialize', requireAuth, rateLimit('money'), validate({
+  body: {
+    amount:       { type: 'money', operation: 'funding', required: true },
+    email:        { type: 'email', required: true },
+    customerName: { type: 'string', max: 100 },
+    reference:    { type: 'reference', required: true },
+  },
+}), idempotent, async (req, res) => {
+  try {
+    const { amount: amountKobo, email, customerName, reference } = req.valid.body;
+    const provider = providerFor('checkout');
+
+    // Record what was asked for so fulfilment can check what was paid.
+    const txnRef = db.collection('transactions').doc(reference);
+    const clash  = await db.runTransaction(async (t) => {
+      const snap = await t.get(txnRef);
+      if (snap.exists && (snap.data().userId !== req.user.uid || snap.data().status !== 'pending'))
+        return true;
+      t.set(txnRef, {
+        userId:             req.user.uid,
+        expectedAmount:     toNaira(amountKobo),
+        expectedAmountKobo: amountKobo,
+        provider:           provider.name,
+        type:           'credit',
+        category:       'wallet_fund',
+        status:         'pending',
+        ...(snap.data()?.createdAt ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() }),
+      }, { merge: true });
+      return false;
+    });
+    if (clash) return res.status(409).json({ error: 'Payment reference already used' });
+
+    const checkout = await provider.initCheckout({
+      amountKobo,
+      email,
+      customerName,
+      reference,
+      redirectUrl: config.server.paymentRedirectUrl,
+    });
+
+    await txnRef.update({ providerReference: checkout.providerReference });
+    res.json({
+      success:          true,
+      provider:         provider.name,
+      checkoutUrl:      checkout.checkoutUrl,
+      transactionRef:   checkout.providerReference,
+      paymentReference: reference,
+    });
+  } catch (error) {
+    log.error('❌ Payment Init Error', { error, providerResponse: error.response?.data });
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(500).json({ error: 'Payment initialization failed', message: error.message });
+  }
+});
+
+// Accepts our `paymentReference`, or the Monnify `transactionReference`
+// older app builds send.
+app.post('/api/monnify/verify', requireAuth, rateLimit('lookup'), validate({
+  body: {
+    transactionReference: { type: 'reference' },
+    paymentReference:     { type: 'reference' },
+  },
+}), async (req, res) => {
+  try {
+    const { transactionReference, paymentReference } = req.valid.body;
+    if (!transactionReference && !paymentReference)
+      return respondInvalid(res, [{ field: 'body.paymentReference', message: 'or body.transactionReference is required' }]);
+
+    let record = paymentReference ? await db.collection('transactions').doc(paymentReference).get() : null;
+    const provider = paymentProvider(record?.data()?.provider);
+    const txn = await provider.verify({
+      paymentReference,
+      providerReference: transactionReference || record?.data()?.providerReference,
+    });
+    if (!txn)
+      return res.json({ success: false, message: 'Verification failed' });
+
+    record = record || await db.collection('transactions').doc(txn.paymentReference).get();
+    if (record.exists && record.data().userId !== req.user.uid && req.user.role !== 'admin')
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+
+    let fulfilment = null;
+    if (txn.status === 'PAID') {
+      fulfilment = await fulfilPayment({
+        paymentReference:  txn.paymentReference,
+        providerReference: txn.providerReference,
+        amountPaidKobo:    txn.amountPaidKobo,
+        source:            'verify',
+      });
+    }
+
+    res.json({
+      success:              txn.status === 'PAID',
+      paymentStatus:        txn.status,
+      amountPaid:           toNaira(txn.amountPaidKobo),
+      paymentReference:     txn.paymentReference,
+      transactionReference: txn.providerReference,
+      fulfilment:           fulfilment?.outcome ?? null,
+      data:                 txn.raw,
+    });
+  } catch (error) {
+    log.error('❌ Payment Verify Error', { error, providerResponse: error.response?.data });
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(500).json({ success: false, error: 'Verification failed', message: error.message });
+  }
+});
+
+const withdrawalLegs = (userId, amountKobo, provider) => [
+  { account: LEDGER_ACCOUNTS.wallet(userId),       direction: 'debit',  amountKobo },
+  { account: LEDGER_ACCOUNTS.settlement(provider), direction: 'credit', amountKobo },
+];
+
+// Withdrawals live in `transactions/WITHDRAW-…`; this keeps the user-level
+// copy in `users/{uid}/transactions` (what history and statements read) in
+// step.  Written in full, so withdrawals from before the copy existed get one.
+function syncWithdrawalLog(writer, reference, txn, status) {
+  writer.set(db.collection('users').doc(txn.userId).collection('transactions').doc(reference), {
+    reference,
+    description: txn.narration || 'Wallet Withdrawal',
+    type:        'debit',
+    category:    'Withdrawal',
+    amount:      toNaira(koboOf(txn)),
+    amountKobo:  koboOf(txn),
+    status,
+    ...(txn.createdAt ? { createdAt: txn.createdAt } : {}),
+    updatedAt:   admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+}
+
+// Writes only — caller must have read the `transactions/{reference}` doc first.
+function reverseWithdrawal(t, reference, txn, description) {
+  postJournalEntry(t, {
+    id:          `${reference}:reversal`,
+    reference,
+    description,
+    category:    'Withdrawal',
+    legs:        reversedLegs(withdrawalLegs(txn.userId, koboOf(txn), txn.provider || 'monnify')),
+  });
+  syncWithdrawalLog(t, reference, txn, 'failed');
+  // A payout that never went out gives the day's allowance back.
+  if (txn.usageDay)
+    t.set(riskUsageRefs(txn.userId, txn.usageDay).day, {
+      withdrawnKobo: admin.firestore.FieldValue.increment(-koboOf(txn)),
+    }, { merge: true });
+}
+
+const beneficiariesOf = (uid) => db.collection('users').doc(uid).collection('beneficiaries');
+
+// Bank-returned names vary in case, punctuation and word order
+// ("OBI, ADA C." vs "Ada C Obi"), so compare the sorted words.
+const normaliseName = (name) =>
+  String(name || '').toUpperCase().replace(/[^A-Z0-9 ]+/g, ' ').split(/\s+/).filter(Boolean).sort().join(' ');
+const namesMatch = (a, b) => Boolean(normaliseName(a)) && normaliseName(a) === normaliseName(b);
+
+// Payout accounts are always resolved here, never taken from the client.  A
+// saved beneficiary must still resolve to the name stored when it was added.
+async function resolvePayee(userId, { beneficiaryId, destinationBankCode, destinationAccountNumber }) {
+  let beneficiary = null;
+  if (beneficiaryId) {
+    const snap = await beneficiariesOf(userId).doc(String(beneficiaryId)).get();
+    if (!snap.exists) throw new RiskError('BENEFICIARY_NOT_FOUND', 'Beneficiary not found', { status: 404 });
+    beneficiary = { id: snap.id, ...snap.data() };
+  }
+  const bankCode      = beneficiary ? beneficiary.bankCode      : destinationBankCode;
+  const accountNumber = beneficiary ? beneficiary.accountNumber : destinationAccountNumber;
+
+  const account = await providerFor('resolve').resolveAccount({ accountNumber, bankCode });
+  if (!account?.accountName)
+    throw new RiskError('ACCOUNT_UNRESOLVED', 'Could not verify the destination account', { status: 400 });
+  if (beneficiary && !namesMatch(account.accountName, beneficiary.accountName))
+    throw new RiskError('BENEFICIARY_NAME_MISMATCH',
+      'The account name no longer matches this beneficiary. Please review it before sending money.',
+      { status: 409 });
+
+  return { bankCode, accountNumber, accountName: account.accountName, beneficiaryId: beneficiary?.id || null };
+}
+
+// Send either `beneficiaryId` or `destinationBankCode` + `destinationAccountNumber`.
+app.post('/api/monnify/transfer', requireAuth, rateLimit('money'), validate({
+  body: {
+    amount:                   { type: 'money', operation: 'withdrawal', required: true },
+    beneficiaryId:            { type: 'reference' },
+    destinationBankCode:      BANK_CODE_FIELD,
+    destinationAccountNumber: ACCOUNT_NUMBER_FIELD,
+    narration:                { type: 'string', max: 100 },
+    pin:                      PIN_FIELD,
+  },
+}), requireTransactionPin, idempotent, async (req, res) => {
+  const userId = req.user.uid;
+  const { amount: amountKobo, beneficiaryId, destinationBankCode, destinationAccountNumber, narration } = req.valid.body;
+  if (!beneficiaryId && (!destinationBankCode || !destinationAccountNumber))
+    return respondInvalid(res, [{
+      field:   'body.beneficiaryId',
+      message: 'or body.destinationBankCode and body.destinationAccountNumber are required',
+    }]);
+
+  const provider       = providerFor('payout');
+  const userRef        = db.collection('users').doc(userId);
+  const transferId     = `WITHDRAW-${crypto.randomUUID()}`;   // ≤ 50 chars, Paystack's reference limit
+  let   balanceDebited = false;
+  let   disbursed      = false;
+
+  try {
+    const payee = await resolvePayee(userId, { beneficiaryId, destinationBankCode, destinationAccountNumber });
+
+    await db.runTransaction(async (t) => {
+      const snap = await t.get(userRef);
+      if (!snap.exists) throw new Error('User not found');
+      assertNotFrozen(snap.data());
+      if (koboOf(snap.data(), 'balance') < amountKobo)
+        throw new RiskError('INSUFFICIENT_BALANCE', 'Insufficient balance', { status: 400 });
+      const recordUsage = await assessWithdrawal(t, {
+        userId,
+        user:   snap.data(),
+        amountKobo,
+        payee:  `${payee.bankCode}:${payee.accountNumber}`,
+      });
+      postJournalEntry(t, {
+        id:          `${transferId}:debit`,
+        reference:   transferId,
+        description: narration || 'Wallet Withdrawal',
+        category:    'Withdrawal',
+        legs:        withdrawalLegs(userId, amountKobo, provider.name),
+      });
+      const txn = {
+        userId, amount: toNaira(amountKobo), amountKobo, type: 'debit', status: 'processing', category: 'Withdrawal',
+        narration:   narration || null,
+        provider:    provider.name,
+        destination: payee,
+        usageDay:    recordUsage(),
+        createdAt:   admin.firestore.FieldValue.serverTimestamp(),
+      };
+      t.set(db.collection('transactions').doc(transferId), txn);
+      syncWithdrawalLog(t, transferId, txn, 'processing');
+    });
+    balanceDebited = true;
+
+    const disbursement = await provider.disburse({
+      amountKobo,
+      reference:     transferId,
+      narration:     narration || 'Wallet Withdrawal',
+      bankCode:      payee.bankCode,
+      accountNumber: payee.accountNumber,
+      accountName:   payee.accountName,
+    });
+    if (disbursement.status === 'FAILED') throw new Error('Disbursement failed');
+    disbursed = true;
+
+    // PENDING payouts stay `processing` until the webhook or reconciliation settles them.
+    const batch = db.batch();
+    batch.update(db.collection('transactions').doc(transferId), {
+      ...(disbursement.status === 'SUCCESS' ? { status: 'success' } : {}),
+      providerReference: disbursement.providerReference,
+      disbursedAt:       admin.firestore.FieldValue.serverTimestamp(),
+    });
+    if (disbursement.status === 'SUCCESS')
+      syncWithdrawalLog(batch, transferId, { userId, amountKobo, narration }, 'success');
+    await batch.commit();
+    if (payee.beneficiaryId)
+      await beneficiariesOf(userId).doc(payee.beneficiaryId)
+        .update({ lastUsedAt: admin.firestore.FieldValue.serverTimestamp() })
+        .catch(e => log.error('⚠️ Beneficiary Update Error', { error: e }));
+
+    log.info(`✅ Withdrawal: ₦${toNaira(amountKobo)} for ${userId} via ${provider.label} [${disbursement.status}]`);
+    res.json({ status: true, data: { ...disbursement.raw, reference: transferId, status: disbursement.status } });
+  } catch (error) {
+    if (respondRiskRejection(res, error)) return;
+    log.error('❌ Withdrawal Error', { error, providerResponse: error.response?.data });
+    // Once the provider accepted the payout — or may have, after a timeout or a
+    // 5xx — the debit stands; leave it `processing` for reconciliation.
+    if (disbursed || (balanceDebited && isOutcomeUnknown(error)))
+      return res.status(202).json({ status: true, data: { reference: transferId, status: 'PENDING' } });
+    // Only unwind a debit this request committed — never someone else's record.
+    if (balanceDebited) {
+      try {
+        const txnRef = db.collection('transactions').doc(transferId);
+        await db.runTransaction(async (t) => {
+          const snap = await t.get(txnRef);
+          if (!snap.exists || snap.data().userId !== userId || snap.data().status !== 'processing') return;
+          reverseWithdrawal(t, transferId, snap.data(), 'Withdrawal reversal');
+          t.update(txnRef, { status: 'failed' });
+        });
+      } catch (e) {
+        log.error('❌ CRITICAL: Reversal failed', { error: e });
+      }
+    }
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(400).json({
+      error: error.response?.data?.responseMessage || error.response?.data?.message || error.message,
+    });
+  }
+});
+
+app.get('/api/monnify/resolve', requireAuth, rateLimit('lookup'), validate({
+  query: {
+    account_number: { ...ACCOUNT_NUMBER_FIELD, required: true },
+    bank_code:      { ...BANK_CODE_FIELD, required: true },
+  },
+}), async (req, res) => {
+  const { account_number, bank_code } = req.valid.query;
+  try {
+    const account = await providerFor('resolve').resolveAccount({ accountNumber: account_number, bankCode: bank_code });
+    if (account) {
+      res.json({
+        status: true,
+        data: {
+          account_name:   account.accountName,
+          account_number: account.accountNumber,
+          bank_code,
+        },
+      });
+    } else {
+      res.json({ status: false, message: 'Could not resolve account' });
+    }
+  } catch (error) {
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(500).json({ error: 'Account resolution failed' });
+  }
+});
+
+app.get('/api/monnify/banks', requireAuth, validate(), async (req, res) => {
+  try {
+    res.json({ status: true, data: await providerFor('banks').listBanks() });
+  } catch (error) {
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(500).json({ error: 'Failed to fetch banks' });
+  }
+});
+
+// ============================================
+// WALLET — VIRTUAL ACCOUNTS
+// A reserved bank account per user for funding by plain transfer.  Stored on
+// `users/{uid}.virtualAccount`; `virtual_accounts/{accountReference}` maps
+// incoming webhook transfers back to the user.
+// ============================================
+app.post('/api/wallet/virtual-account', requireAuth, validate({
+  body: {
+    bvn: { type: 'digits', length: 11 },
+    nin: { type: 'digits', length: 11 },
+  },
+}), async (req, res) => {
+  try {
+    const userRef = db.collection('users').doc(req.user.uid);
+    const user    = await userRef.get();
+    if (!user.exists) return res.status(404).json({ error: 'User not found' });
+    if (user.data().virtualAccount)
+      return res.json({ success: true, virtualAccount: user.data().virtualAccount });
+
+    const provider = providerFor('virtual_accounts');
+    if (!provider.createReservedAccount)
+      return res.status(501).json({ error: `${provider.label} does not support virtual accounts` });
+
+    const { bvn, nin } = req.valid.body;
+    const profile      = user.data();
+    const email        = profile.email || req.user.email;
+    if (!email) return res.status(400).json({ error: 'An email address is required on the account' });
+
+    const accountReference = `VA-${req.user.uid}`;
+    let account;
+    try {
+      account = await provider.createReservedAccount({
+        accountReference,
+        accountName: profile.fullName || profile.name || profile.displayName || email,
+        email,
+        bvn,
+        nin,
+      });
+    } catch (error) {
+      // An earlier attempt may have created the account at the provider and
+      // failed before saving it here; the provider then refuses the reused
+      // reference, so adopt the existing account instead.
+      account = await provider.getReservedAccount(accountReference).catch(() => null);
+      if (!account) throw error;
+      log.warn(`🏦 Virtual account ${accountReference} already existed at ${provider.label} — saving it`);
+    }
+
+    const virtualAccount = { ...account, provider: provider.name, createdAt: new Date().toISOString() };
+    const batch = db.batch();
+    batch.set(db.collection('virtual_accounts').doc(accountReference), {
+      userId:    req.user.uid,
+      provider:  provider.name,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    batch.update(userRef, { virtualAccount });
+    await batch.commit();
+
+    log.info(`🏦 Virtual account created for ${req.user.uid}`);
+    res.status(201).json({ success: true, virtualAccount });
+  } catch (error) {
+    log.error('❌ Virtual Account Error', { error, providerResponse: error.response?.data });
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(400).json({ error: error.response?.data?.responseMessage || error.message });
+  }
+});
+
+// `?refresh=true` re-reads the account from the provider (e.g. after the
+// bank list changed) and updates the stored copy.
+app.get('/api/wallet/virtual-account', requireAuth, validate({
+  query: { refresh: { type: 'boolean', default: false } },
+}), async (req, res) => {
+  try {
+    const userRef = db.collection('users').doc(req.user.uid);
+    const user    = await userRef.get();
+    const stored  = user.data()?.virtualAccount;
+    if (!stored) return res.status(404).json({ error: 'No virtual account yet' });
+    if (!req.valid.query.refresh) return res.json({ success: true, virtualAccount: stored });
+
+    const latest = await paymentProvider(stored.provider).getReservedAccount(stored.accountReference);
+    if (!latest) return res.json({ success: true, virtualAccount: stored });
+
+    const virtualAccount = { ...stored, ...latest };
+    await userRef.update({ virtualAccount });
+    res.json({ success: true, virtualAccount });
+  } catch (error) {
+    log.error('❌ Virtual Account Error', { error, providerResponse: error.response?.data });
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(500).json({ error: 'Failed to fetch virtual account' });
+  }
+});
+
+// ============================================
+// WALLET — TRANSACTION PIN & LIMITS
+// See RISK CONTROLS for how the PIN and limits are enforced.
+// ============================================
+app.get('/api/wallet/pin', requireAuth, validate(), async (req, res) => {
+  try {
+    const secret      = (await db.collection('user_secrets').doc(req.user.uid).get()).data();
+    const lockedUntil = secret?.pinLockedUntil?.toMillis() || 0;
+    res.json({
+      status: true,
+      data: {
+        pinSet:      Boolean(secret?.pinHash),
+        lockedUntil: lockedUntil > Date.now() ? new Date(lockedUntil).toISOString() : null,
+      },
+    });
+  } catch (error) {
+    log.error('❌ PIN Status Error', { error });
+    res.status(500).json({ error: 'Failed to fetch PIN status' });
+  }
+});
+
+// First-time setup only; use PUT (current PIN) or /reset (fresh sign-in) after that.
+app.post('/api/wallet/pin', requireAuth, validate({
+  body: { pin: { ...PIN_FIELD, required: true } },
+}), async (req, res) => {
+  const { pin } = req.valid.body;
+  try {
+    const snap = await db.collection('user_secrets').doc(req.user.uid).get();
+    if (snap.data()?.pinHash)
+      return res.status(409).json({ error: 'Transaction PIN already set', code: 'PIN_ALREADY_SET' });
+    await storePin(req.user.uid, pin);
+    log.info(`🔐 Transaction PIN set for ${req.user.uid}`);
+    res.status(201).json({ status: true });
+  } catch (error) {
+    log.error('❌ PIN Setup Error', { error });
+    res.status(500).json({ error: 'Failed to set PIN' });
+  }
+});
+
+app.put('/api/wallet/pin', requireAuth, rateLimit('money'), validate({
+  body: {
+    currentPin: { ...PIN_FIELD, required: true },
+    newPin:     { ...PIN_FIELD, required: true },
+  },
+}), async (req, res) => {
+  const { currentPin, newPin } = req.valid.body;
+  try {
+    await verifyTransactionPin(req.user.uid, currentPin);
+    await storePin(req.user.uid, newPin);
+    log.info(`🔐 Transaction PIN changed for ${req.user.uid}`);
+    res.json({ status: true });
+  } catch (error) {
+    if (respondRiskRejection(res, error)) return;
+    log.error('❌ PIN Change Error', { error });
+    res.status(500).json({ error: 'Failed to change PIN' });
+  }
+});
+
+// Forgotten PIN: the ID token must come from a sign-in within the last few
+// minutes, so a stolen long-lived session cannot replace the PIN.
+app.post('/api/wallet/pin/reset', requireAuth, validate({
+  body: { newPin: { ...PIN_FIELD, required: true } },
+}), async (req, res) => {
+  const { newPin } = req.valid.body;
+  if (Date.now() / 1000 - (req.user.token.auth_time || 0) > PIN_RESET_MAX_AUTH_AGE_S)
+    return res.status(401).json({ error: 'Sign in again to reset your PIN', code: 'REAUTH_REQUIRED' });
+  try {
+    await storePin(req.user.uid, newPin);
+    log.info(`🔐 Transaction PIN reset for ${req.user.uid}`);
+    res.json({ status: true });
+  } catch (error) {
+    log.error('❌ PIN Reset Error', { error });
+    res.status(500).json({ error: 'Failed to reset PIN' });
+  }
+});
+
+app.get('/api/wallet/limits', requireAuth, validate(), async (req, res) => {
+  const userId = req.user.uid;
+  const refs   = riskUsageRefs(userId);
+  try {
+    const [userSnap, profileSnap, daySnap] = await Promise.all([
+      db.collection('users').doc(userId).get(), refs.profile.get(), refs.day.get(),
+    ]);
+    const tier      = userTier(userSnap.data());
+    const limits    = tierLimits(tier);
+    const withdrawn = dayWithdrawnKobo(daySnap.data());
+    const recent    = (profileSnap.data()?.recentWithdrawals || []).filter(ms => Date.now() - ms < HOUR_MS);
+    res.json({
+      status: true,
+      data: {
+        tier,
+        perTransaction:      toNaira(limits.perTransaction),
+        daily:               toNaira(limits.daily),
+        withdrawnToday:      toNaira(withdrawn),
+        remainingToday:      toNaira(Math.max(0, limits.daily - withdrawn)),
+        withdrawalsPerHour:  WITHDRAWALS_PER_HOUR,
+        withdrawalsThisHour: recent.length,
+        newPayeeMaxAmount:   toNaira(NEW_PAYEE_MAX_AMOUNT_KOBO),
+      },
+    });
+  } catch (error) {
+    log.error('❌ Limits Error', { error });
+    res.status(500).json({ error: 'Failed to fetch limits' });
+  }
+});
+
+// ============================================
+// WALLET — BENEFICIARIES
+// Saved payout accounts in `users/{uid}/beneficiaries/{bankCode}-{accountNumber}`.
+// The account name is resolved by the server when the beneficiary is added
+// and checked again on every withdrawal to it (see resolvePayee).
+// ============================================
+const NICKNAME_MAX_LENGTH = 50;
+
+app.get('/api/wallet/beneficiaries', requireAuth, validate(), async (req, res) => {
+  try {
+    const snap = await beneficiariesOf(req.user.uid).orderBy('createdAt', 'desc').get();
+    res.json({ status: true, data: snap.docs.map(d => ({ id: d.id, ...d.data() })) });
+  } catch (error) {
+    log.error('❌ Beneficiaries Error', { error });
+    res.status(500).json({ error: 'Failed to fetch beneficiaries' });
+  }
+});
+
+app.post('/api/wallet/beneficiaries', requireAuth, rateLimit('lookup'), validate({
+  body: {
+    accountNumber: { ...ACCOUNT_NUMBER_FIELD, required: true },
+    bankCode:      { ...BANK_CODE_FIELD, required: true },
+    nickname:      { type: 'string', max: NICKNAME_MAX_LENGTH },
+  },
+}), async (req, res) => {
+  const { accountNumber, bankCode, nickname } = req.valid.body;
+
+  const ref = beneficiariesOf(req.user.uid).doc(`${bankCode}-${accountNumber}`);
+  try {
+    const existing = await ref.get();
+    if (existing.exists) return res.json({ status: true, data: { id: ref.id, ...existing.data() } });
+
+    const account = await providerFor('resolve').resolveAccount({ accountNumber, bankCode });
+    if (!account?.accountName)
+      return res.status(400).json({ error: 'Could not verify this account', code: 'ACCOUNT_UNRESOLVED' });
+
+    // The bank name is only for display; a bank list failure shouldn't block saving.
+    const banks = await providerFor('banks').listBanks().catch(() => []);
+    const bank  = banks.find(b => String(b.code) === String(bankCode));
+
+    const beneficiary = {
+      accountNumber,
+      bankCode,
+      bankName:      bank?.name || null,
+      accountName:   account.accountName,
+      nickname:      nickname || null,
+      createdAt:     admin.firestore.FieldValue.serverTimestamp(),
+      lastUsedAt:    null,
+    };
+    await ref.set(beneficiary);
+    log.info(`👥 Beneficiary ${ref.id} added for ${req.user.uid}`);
+    res.status(201).json({ status: true, data: { id: ref.id, ...beneficiary, createdAt: new Date().toISOString() } });
+  } catch (error) {
+    log.error('❌ Add Beneficiary Error', { error, providerResponse: error.response?.data });
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(500).json({ error: 'Failed to add beneficiary' });
+  }
+});
+
+app.patch('/api/wallet/beneficiaries/:id', requireAuth, validate({
+  params: ID_PARAM,
+  body:   { nickname: { type: 'string', max: NICKNAME_MAX_LENGTH, required: true, nullable: true } },
+}), async (req, res) => {
+  const { nickname } = req.valid.body;
+  const ref = beneficiariesOf(req.user.uid).doc(req.params.id);
+  try {
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: 'Beneficiary not found' });
+    await ref.update({ nickname });
+    res.json({ status: true, data: { id: ref.id, ...snap.data(), nickname } });
+  } catch (error) {
+    log.error('❌ Update Beneficiary Error', { error });
+    res.status(500).json({ error: 'Failed to update beneficiary' });
+  }
+});
+
+app.delete('/api/wallet/beneficiaries/:id', requireAuth, validate({ params: ID_PARAM }), async (req, res) => {
+  const ref = beneficiariesOf(req.user.uid).doc(req.params.id);
+  try {
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: 'Beneficiary not found' });
+    await ref.delete();
+    log.info(`👥 Beneficiary ${ref.id} removed for ${req.user.uid}`);
+    res.json({ status: true });
+  } catch (error) {
+    log.error('❌ Delete Beneficiary Error', { error });
+    res.status(500).json({ error: 'Failed to delete beneficiary' });
+  }
+});
+
+// ============================================
+// WALLET — P2P TRANSFERS
+// Moves balance between two wallets in one Firestore transaction: a single
+// journal entry (sender wallet → recipient wallet), a receipt in
+// `p2p_transfers/{reference}` and an entry in each side's
+// `users/{id}/transactions`.  Recipients are found by phone, email or user ID.
+// ============================================
+const P2P_NOTE_MAX_LENGTH = 100;
+
+const displayName = (profile) =>
+  profile?.fullName || profile?.name || profile?.displayName || null;
+
+// Nigerian numbers are stored in several shapes; try the common ones.
+const phoneVariants = (value) => {
+  const digits = value.replace(/\D/g, '');
+  const local  = digits.startsWith('234') ? `0${digits.slice(3)}` : digits;
+  const intl   = `234${local.replace(/^0/, '')}`;
+  return [...new Set([value, local, intl, `+${intl}`])];
+};
+
+// Resolves `recipient` (phone, email or user ID) to a single `users` doc, or null.
+async function findUserByIdentifier(recipient) {
+  const value = recipient.trim();
+
+  let snap;
+  if (value.includes('@'))
+    snap = await db.collection('users').where('email', 'in', [...new Set([value, value.toLowerCase()])]).limit(2).get();
+  else if (/^\+?[\d\s-]{10,16}$/.test(value))
+    snap = await db.collection('users').where('phoneNumber', 'in', phoneVariants(value)).limit(2).get();
+  else {
+    // Anything else is a user ID; one that could not be a document ID matches no one.
+    if (!REFERENCE_PATTERN.test(value)) return null;
+    const doc = await db.collection('users').doc(value).get();
+    return doc.exists ? doc : null;
+  }
+  // Two accounts sharing a phone or email is ambiguous; refuse rather than guess.
+  return snap.size === 1 ? snap.docs[0] : null;
+}
+
+const p2pReceipt = (reference, t) => ({
+  reference,
+  amount:    toNaira(koboOf(t)),
+  note:      t.note,
+  status:    t.status,
+  sender:    { userId: t.senderId,    name: t.senderName },
+  recipient: { userId: t.recipientId, name: t.recipientName },
+  createdAt: t.createdAt?.toDate ? t.createdAt.toDate().toISOString() : t.createdAt,
+});
+
+// Lets the app show who the money is going to before the user confirms.
+const RECIPIENT_FIELD = { type: 'string', max: 254, required: true };   // phone, email or user ID
+
+app.get('/api/wallet/p2p/recipient', requireAuth, rateLimit('lookup'), validate({
+  query: { recipient: RECIPIENT_FIELD },
+}), async (req, res) => {
+  try {
+    const user = await findUserByIdentifier(req.valid.query.recipient);
+    if (!user) return res.status(404).json({ error: 'Recipient not found', code: 'RECIPIENT_NOT_FOUND' });
+    res.json({ status: true, data: { userId: user.id, name: displayName(user.data()) } });
+  } catch (error) {
+    log.error('❌ Recipient Lookup Error', { error });
+    res.status(500).json({ error: 'Recipient lookup failed' });
+  }
+});
+
+app.post('/api/wallet/p2p', requireAuth, rateLimit('money'), validate({
+  body: {
+    recipient: RECIPIENT_FIELD,
+    amount:    { type: 'money', operation: 'p2p', required: true },
+    note:      { type: 'string', max: P2P_NOTE_MAX_LENGTH },
+    pin:       PIN_FIELD,
+  },
+}), requireTransactionPin, idempotent, async (req, res) => {
+  const senderId = req.user.uid;
+  const { recipient, amount: amountKobo, note } = req.valid.body;
+  const amount = toNaira(amountKobo);
+
+  const reference = `P2P-${Date.now()}-${Math.random().toString(36).substring(2, 6).toUpperCase()}`;
+
+  try {
+    const recipientDoc = await findUserByIdentifier(recipient);
+    if (!recipientDoc)
+      return res.status(404).json({ error: 'Recipient not found', code: 'RECIPIENT_NOT_FOUND' });
+    const recipientId = recipientDoc.id;
+    if (recipientId === senderId)
+      return res.status(400).json({ error: 'You cannot send money to yourself', code: 'SELF_TRANSFER' });
+
+    const senderRef    = db.collection('users').doc(senderId);
+    const recipientRef = db.collection('users').doc(recipientId);
+    const receiptRef   = db.collection('p2p_transfers').doc(reference);
+
+    const transfer = await db.runTransaction(async (t) => {
+      const [senderSnap, recipientSnap] = await Promise.all([t.get(senderRef), t.get(recipientRef)]);
+      if (!senderSnap.exists)    throw new Error('User not found');
+      if (!recipientSnap.exists) throw new RiskError('RECIPIENT_NOT_FOUND', 'Recipient not found', { status: 404 });
+      assertNotFrozen(senderSnap.data());
+      if (koboOf(senderSnap.data(), 'balance') < amountKobo)
+        throw new RiskError('INSUFFICIENT_BALANCE', 'Insufficient balance', { status: 400 });
+
+      const senderName    = displayName(senderSnap.data());
+      const recipientName = displayName(recipientSnap.data());
+      const now           = admin.firestore.FieldValue.serverTimestamp();
+
+      postJournalEntry(t, {
+        id:          `${reference}:transfer`,
+        reference,
+        description: note || 'Wallet transfer',
+        category:    'p2p',
+        legs: [
+          { account: LEDGER_ACCOUNTS.wallet(senderId),    direction: 'debit',  amountKobo },
+          { account: LEDGER_ACCOUNTS.wallet(recipientId), direction: 'credit', amountKobo },
+        ],
+        meta: { senderId, recipientId },
+      });
+
+      const record = {
+        amount,
+        amountKobo,
+        note:          note || null,
+        status:        'success',
+        senderId,
+        senderName,
+        recipientId,
+        recipientName,
+        participants:  [senderId, recipientId],
+      };
+      t.create(receiptRef, { ...record, createdAt: now });
+      t.set(senderRef.collection('transactions').doc(reference), {
+        reference,
+        description:      `Transfer to ${recipientName || 'wallet user'}`,
+        type:             'debit',
+        category:         'p2p',
+        amount,
+        amountKobo,
+        status:           'success',
+        counterpartyId:   recipientId,
+        counterpartyName: recipientName,
+        createdAt:        now,
+      });
+      t.set(recipientRef.collection('transactions').doc(reference), {
+        reference,
+        description:      `Transfer from ${senderName || 'wallet user'}`,
+        type:             'credit',
+        category:         'p2p',
+        amount,
+        amountKobo,
+        status:           'success',
+        counterpartyId:   senderId,
+        counterpartyName: senderName,
+        createdAt:        now,
+      });
+      return { ...record, createdAt: new Date().toISOString() };
+    });
+
+    log.info(`🤝 P2P: ₦${amount} ${senderId} → ${recipientId} (${reference})`);
+    res.status(201).json({ status: true, data: p2pReceipt(reference, transfer) });
+  } catch (error) {
+    if (respondRiskRejection(res, error)) return;
+    log.error('❌ P2P Transfer Error', { error });
+    res.status(500).json({ error: 'Transfer failed' });
+  }
+});
+
+// Receipt for either side of the transfer (or an admin).
+app.get('/api/wallet/p2p/:reference', requireAuth, validate({
+  params: { reference: { type: 'reference', required: true } },
+}), async (req, res) => {
+  try {
+    const snap = await db.collection('p2p_transfers').doc(req.params.reference).get();
+    if (!snap.exists || (!snap.data().participants.includes(req.user.uid) && req.user.role !== 'admin'))
+      return res.status(404).json({ error: 'Transfer not found' });
+    res.json({ status: true, data: p2pReceipt(snap.id, snap.data()) });
+  } catch (error) {
+    log.error('❌ P2P Receipt Error', { error });
+    res.status(500).json({ error: 'Failed to fetch receipt' });
+  }
+});
+
+// ============================================
+// WALLET — HISTORY & STATEMENTS
+// History lists `users/{uid}/transactions`, the per-user log every money
+// movement writes, including pending and failed ones.  Downloadable
+// statements are built from the journal instead: posted movements only,
+// with a running balance from the opening to the closing balance.
+// Dates are YYYY-MM-DD in Lagos time; `to` is inclusive.
+// ============================================
+const STATEMENT_CATEGORIES = ['wallet_fund', 'Withdrawal', 'vas', 'p2p', 'adjustment'];
+const STATEMENT_TYPES      = ['credit', 'debit'];
+const STATEMENT_STATUSES   = ['pending', 'processing', 'success', 'failed'];
+const STATEMENT_MAX_DAYS   = 366;
+
+// → { from, to } in epoch ms ([from, to)), or { error }.
+function parseStatementRange(from, to, { required = false } = {}) {
+  if (!from && !to && !required) return {};
+  if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || ''))
+    return { error: 'from and to must both be dates (YYYY-MM-DD)' };
+  const start = Date.parse(`${from}T00:00:00+01:00`);
+  const end   = Date.parse(`${to}T00:00:00+01:00`) + 24 * HOUR_MS;
+  if (Number.isNaN(start) || Number.isNaN(end) || end <= start) return { error: 'Invalid date range' };
+  if (end - start > STATEMENT_MAX_DAYS * 24 * HOUR_MS)
+    return { error: `The range can be at most ${STATEMENT_MAX_DAYS} days` };
+  return { from: start, to: end };
+}
+
+const isoTime = (ts) => (ts?.toDate ? ts.toDate().toISOString() : ts ?? null);
+
+const STATEMENT_QUERY = {
+  category: { type: 'enum', values: STATEMENT_CATEGORIES },
+  type:     { type: 'enum', values: STATEMENT_TYPES },
+  status:   { type: 'enum', values: STATEMENT_STATUSES },
+  from:     { type: 'date' },
+  to:       { type: 'date' },
+  cursor:   PAGE_QUERY.cursor,
+  limit:    { type: 'int', min: 1, max: 100, default: 20 },
+};
+
+// Filtered, cursor-paged `users/{uid}/transactions` for a STATEMENT_QUERY.
+// Shared with the admin back office.  → { data, nextCursor }, or { error }
+// for a bad date range.
+async function listUserTransactions(userId, { category, type, status, from, to, cursor, limit: size }) {
+  const range = parseStatementRange(from, to);
+  if (range.error) return { error: range.error };
+
+  const history = db.collection('users').doc(userId).collection('transactions');
+  let q = history;
+  if (category)   q = q.where('category', '==', category);
+  if (type)       q = q.where('type', '==', type);
+  if (status)     q = q.where('status', '==', status);
+  if (range.from) q = q.where('createdAt', '>=', admin.firestore.Timestamp.fromMillis(range.from))
+                       .where('createdAt', '<',  admin.firestore.Timestamp.fromMillis(range.to));
+  q = q.orderBy('createdAt', 'desc').limit(size);
+  if (cursor) {
+    const after = await history.doc(cursor).get();
+    if (!after.exists) return { error: 'Invalid cursor' };
+    q = q.startAfter(after);
+  }
+
+  const snap = await q.get();
+  return {
+    data:       snap.docs.map(d => ({
+      id: d.id, ...d.data(), createdAt: isoTime(d.data().createdAt), updatedAt: isoTime(d.data().updatedAt),
+    })),
+    nextCursor: snap.size === size ? snap.docs[snap.size - 1].id : null,
+  };
+}
+
+app.get('/api/wallet/statement', requireAuth, rateLimit('lookup'), validate({ query: STATEMENT_QUERY }), async (req, res) => {
+  try {
+    const page = await listUserTransactions(req.user.uid, req.valid.query);
+    if (page.error) return res.status(400).json({ error: page.error });
+    res.json({ status: true, ...page });
+  } catch (error) {
+    log.error('❌ Statement Error', { error });
+    res.status(500).json({ error: 'Failed to fetch transactions' });
+  }
+});
+
+// Opening balances come from `ledger_checkpoints`: a wallet's balance at the
+// start of a Lagos month, written by POST /api/admin/ledger/checkpoints, so a
+// statement reads only the entries since the nearest checkpoint rather than
+// the wallet's whole history.  Statements never write them.
+const lagosMonthStart = (ms) => Date.parse(`${lagosDay(ms).slice(0, 7)}-01T00:00:00+01:00`);
+
+// Kobo an entry moves into (+) or out of (−) one account.
+const accountMovement = (entry, account) => entry.legs
+  .filter(l => l.account === account)
+  .reduce((sum, l) => sum + (l.direction === 'credit' ? legKobo(l) : -legKobo(l)), 0);
+
+// → { at, balanceKobo }: the latest checkpoint at or before `ms`.
+async function latestCheckpoint(account, ms) {
+  const snap = await db.collection('ledger_checkpoints')
+    .where('account', '==', account)
+    .where('at', '<=', ms)
+    .orderBy('at', 'desc')
+    .limit(1)
+    .get();
+  return snap.empty ? { at: 0, balanceKobo: 0 } : snap.docs[0].data();
+}
+
+// Wallet movements in [from, to) with balances in naira.  Amounts are summed
+// in kobo so the closing balance is exact.
+async function buildStatement(userId, { from, to }) {
+  const account    = LEDGER_ACCOUNTS.wallet(userId);
+  const checkpoint = await latestCheckpoint(account, from);
+  const [userSnap, entries] = await Promise.all([
+    db.collection('users').doc(userId).get(),
+    db.collection('ledger_entries')
+      .where('accounts', 'array-contains', account)
+      .where('createdAt', '>=', admin.firestore.Timestamp.fromMillis(checkpoint.at))
+      .where('createdAt', '<', admin.firestore.Timestamp.fromMillis(to))
+      .orderBy('createdAt')
+      .get(),
+  ]);
+
+  let balance = checkpoint.balanceKobo, opening = balance, credits = 0, debits = 0;
+  const lines = [];
+  for (const doc of entries.docs) {
+    const entry = doc.data();
+    const minor = accountMovement(entry, account);
+    balance += minor;
+    if (entry.createdAt.toMillis() < from) { opening = balance; continue; }
+    if (!minor) continue;
+    if (minor > 0) credits += minor; else debits -= minor;
+    lines.push({
+      date:        entry.createdAt.toDate().toISOString(),
+      reference:   entry.reference,
+      description: entry.description,
+      category:    entry.category,
+      debit:       minor < 0 ? toNaira(-minor) : 0,
+      credit:      minor > 0 ? toNaira(minor) : 0,
+      balance:     toNaira(balance),
+    });
+  }
+
+  return {
+    accountHolder:  displayName(userSnap.data()) || userSnap.data()?.email || userId,
+    userId,
+    from:           new Date(from).toISOString(),
+    to:             new Date(to).toISOString(),
+    openingBalance: toNaira(opening),
+    closingBalance: toNaira(balance),
+    totalCredits:   toNaira(credits),
+    totalDebits:    toNaira(debits),
+    lines,
+  };
+}
+
+// Cells a spreadsheet would read as a formula are quoted with a leading '.
+const csvCell = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function statementCsv(s, { from, to }) {
+  const rows = [
+    ['Account statement'],
+    ['Account holder', s.accountHolder],
+    ['Period', from, to],
+    ['Opening balance', s.openingBalance.toFixed(2)],
+    ['Closing balance', s.closingBalance.toFixed(2)],
+    [],
+    ['Date', 'Reference', 'Description', 'Category', 'Debit', 'Credit', 'Balance'],
+    ...s.lines.map(l => [
+      l.date, l.reference, l.description, l.category,
+      l.debit ? l.debit.toFixed(2) : '', l.credit ? l.credit.toFixed(2) : '', l.balance.toFixed(2),
+    ]),
+  ];
+  return rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function writeStatementPdf(s, out, { from, to }) {
+  const doc   = new PDFDocument({ size: 'A4', margin: 40 });
+  const money = (n) => n.toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const cols  = [[40, 'Date', 55, 'left'], [95, 'Description', 170, 'left'], [270, 'Reference', 120, 'left'],
+                 [390, 'Debit', 55, 'right'], [450, 'Credit', 55, 'right'], [505, 'Balance', 55, 'right']];
+  const row   = (values, bold) => {
+    if (doc.y > 780) doc.addPage();
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    cols.forEach(([x, , width, align], i) =>
+      doc.text(values[i], x, y, { width, align, ellipsis: true, lineBreak: false }));
+    doc.moveDown(0.6);
+  };
+
+  doc.pipe(out);
+  doc.font('Helvetica-Bold').fontSize(16).text('Account Statement');
+  doc.font('Helvetica').fontSize(10)
+    .text(`Account holder: ${s.accountHolder}`)
+    .text(`Period: ${from} to ${to}`)
+    .text(`Opening balance: NGN ${money(s.openingBalance)}`)
+    .text(`Closing balance: NGN ${money(s.closingBalance)}`)
+    .text(`Total credits: NGN ${money(s.totalCredits)}    Total debits: NGN ${money(s.totalDebits)}`)
+    .moveDown();
+  row(cols.map(c => c[1]), true);
+  for (const l of s.lines)
+    row([l.date.slice(0, 10), l.description, l.reference,
+         l.debit ? money(l.debit) : '', l.credit ? money(l.credit) : '', money(l.balance)]);
+  if (!s.lines.length) doc.font('Helvetica').fontSize(9).text('No transactions in this period.', 40);
+  doc.end();
+}
+
+app.get('/api/wallet/statement/download', requireAuth, rateLimit('export'), validate({
+  query: {
+    from:   { type: 'date', required: true },
+    to:     { type: 'date', required: true },
+    format: { type: 'enum', values: ['csv', 'pdf'], default: 'csv' },
+  },
+}), async (req, res) => {
+  const { from, to, format } = req.valid.query;
+  const range = parseStatementRange(from, to, { required: true });
+  if (range.error) return res.status(400).json({ error: range.error });
+
+  try {
+    const statement = await buildStatement(req.user.uid, range);
+    const filename  = `statement-${from}-to-${to}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') return res.type('text/csv').send(statementCsv(statement, { from, to }));
+    res.type('application/pdf');
+    writeStatementPdf(statement, res, { from, to });
+  } catch (error) {
+    log.error('❌ Statement Download Error', { error });
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to build statement' });
+  }
+});
+
+// ============================================
+// KYC — identity verification
+// Users submit a BVN or NIN, their name and date of birth and, for higher
+// tiers, ID documents uploaded through /api/media (purpose `kyc_document`).
+// The number is checked with the identity provider on submission; the result
+// is attached to the submission in `kyc_submissions`:
+//
+//   pending → approved | rejected | resubmission_required
+//
+// A tier-1 request whose check fully matches is approved straight away; any
+// other submission waits for an admin (ADMIN — KYC REVIEW).  Approval sets
+// `users.kycTier`, which the risk limits read.  The identity number itself is
+// never stored — only its last four digits and a keyed hash, which finds the
+// same identity on another account.
+//
+// KYC_PROVIDER picks the identity provider: `monnify` (default) or `stub`,
+// a local fake for development and tests.
+// ============================================
+const KYC_ID_TYPES    = ['bvn', 'nin'];
+const KYC_DOC_KINDS   = ['government_id', 'selfie', 'proof_of_address'];
+const KYC_OPEN_STATUS = 'pending';
+
+// Documents each tier needs on top of a verified BVN/NIN.
+const KYC_TIER_REQUIREMENTS = {
+  1: [],
+  2: ['government_id', 'selfie'],
+  3: ['government_id', 'selfie', 'proof_of_address'],
+};
+
+const KYC_HASH_KEY = config.kyc.hashKey || '';
+if (!KYC_HASH_KEY) log.warn('⚠️ KYC_HASH_KEY not set — identity hashes are unkeyed (development only)');
+
+const identityHash = (idType, idNumber) =>
+  crypto.createHmac('sha256', KYC_HASH_KEY).update(`${idType}:${idNumber}`).digest('hex');
+
+// Identity providers share one method:
+//   verify({ idType, idNumber, firstName, lastName, dateOfBirth })
+//     → { status: 'verified' | 'mismatch' | 'not_found', matches: { name, dateOfBirth } }
+// `dateOfBirth` is YYYY-MM-DD.
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const kycProviders = {
+  monnify: {
+    label: 'Monnify',
+    async verify({ idType, idNumber, firstName, lastName, dateOfBirth }) {
+      // Only a 404 or a body saying the number is unknown is `not_found`; any
+      // other refusal (bad credentials, throttling) throws and the submission
+      // waits for a person (see runIdentityCheck).
+      const saysNotFound  = (body) => /not\s*found|no record/i.test(body?.responseMessage || '');
+      const unknownAsNull = (error) => {
+        if (error.response?.status === 404 || saysNotFound(error.response?.data)) return null;
+        throw error;
+      };
+      const answer = (r) => {
+        if (!r || (!r.data.requestSuccessful && saysNotFound(r.data))) return null;
+        if (!r.data.requestSuccessful) throw new Error(r.data.responseMessage || 'Identity lookup failed');
+        return r.data.responseBody;
+      };
+      if (idType === 'bvn') {
+        const [y, m, d] = dateOfBirth.split('-');
+        const r = await monnifyRequest({
+          method: 'post',
+          path:   '/api/v1/vas/bvn-details-match',
+          data:   { bvn: idNumber, name: `${firstName} ${lastName}`, dateOfBirth: `${d}-${MONTHS[m - 1]}-${y}` },
+        }).catch(unknownAsNull);
+        const body = answer(r);
+        if (!body) return { status: 'not_found', matches: {} };
+        const matches = { name: body.name?.matchStatus === 'FULL_MATCH', dateOfBirth: body.dateOfBirth === 'FULL_MATCH' };
+        return { status: matches.name && matches.dateOfBirth ? 'verified' : 'mismatch', matches };
+      }
+      const r = await monnifyRequest({
+        method: 'post', path: '/api/v1/vas/nin-details', data: { nin: idNumber },
+      }).catch(unknownAsNull);
+      const body = answer(r);
+      if (!body) return { status: 'not_found', matches: {} };
+      const matches = {
+        name:        namesMatch(`${firstName} ${lastName}`, `${body.firstName} ${body.lastName}`),
+        dateOfBirth: String(body.dateOfBirth || '').slice(0, 10) === dateOfBirth,
+      };
+      return { status: matches.name && matches.dateOfBirth ? 'verified' : 'mismatch', matches };
+    },
+  },
+
+  // Numbers ending in 0 are unknown, in 9 mismatch; everything else matches.
+  stub: {
+    label: 'Stub',
+    async verify({ idNumber }) {
+      if (idNumber.endsWith('0')) return { status: 'not_found', matches: {} };
+      if (idNumber.endsWith('9')) return { status: 'mismatch', matches: { name: false, dateOfBirth: true } };
+      return { status: 'verified', matches: { name: true, dateOfBirth: true } };
+    },
+  },
+};
+
+const KYC_PROVIDER = config.kyc.provider;
+const kycProvider  = () => {
+  const provider = kycProviders[KYC_PROVIDER];
+  if (!provider) throw new Error(`Unknown KYC provider: ${KYC_PROVIDER}`);
+  return provider;
+};
+log.info(`${'🪪 KYC provider:'.padEnd(26)} ${kycProviders[KYC_PROVIDER]?.label || `❌ Unknown (${KYC_PROVIDER})`}`);
+
+// Runs the provider check; provider outages are recorded rather than thrown
+// so the submission still reaches review.
+async function runIdentityCheck(submission, idNumber) {
+  try {
+    const result = await kycProvider().verify({ ...submission, idNumber });
+    return { provider: KYC_PROVIDER, ...result, checkedAt: new Date().toISOString() };
+  } catch (error) {
+    log.error('❌ KYC Check Error', { error });
+    return { provider: KYC_PROVIDER, status: 'error', error: error.message, checkedAt: new Date().toISOString() };
+  }
+}
+
+const kycSubmissionView = (doc) => {
+  const { idHash, createdAt, updatedAt, reviewedAt, ...s } = doc.data();
+  return {
+    id: doc.id, ...s,
+    createdAt: isoTime(createdAt), updatedAt: isoTime(updatedAt), reviewedAt: isoTime(reviewedAt),
+  };
+};
+
+// What the user sees of their own submission: no other accounts, no reviewer.
+const ownKycSubmissionView = (doc) => {
+  const { duplicateOf, reviewedBy, ...s } = kycSubmissionView(doc);
+  return s;
+};
+
+const KYC_SUBMISSION_BODY = {
+  tier:        { type: 'int', min: 1, max: 3, default: 1 },
+  idType:      { type: 'enum', values: KYC_ID_TYPES, required: true },
+  idNumber:    { type: 'digits', length: 11, required: true },
+  firstName:   { type: 'string', max: 100, required: true },
+  lastName:    { type: 'string', max: 100, required: true },
+  dateOfBirth: { type: 'date', required: true },
+  documents:   {
+    type: 'array', max: 10, default: [],
+    items: {
+      type:   'object',
+      fields: {
+        kind:    { type: 'enum', values: KYC_DOC_KINDS, required: true },
+        assetId: { type: 'reference', required: true },
+      },
+    },
+  },
+};
+
+// Checks a KYC_SUBMISSION_BODY against the tier and the user's uploads;
+// → { error } or the submission fields.
+async function parseKycSubmission(userId, body) {
+  const { tier, idType, idNumber, firstName, lastName, dateOfBirth, documents } = body;
+  if (Number.isNaN(Date.parse(dateOfBirth))) return { error: 'dateOfBirth is not a real date' };
+  const missing = KYC_TIER_REQUIREMENTS[tier].filter(kind => !documents.some(d => d.kind === kind));
+  if (missing.length) return { error: `Tier ${tier} needs: ${missing.join(', ')}` };
+
+  // Documents must be this user's live kyc_document uploads.
+  const assets = await Promise.all(documents.map(d => db.collection('media_assets').doc(d.assetId).get()));
+  if (assets.some(a => !a.exists || a.data().ownerId !== userId || a.data().purpose !== 'kyc_document' || a.data().status !== 'active'))
+    return { error: 'Each document must be one of your kyc_document uploads' };
+
+  return {
+    idNumber,
+    fields: {
+      tier, idType, firstName, lastName, dateOfBirth,
+      idLast4:   idNumber.slice(-4),
+      idHash:    identityHash(idType, idNumber),
+      documents: documents.map((d, i) => ({ kind: d.kind, assetId: assets[i].id })),
+    },
+  };
+}
+
+app.get('/api/kyc', requireAuth, validate(), async (req, res) => {
+  try {
+    const [user, latest] = await Promise.all([
+      db.collection('users').doc(req.user.uid).get(),
+      db.collection('kyc_submissions').where('userId', '==', req.user.uid).orderBy('createdAt', 'desc').limit(1).get(),
+    ]);
+    const tier = userTier(user.data());
+    res.json({
+      status: true,
+      data: {
+        tier,
+        limits:       tierLimitsView(tier),
+        submission:   latest.empty ? null : ownKycSubmissionView(latest.docs[0]),
+        requirements: KYC_TIER_REQUIREMENTS,
+      },
+    });
+  } catch (error) {
+    log.error('❌ KYC Status Error', { error });
+    res.status(500).json({ error: 'Failed to fetch KYC status' });
+  }
+});
+
+app.get('/api/kyc/submissions', requireAuth, validate(), async (req, res) => {
+  try {
+    const snap = await db.collection('kyc_submissions')
+      .where('userId', '==', req.user.uid).orderBy('createdAt', 'desc').limit(20).get();
+    res.json({ status: true, data: snap.docs.map(ownKycSubmissionView) });
+  } catch (error) {
+    log.error('❌ KYC Submissions Error', { error });
+    res.status(500).json({ error: 'Failed to fetch submissions' });
+  }
+});
+
+// One open submission at a time.
+app.post('/api/kyc/submissions', requireAuth, rateLimit('lookup'), validate({ body: KYC_SUBMISSION_BODY }), async (req, res) => {
+  const userId = req.user.uid;
+  try {
+    const parsed = await parseKycSubmission(userId, req.valid.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const { fields, idNumber } = parsed;
+
+    const [userSnap, open, sameIdentity] = await Promise.all([
+      db.collection('users').doc(userId).get(),
+      db.collection('kyc_submissions').where('userId', '==', userId).where('status', '==', KYC_OPEN_STATUS).limit(1).get(),
+      db.collection('kyc_submissions').where('idHash', '==', fields.idHash).where('status', '==', 'approved').get(),
+    ]);
+    if (!open.empty)
+      return res.status(409).json({ error: 'You already have a submission under review', submissionId: open.docs[0].id });
+    if (fields.tier <= userTier(userSnap.data()))
+      return res.status(400).json({ error: `You are already on tier ${userTier(userSnap.data())}` });
+
+    const duplicateOf = [...new Set(sameIdentity.docs.map(d => d.data().userId).filter(id => id !== userId))];
+    const check       = await runIdentityCheck(fields, idNumber);
+
+    // Only a clean tier-1 match is decided without a person looking at it.
+    let status = KYC_OPEN_STATUS;
+    let reason = null;
+    if (check.status === 'not_found') {
+      status = 'rejected';
+      reason = `We could not find this ${fields.idType.toUpperCase()}. Please check the number and try again.`;
+    } else if (check.status === 'verified' && fields.tier === 1 && !duplicateOf.length) {
+      status = 'approved';
+    }
+
+    const ref  = db.collection('kyc_submissions').doc();
+    const now  = admin.firestore.FieldValue.serverTimestamp();
+    const auto = status !== KYC_OPEN_STATUS;
+    const batch = db.batch();
+    batch.create(ref, {
+      ...fields,
+      userId,
+      status,
+      check,
+      duplicateOf,
+      reason,
+      approvedTier: status === 'approved' ? fields.tier : null,
+      reviewedBy:   auto ? 'system' : null,
+      reviewedAt:   auto ? now : null,
+      createdAt:    now,
+      updatedAt:    now,
+    });
+    batch.update(db.collection('users').doc(userId), {
+      kycStatus: status,
+      ...(status === 'approved' ? { kycTier: fields.tier } : {}),
+    });
+    await batch.commit();
+
+    log.info(`🪪 KYC ${ref.id} for ${userId}: tier ${fields.tier} ${fields.idType} → ${status} (${check.status})`);
+    if (auto) emitWalletEvent(`kyc.${status}`, userId, { tier: fields.tier, reason });
+    res.status(201).json({ status: true, data: ownKycSubmissionView(await ref.get()) });
+  } catch (error) {
+    log.error('❌ KYC Submit Error', { error });
+    res.status(500).json({ error: 'Failed to submit KYC' });
+  }
+});
+
+// ============================================
+// MONNIFY VAS — Bills Payment
+// ⚠️  Email integration-support@monnify.com to activate first!
+// ============================================
+
+const VAS_CODE_FIELD     = { type: 'string', max: 64 };   // biller, product and category codes
+const VAS_CUSTOMER_FIELD = { type: 'string', max: 64, required: true };   // meter, smartcard or phone number
+
+app.post('/api/vas/validate', requireAuth, rateLimit('lookup'), validate({
+  body: { productCode: { ...VAS_CODE_FIELD, required: true }, customerId: VAS_CUSTOMER_FIELD },
+}), async (req, res) => {
+  const { productCode, customerId } = req.valid.body;
+  try {
+    // Read-only lookup despite the POST, so it is safe to retry.
+    const r = await monnifyRequest({
+      method: 'post',
+      path:   '/api/v1/vas/bills-payment/validate-customer',
+      data:   { productCode, customerId },
+      retry:  true,
+    });
+    if (!r.data.requestSuccessful)
+      return res.json({ status: false, message: r.data.responseMessage });
+    res.json({ status: true, data: r.data.responseBody });
+  } catch (error) {
+    log.error('❌ VAS Validate Error', { error, providerResponse: error.response?.data });
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(500).json({
+      error:   'Customer validation failed',
+      message: error.response?.data?.responseMessage || error.message,
+    });
+  }
+});
+
+const vasLegs = (userId, amountKobo) => [
+  { account: LEDGER_ACCOUNTS.wallet(userId), direction: 'debit',  amountKobo },
+  { account: LEDGER_ACCOUNTS.vasPayable,     direction: 'credit', amountKobo },
+];
+
+// Writes only — caller must have read the user-level VAS transaction first.
+function reverseVend(t, txnRef, txn, description) {
+  const userId = txnRef.parent.parent.id;
+  postJournalEntry(t, {
+    id:          `${txn.reference}:reversal`,
+    reference:   txn.reference,
+    description,
+    category:    'vas',
+    legs:        reversedLegs(vasLegs(userId, koboOf(txn))),
+  });
+  t.update(txnRef, { status: 'failed', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+}
+
+// Debit → vend → settle.  Shared by /api/vas/vend and the autopay scheduler.
+// Resolves once the debit stands — `{ reference, vend }`, or `{ reference,
+// pending: true }` when Monnify accepted the vend (or may have, after a
+// timeout) but hasn't confirmed it.  Otherwise reverses the debit and throws;
+// the error carries `reversalPending` if that reversal did not commit.
+async function vendForUser(userId, {
+  productCode, customerId, amountKobo,
+  phoneNumber, emailAddress, validationReference, description, scheduleId,
+}) {
+  const amount         = toNaira(amountKobo);
+  const reference      = `VAS-${Date.now()}-${Math.random().toString(36).substring(2, 6).toUpperCase()}`;
+  const userRef        = db.collection('users').doc(userId);
+  const txnRef         = userRef.collection('transactions').doc(reference);
+  let   balanceDebited = false;
+  let   vended         = false;
+
+  try {
+    await db.runTransaction(async (t) => {
+      const snap = await t.get(userRef);
+      if (!snap.exists) throw new Error('User not found');
+      assertNotFrozen(snap.data());
+      if (koboOf(snap.data(), 'balance') < amountKobo)
+        throw new RiskError('INSUFFICIENT_BALANCE', 'Insufficient balance', { status: 400 });
+      postJournalEntry(t, {
+        id:          `${reference}:debit`,
+        reference,
+        description: description || `VAS ${productCode}`,
+        category:    'vas',
+        legs:        vasLegs(userId, amountKobo),
+        meta:        { productCode, customerId },
+      });
+      // Recorded before the vend so the reconciliation worker can settle it
+      // if we never hear back from Monnify.
+      t.set(txnRef, {
+        reference,
+        productCode,
+        productName: description || productCode,
+        customerId,
+        amount,
+        amountKobo,
+        type:      'debit',
+        category:  'vas',
+        status:    'pending',
+        ...(scheduleId ? { scheduleId } : {}),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    balanceDebited = true;
+
+    const payload = {
+      productCode, customerId, amount, reference,
+      phoneNumber: phoneNumber || customerId,
+      ...(emailAddress        ? { emailAddress }        : {}),
+      ...(validationReference ? { validationReference } : {}),
+    };
+
+    const r = await monnifyRequest({
+      method:  'post',
+      path:    '/api/v1/vas/bills-payment/vend',
+      data:    payload,
+      timeout: MONNIFY_PAYOUT_TIMEOUT_MS,
+    });
+
+    if (!r.data.requestSuccessful || r.data.responseBody?.vendStatus === 'FAILED')
+      throw new Error(r.data.responseMessage || 'Vend failed');
+
+    const vend = r.data.responseBody;
+    vended     = true;
+
+    await txnRef.update({
+      vendReference: vend.vendReference || reference,
+      productName:   vend.productName || description || productCode,
+      status:        vend.vendStatus === 'SUCCESS' ? 'success' : 'processing',
+      updatedAt:     admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    log.info(`✅ VAS: ${vend.productName} → ${customerId} [${vend.vendStatus}]`);
+    if (vend.vendStatus === 'SUCCESS')
+      emitWalletEvent('vas.completed', userId, {
+        reference,
+        amount,
+        productName: vend.productName || description || productCode,
+        customerId,
+      });
+    return { reference, vend };
+  } catch (error) {
+    if (!(error instanceof RiskError))
+      log.error('❌ VAS Vend Error', { error, providerResponse: error.response?.data });
+    // Once Monnify accepted the vend — or may have, after a timeout — the debit
+    // stands and the reconciliation worker settles the record.
+    if (vended || (balanceDebited && isOutcomeUnknown(error)))
+      return { reference, pending: true };
+    if (balanceDebited) {
+      try {
+        await db.runTransaction(async (t) => {
+          const snap = await t.get(txnRef);
+          if (!snap.exists || snap.data().status !== 'pending') return;
+          reverseVend(t, txnRef, snap.data(), 'VAS reversal');
+        });
+        log.info(`↩️ VAS reversed ₦${amount}`);
+      } catch (e) {
+        log.error('❌ CRITICAL: VAS reversal failed', { error: e });
+        // Still debited; the reconciliation worker reverses it later.
+        error.reversalPending = true;
+      }
+    }
+    throw error;
+  }
+}
+
+app.post('/api/vas/vend', requireAuth, rateLimit('money'), validate({
+  body: {
+    productCode:         { ...VAS_CODE_FIELD, required: true },
+    customerId:          VAS_CUSTOMER_FIELD,
+    amount:              { type: 'money', operation: 'vas', required: true },
+    phoneNumber:         PHONE_FIELD,
+    emailAddress:        { type: 'email' },
+    validationReference: { type: 'string', max: 128 },
+    description:         { type: 'string', max: 100 },
+    pin:                 PIN_FIELD,
+  },
+}), requireTransactionPin, idempotent, async (req, res) => {
+  const { pin, amount: amountKobo, ...vend } = req.valid.body;
+  try {
+    const result = await vendForUser(req.user.uid, { ...vend, amountKobo });
+    if (result.pending)
+      return res.status(202).json({ status: true, data: { reference: result.reference, vendStatus: 'PENDING' } });
+    res.json({ status: true, data: result.vend });
+  } catch (error) {
+    if (respondRiskRejection(res, error)) return;
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(400).json({ error: error.response?.data?.responseMessage || error.message });
+  }
+});
+
+app.get('/api/vas/requery', requireAuth, rateLimit('lookup'), validate({
+  query: { reference: { type: 'reference', required: true } },
+}), async (req, res) => {
+  const { reference } = req.valid.query;
+  try {
+    const vend = await requeryVend(reference);
+    if (!vend) return res.status(404).json({ error: 'Vend not found' });
+    res.json({ status: true, data: vend });
+  } catch (error) {
+    log.error('❌ VAS Requery Error', { error, providerResponse: error.response?.data });
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(500).json({ error: 'Requery failed' });
+  }
+});
+
+// ============================================
+// VAS CATALOGUE — cached billers and products
+// Monnify pages both lists.  The catalogue pulls every page of the billers
+// and of each biller's products, keeps the result in memory and rebuilds it
+// in the background every VAS_CATALOGUE_TTL_MS; a failed rebuild keeps
+// serving the previous copy.
+//
+// Lists are sorted by name and paged with an opaque `cursor` (`nextCursor` in
+// each response).  Responses carry an ETag built from the catalogue version
+// and the query, so an unchanged page is a 304.
+// ============================================
+const VAS_CATALOGUE_TTL_MS    = config.workers.vasCatalogueTtlMs;
+const VAS_PAGE_SIZE           = 100;
+const VAS_MAX_PAGES           = 50;
+const VAS_PRODUCT_CONCURRENCY = 4;
+const CATALOGUE_DEFAULT_LIMIT = 50;
+const CATALOGUE_MAX_LIMIT     = 200;
+
+let vasCatalogue      = null;   // { billers, products: { [billerCode]: [...] }, version, builtAt }
+let vasCatalogueBuild = null;   // in-flight rebuild, shared by concurrent callers
+
+async function fetchAllVasPages(path, params = {}) {
+  const items = [];
+  for (let page = 0; page < VAS_MAX_PAGES; page++) {
+    const qs      = new URLSearchParams({ ...params, page, size: VAS_PAGE_SIZE });
+    const r       = await monnifyRequest({ path: `${path}?${qs}`, retry: true });
+    const body    = r.data.responseBody || {};
+    const content = Array.isArray(body) ? body : body.content || [];
+    items.push(...content);
+    if (Array.isArray(body) || body.last || content.length < VAS_PAGE_SIZE || page + 1 >= (body.totalPages ?? Infinity))
+      break;
+  }
+  return items;
+}
+
+const fetchBillerProducts = (billerCode) =>
+  fetchAllVasPages('/api/v1/vas/bills-payment/biller-products', { biller_code: billerCode });
+
+const byName = (a, b) =>
+  String(a.name).localeCompare(String(b.name), 'en', { numeric: true }) ||
+  String(a.code).localeCompare(String(b.code), 'en', { numeric: true });
+
+async function buildVasCatalogue() {
+  const billers  = (await fetchAllVasPages('/api/v1/vas/bills-payment/billers')).sort(byName);
+  const products = {};
+  const queue    = [...billers];
+  await Promise.all(Array.from({ length: VAS_PRODUCT_CONCURRENCY }, async () => {
+    for (let biller = queue.shift(); biller; biller = queue.shift()) {
+      try {
+        products[biller.code] = (await fetchBillerProducts(biller.code)).sort(byName);
+      } catch (error) {
+        if (error instanceof ProviderUnavailableError) throw error;
+        // Keep the last good list; with none, /api/vas/products fetches it live.
+        if (vasCatalogue?.products[biller.code]) products[biller.code] = vasCatalogue.products[biller.code];
+        log.error(`⚠️ VAS Catalogue: products for ${biller.code} failed`, { error });
+      }
+    }
+  }));
+
+  vasCatalogue = {
+    billers,
+    products,
+    version: sha256(JSON.stringify({ billers, products })).slice(0, 16),
+    builtAt: Date.now(),
+  };
+  log.info(`📚 VAS catalogue: ${billers.length} billers, ${Object.values(products).flat().length} products`);
+  return vasCatalogue;
+}
+
+function refreshVasCatalogue() {
+  if (!vasCatalogueBuild)
+    vasCatalogueBuild = buildVasCatalogue().finally(() => { vasCatalogueBuild = null; });
+  return vasCatalogueBuild;
+}
+
+// Waits only when there is no catalogue yet; a stale one is served while it rebuilds.
+async function getVasCatalogue() {
+  if (!vasCatalogue) return refreshVasCatalogue();
+  if (Date.now() - vasCatalogue.builtAt > VAS_CATALOGUE_TTL_MS)
+    refreshVasCatalogue().catch(e => log.error('❌ VAS Catalogue Error', { error: e }));
+  return vasCatalogue;
+}
+
+function startVasCatalogueRefresher() {
+  if (!config.workers.vasCatalogueRefresh) return;
+  const refresh = () => refreshVasCatalogue().catch(e => log.error('❌ VAS Catalogue Error', { error: e }));
+  refresh();
+  setInterval(refresh, VAS_CATALOGUE_TTL_MS);
+}
+
+// Products list `categories`; billers may carry a single `category` instead.
+const inCategory = (item, code) =>
+  item.categories?.some(c => c.code === code) || item.category?.code === code;
+
+const matchesSearch = (q) => {
+  const terms = String(q).toLowerCase().split(/\s+/).filter(Boolean);
+  return (item) => {
+    const text = `${item.name || ''} ${item.code || ''}`.toLowerCase();
+    return terms.every(term => text.includes(term));
+  };
+};
+
+const encodeCatalogueCursor = (item) => Buffer.from(JSON.stringify([item.name, item.code])).toString('base64url');
+
+const CATALOGUE_QUERY = {
+  category_code: VAS_CODE_FIELD,
+  q:             { type: 'string', max: 100 },
+  cursor:        { type: 'string', max: 1024, pattern: /^[\w-]+$/, message: 'is not a cursor' },
+  limit:         { type: 'int', min: 1, max: CATALOGUE_MAX_LIMIT, default: CATALOGUE_DEFAULT_LIMIT },
+};
+
+// Items after the cursor's (name, code), so a page boundary survives a
+// rebuild that adds or removes entries.  null when the cursor is malformed.
+function catalogueItemsPage(items, { cursor, limit: size }) {
+  let start = 0;
+  if (cursor) {
+    let after;
+    try { after = JSON.parse(Buffer.from(cursor, 'base64url').toString()); } catch { return null; }
+    if (!Array.isArray(after) || after.length !== 2) return null;
+    start = items.findIndex(item => byName(item, { name: after[0], code: after[1] }) > 0);
+    if (start === -1) start = items.length;
+  }
+  const page = items.slice(start, start + size);
+  return { items: page, nextCursor: start + size < items.length ? encodeCatalogueCursor(page[page.length - 1]) : null };
+}
+
+// Sets the ETag for this catalogue version and query; true when it answered 304.
+function catalogueNotModified(req, res, version) {
+  const etag = `W/"${version}-${sha256(req.originalUrl).slice(0, 12)}"`;
+  res.set({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+  const ifNoneMatch = (req.get('If-None-Match') || '').split(',').map(s => s.trim());
+  if (!ifNoneMatch.includes(etag)) return false;
+  res.status(304).end();
+  return true;
+}
+
+// `data` keeps Monnify's page shape (`content`, `totalElements`) that older
+// app builds read, plus `nextCursor`.
+app.get('/api/vas/billers', requireAuth, validate({ query: CATALOGUE_QUERY }), async (req, res) => {
+  const { category_code, q, cursor, limit } = req.valid.query;
+  try {
+    const catalogue = await getVasCatalogue();
+    if (catalogueNotModified(req, res, catalogue.version)) return;
+
+    let billers = catalogue.billers;
+    if (category_code)
+      billers = billers.filter(b =>
+        inCategory(b, category_code) || (catalogue.products[b.code] || []).some(p => inCategory(p, category_code)));
+    if (q) billers = billers.filter(matchesSearch(q));
+
+    const page = catalogueItemsPage(billers, { cursor, limit });
+    if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+    res.json({ status: true, data: { content: page.items, totalElements: billers.length, nextCursor: page.nextCursor } });
+  } catch (error) {
+    log.error('❌ VAS Billers Error', { error, providerResponse: error.response?.data });
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(500).json({
+      error:   'Failed to fetch billers',
+      message: error.response?.data?.responseMessage || error.message,
+    });
+  }
+});
+
+// `data` stays the product array; paging details sit alongside it.
+app.get('/api/vas/products', requireAuth, validate({
+  query: { biller_code: { ...VAS_CODE_FIELD, required: true }, ...CATALOGUE_QUERY },
+}), async (req, res) => {
+  const { biller_code, category_code, q, cursor, limit } = req.valid.query;
+  try {
+    const catalogue = await getVasCatalogue();
+    let products    = catalogue.products[biller_code];
+    if (!products) {
+      products = (await fetchBillerProducts(biller_code)).sort(byName);
+      // Only cache billers we know about, so arbitrary codes can't grow the cache.
+      if (catalogue.billers.some(b => b.code === biller_code)) catalogue.products[biller_code] = products;
+    }
+    if (catalogueNotModified(req, res, catalogue.version)) return;
+
+    if (category_code) products = products.filter(p => inCategory(p, category_code));
+    if (q)             products = products.filter(matchesSearch(q));
+
+    const page = catalogueItemsPage(products, { cursor, limit });
+    if (!page) return res.status(400).json({ error: 'Invalid cursor' });
+    res.json({ status: true, data: page.items, total: products.length, nextCursor: page.nextCursor });
+  } catch (error) {
+    log.error('❌ VAS Products Error', { error, providerResponse: error.response?.data });
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(500).json({
+      error:   'Failed to fetch products',
+      message: error.response?.data?.responseMessage || error.message,
+    });
+  }
+});
+
+// One search box across every biller and product name.
+app.get('/api/vas/catalogue/search', requireAuth, validate({
+  query: {
+    q:     { type: 'string', min: 2, max: 100, required: true },
+    limit: { type: 'int', min: 1, max: 50, default: 20 },
+  },
+}), async (req, res) => {
+  const { q, limit } = req.valid.query;
+  try {
+    const catalogue = await getVasCatalogue();
+    if (catalogueNotModified(req, res, catalogue.version)) return;
+
+    const match    = matchesSearch(q);
+    const billers  = catalogue.billers.filter(match).slice(0, limit);
+    const products = [];
+    for (const biller of catalogue.billers) {
+      for (const product of catalogue.products[biller.code] || []) {
+        if (products.length >= limit) break;
+        if (match(product)) products.push({ ...product, billerCode: biller.code, billerName: biller.name });
+      }
+    }
+    res.json({ status: true, data: { billers, products } });
+  } catch (error) {
+    log.error('❌ VAS Search Error', { error, providerResponse: error.response?.data });
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(500).json({ error: 'Catalogue search failed' });
+  }
+});
+
+app.post('/api/admin/vas/catalogue/refresh', requireAuth, requireRole('admin'), validate(), async (req, res) => {
+  try {
+    const catalogue = await refreshVasCatalogue();
+    await recordAdminAction(req, { action: 'vas_catalogue.refresh', details: { version: catalogue.version } });
+    res.json({
+      success:  true,
+      version:  catalogue.version,
+      billers:  catalogue.billers.length,
+      products: Object.values(catalogue.products).flat().length,
+    });
+  } catch (error) {
+    log.error('❌ VAS Catalogue Error', { error, providerResponse: error.response?.data });
+    if (respondProviderUnavailable(res, error)) return;
+    res.status(500).json({ error: 'Catalogue refresh failed' });
+  }
+});
+
+// ============================================
+// NOTIFICATIONS — inbox + Expo push delivery
+// Every notification is saved to the recipient's inbox
+// (`users/{uid}/notifications`) whether or not they have a push token.  Pushes
+// are queued in `push_jobs` (one Expo request of up to 100 messages each) and
+// sent by the push worker; each accepted message leaves a `push_tickets` doc
+// whose receipt is checked once Expo has one.  A `DeviceNotRegistered` ticket
+// or receipt removes that `expoPushToken` from the user.
+//
+// Broadcasts are campaigns (`notification_campaigns/{id}`) with running
+// counters; a message is `delivered` or `failed` once its receipt is in.
+// ============================================
+const EXPO_PUSH_URL         = 'https://exp.host/--/api/v2/push/send';
+const EXPO_RECEIPTS_URL     = 'https://exp.host/--/api/v2/push/getReceipts';
+const EXPO_HEADERS          = { 'Content-Type': 'application/json', Accept: 'application/json', 'Accept-encoding': 'gzip, deflate' };
+const EXPO_TIMEOUT_MS       = 15 * 1000;   // a stalled request must not hold up the worker loop
+const EXPO_CHUNK_SIZE       = 100;    // messages per send request
+const EXPO_RECEIPT_CHUNK    = 1000;   // ticket IDs per receipts request
+const PUSH_INTERVAL_MS      = config.workers.pushIntervalMs;
+const PUSH_JOB_BATCH_SIZE   = 20;
+const PUSH_MAX_ATTEMPTS     = 5;
+const PUSH_RECEIPT_DELAY_MS = 15 * 60 * 1000;       // Expo's receipts usually take a few minutes
+const PUSH_RECEIPT_TTL_MS   = 24 * 60 * 60 * 1000;  // and are gone after a day
+const WRITE_BATCH_LIMIT     = 450;
+
+const inboxOf = (uid) => db.collection('users').doc(uid).collection('notifications');
+
+// Firestore batches cap at 500 writes; this commits as it fills.
+function chunkedBatch() {
+  let batch = db.batch();
+  let size  = 0;
+  const pending = [];
+  return {
+    add(op) {
+      op(batch);
+      if (++size >= WRITE_BATCH_LIMIT) { pending.push(batch.commit()); batch = db.batch(); size = 0; }
+    },
+    commit: () => Promise.all([...pending, size ? batch.commit() : null]),
+  };
+}
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+// Saves the notification to each user's inbox and queues pushes for those
+// with a token (unless `push` is false).  `users` are `users` doc snapshots.
+// → { inbox, queued }
+async function enqueueNotifications(users, { title, body, type, data = {} }, { campaignId = null, push = true } = {}) {
+  const now      = admin.firestore.FieldValue.serverTimestamp();
+  const writes   = chunkedBatch();
+  const messages = [];
+  for (const user of users) {
+    const ref = inboxOf(user.id).doc();
+    writes.add(b => b.create(ref, {
+      title, body, type, data, campaignId, read: false, readAt: null, createdAt: now,
+    }));
+    const to = push && user.data().expoPushToken;
+    if (to) messages.push({ to, userId: user.id, notificationId: ref.id });
+  }
+  for (const part of chunk(messages, EXPO_CHUNK_SIZE)) {
+    writes.add(b => b.create(db.collection('push_jobs').doc(), {
+      title, body, type, data, campaignId,
+      messages:      part,
+      status:        'queued',
+      attempts:      0,
+      nextAttemptAt: admin.firestore.Timestamp.now(),
+      createdAt:     now,
+    }));
+  }
+  await writes.commit();
+  if (messages.length) kickPushDelivery();
+  return { inbox: users.length, queued: messages.length };
+}
+
+// Pages through `query` (500 users at a time) into a new campaign.
+async function startCampaign(req, { title, body, type, data, audience, query }) {
+  const ref = db.collection('notification_campaigns').doc();
+  await ref.create({
+    title, body, type, audience,
+    createdBy:  req.user.uid,
+    status:     'queueing',
+    recipients: 0,
+    stats:      { queued: 0, accepted: 0, delivered: 0, failed: 0, noToken: 0, tokensPruned: 0 },
+    createdAt:  admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  const notification = { title, body, type, data: { ...data, type, campaignId: ref.id, sentAt: new Date().toISOString() } };
+  let recipients = 0;
+  let queued     = 0;
+  let after      = null;
+  for (;;) {
+    let page = query.orderBy(admin.firestore.FieldPath.documentId()).limit(500);
+    if (after) page = page.startAfter(after);
+    const snap = await page.get();
+    if (snap.empty) break;
+    const counts = await enqueueNotifications(snap.docs, notification, { campaignId: ref.id });
+    recipients += counts.inbox;
+    queued     += counts.queued;
+    after       = snap.docs[snap.size - 1].id;
+    if (snap.size < 500) break;
+  }
+
+  await ref.update({
+    status:          queued ? 'sending' : 'completed',
+    recipients,
+    'stats.queued':  queued,
+    'stats.noToken': recipients - queued,
+    ...(queued ? {} : { completedAt: admin.firestore.FieldValue.serverTimestamp() }),
+  });
+  return { campaignId: ref.id, recipients, queued };
+}
+
+const campaignView = (doc) => {
+  const c = doc.data();
+  const settled = c.stats.delivered + c.stats.failed;
+  return {
+    id: doc.id, ...c,
+    pending:     Math.max(c.stats.queued - settled, 0),
+    createdAt:   isoTime(c.createdAt),
+    completedAt: isoTime(c.completedAt),
+  };
+};
+
+// Counter deltas per campaign, applied once per worker step.
+function bumpCampaigns(writes, deltas) {
+  for (const [campaignId, delta] of Object.entries(deltas)) {
+    const update = {};
+    for (const [key, n] of Object.entries(delta))
+      if (n) update[`stats.${key}`] = admin.firestore.FieldValue.increment(n);
+    if (Object.keys(update).length)
+      writes.add(b => b.update(db.collection('notification_campaigns').doc(campaignId), update));
+  }
+}
+
+const tally = (deltas, campaignId, key, n = 1) => {
+  if (!campaignId) return;
+  deltas[campaignId]      = deltas[campaignId] || {};
+  deltas[campaignId][key] = (deltas[campaignId][key] || 0) + n;
+};
+
+// Only removes the token if the user hasn't registered a new one since.
+async function pruneExpoToken(userId, token) {
+  const ref = db.collection('users').doc(userId);
+  const pruned = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists || snap.data().expoPushToken !== token) return false;
+    t.update(ref, { expoPushToken: admin.firestore.FieldValue.delete() });
+    return true;
+  });
+  if (pruned) log.info(`🧹 Removed unregistered push token for ${userId}`);
+  return pruned;
+}
+
+async function sendPushJob(doc) {
+  const job = doc.data();
+  let tickets;
+  try {
+    const response = await axios.post(EXPO_PUSH_URL, job.messages.map(m => ({
+      to:    m.to,
+      sound: 'default',
+      title: job.title,
+      body:  job.body,
+      data:  { ...job.data, notificationId: m.notificationId },
+    })), { headers: EXPO_HEADERS, timeout: EXPO_TIMEOUT_MS });
+    tickets = response.data?.data || [];
+  } catch (error) {
+    const attempts = (job.attempts || 0) + 1;
+    const giveUp   = attempts >= PUSH_MAX_ATTEMPTS || !isTransientError(error);
+    log.error(`⚠️ Push job ${doc.id} attempt ${attempts} failed`, { error });
+    await doc.ref.update({
+      attempts,
+      lastError:     error.message,
+      status:        giveUp ? 'failed' : 'queued',
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + 30 * 1000 * 2 ** attempts),
+    });
+    if (giveUp && job.campaignId)
+      await db.collection('notification_campaigns').doc(job.campaignId).update({
+        'stats.failed': admin.firestore.FieldValue.increment(job.messages.length),
+      });
+    return;
+  }
+
+  const writes = chunkedBatch();
+  const deltas = {};
+  const checkAfter = admin.firestore.Timestamp.fromMillis(Date.now() + PUSH_RECEIPT_DELAY_MS);
+  for (const [i, m] of job.messages.entries()) {
+    const ticket = tickets[i] || { status: 'error', message: 'No ticket returned' };
+    if (ticket.status === 'ok') {
+      tally(deltas, job.campaignId, 'accepted');
+      writes.add(b => b.set(db.collection('push_tickets').doc(ticket.id), {
+        userId:         m.userId,
+        token:          m.to,
+        notificationId: m.notificationId,
+        campaignId:     job.campaignId,
+        status:         'pending',
+        checkAfter,
+        createdAt:      admin.firestore.FieldValue.serverTimestamp(),
+      }));
+      continue;
+    }
+    tally(deltas, job.campaignId, 'failed');
+    if (ticket.details?.error === 'DeviceNotRegistered' && await pruneExpoToken(m.userId, m.to))
+      tally(deltas, job.campaignId, 'tokensPruned');
+  }
+  writes.add(b => b.update(doc.ref, {
+    status:   'sent',
+    attempts: (job.attempts || 0) + 1,
+    sentAt:   admin.firestore.FieldValue.serverTimestamp(),
+  }));
+  bumpCampaigns(writes, deltas);
+  await writes.commit();
+}
+
+async function checkPushReceipts(docs) {
+  const writes = chunkedBatch();
+  const deltas = {};
+  for (const part of chunk(docs, EXPO_RECEIPT_CHUNK)) {
+    const response = await axios.post(EXPO_RECEIPTS_URL, { ids: part.map(d => d.id) }, { headers: EXPO_HEADERS, timeout: EXPO_TIMEOUT_MS });
+    const receipts = response.data?.data || {};
+    for (const doc of part) {
+      const ticket  = doc.data();
+      const receipt = receipts[doc.id];
+      if (!receipt) {
+        // Not ready yet, or already expired on Expo's side.
+        const expired = Date.now() - ticket.createdAt.toMillis() > PUSH_RECEIPT_TTL_MS;
+        if (expired) tally(deltas, ticket.campaignId, 'failed');
+        writes.add(b => b.update(doc.ref, expired
+          ? { status: 'expired' }
+          : { checkAfter: admin.firestore.Timestamp.fromMillis(Date.now() + PUSH_RECEIPT_DELAY_MS) }));
+        continue;
+      }
+      if (receipt.status === 'ok') {
+        tally(deltas, ticket.campaignId, 'delivered');
+        writes.add(b => b.update(doc.ref, { status: 'delivered' }));
+        continue;
+      }
+      tally(deltas, ticket.campaignId, 'failed');
+      writes.add(b => b.update(doc.ref, { status: 'failed', error: receipt.details?.error || receipt.message || null }));
+      if (receipt.details?.error === 'DeviceNotRegistered' && await pruneExpoToken(ticket.userId, ticket.token))
+        tally(deltas, ticket.campaignId, 'tokensPruned');
+    }
+  }
+  bumpCampaigns(writes, deltas);
+  await writes.commit();
+}
+
+// Marks campaigns whose every queued message has settled.
+async function completeCampaigns(campaignIds) {
+  for (const id of campaignIds) {
+    const ref = db.collection('notification_campaigns').doc(id);
+    await db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      const c    = snap.data();
+      if (!snap.exists || c.status !== 'sending' || c.stats.delivered + c.stats.failed < c.stats.queued) return;
+      t.update(ref, { status: 'completed', completedAt: admin.firestore.FieldValue.serverTimestamp() });
+    });
+  }
+}
+
+async function runPushDelivery() {
+  const lease = await acquireLease('push-delivery', Math.max(PUSH_INTERVAL_MS, 60 * 1000));
+  if (!lease) return null;
+  try {
+    const now  = admin.firestore.Timestamp.now();
+    const jobs = await db.collection('push_jobs')
+      .where('status', '==', 'queued')
+      .where('nextAttemptAt', '<=', now)
+      .orderBy('nextAttemptAt')
+      .limit(PUSH_JOB_BATCH_SIZE)
+      .get();
+    for (const doc of jobs.docs)
+      await sendPushJob(doc).catch(e => log.error(`❌ Push job ${doc.id} Error`, { error: e }));
+
+    const tickets = await db.collection('push_tickets')
+      .where('status', '==', 'pending')
+      .where('checkAfter', '<=', now)
+      .orderBy('checkAfter')
+      .limit(EXPO_RECEIPT_CHUNK)
+      .get();
+    if (!tickets.empty) await checkPushReceipts(tickets.docs);
+
+    const campaigns = new Set([...jobs.docs, ...tickets.docs].map(d => d.data().campaignId).filter(Boolean));
+    await completeCampaigns(campaigns);
+    return { jobs: jobs.size, receipts: tickets.size };
+  } finally {
+    await lease.release().catch(() => {});
+  }
+}
+
+const pushDeliveryEnabled = () => config.workers.pushDeliveryEnabled;
+
+// Sends newly queued pushes without waiting for the next tick.
+let pushKick = null;
+function kickPushDelivery() {
+  if (pushKick || !pushDeliveryEnabled()) return;
+  pushKick = setTimeout(() => {
+    pushKick = null;
+    runPushDelivery().catch(e => log.error('❌ Push Delivery Error', { error: e }));
+  }, 1000);
+}
+
+function startPushWorker() {
+  if (!pushDeliveryEnabled()) return;
+  setInterval(() => {
+    runPushDelivery().catch(e => log.error('❌ Push Delivery Error', { error: e }));
+  }, PUSH_INTERVAL_MS);
+  log.info(`📨 Push delivery every ${PUSH_INTERVAL_MS / 1000}s`);
+}
+
+const NOTIFICATION_FIELDS = {
+  title: { type: 'string', max: 100, required: true },
+  body:  { type: 'string', max: 1000, required: true },
+  data:  { type: 'object' },   // flat; `data.type` sets the notification type
+};
+const NOTIFICATION_FIELD = { type: 'object', fields: NOTIFICATION_FIELDS, required: true };
+
+app.post('/api/notifications/broadcast', requireAuth, requireRole('admin'), rateLimit('notifications'), validate({
+  body: { ...NOTIFICATION_FIELDS, type: { type: 'string', max: 50 } },
+}), async (req, res) => {
+  try {
+    const { title, body, type, data } = req.valid.body;
+    const campaign = await startCampaign(req, {
+      title, body,
+      type:     type || 'admin_notification',
+      data:     data || {},
+      audience: { all: true },
+      query:    db.collection('users'),
+    });
+    await recordAdminAction(req, {
+      action: 'notification.broadcast', targetType: 'notification_campaign', targetId: campaign.campaignId,
+      details: { title, recipients: campaign.recipients, queued: campaign.queued },
+    });
+    res.json({ success: true, campaignId: campaign.campaignId, recipientCount: campaign.recipients, sentCount: campaign.queued });
+  } catch (e) {
+    log.error('❌ Broadcast Error', { error: e });
+    res.status(500).json({ error: 'Failed to broadcast' });
+  }
+});
+
+app.post('/api/notifications/send-to-user', requireAuth, requireRole('admin'), rateLimit('notifications'), validate({
+  body: { userId: { type: 'reference', required: true }, notification: NOTIFICATION_FIELD },
+}), async (req, res) => {
+  try {
+    const { userId, notification } = req.valid.body;
+    const d = await db.collection('users').doc(userId).get();
+    if (!d.exists) return res.status(404).json({ error: 'User not found' });
+    const { queued } = await enqueueNotifications([d], {
+      title: notification.title,
+      body:  notification.body,
+      type:  notification.data?.type || 'direct',
+      data:  notification.data ?? {},
+    });
+    await recordAdminAction(req, {
+      action: 'notification.send_to_user', targetType: 'user', targetId: userId,
+      details: { title: notification.title, queued },
+    });
+    res.json({ success: true, sentCount: queued });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to send notification' });
+  }
+});
+
+app.post('/api/notifications/send', requireAuth, requireRole('admin'), rateLimit('notifications'), validate({
+  body: {
+    filters:      {
+      type:   'object',
+      fields: { state: { type: 'string', max: 64 }, city: { type: 'string', max: 64 }, role: { type: 'string', max: 32 } },
+    },
+    notification: NOTIFICATION_FIELD,
+  },
+}), async (req, res) => {
+  try {
+    const { filters, notification } = req.valid.body;
+    let q = db.collection('users');
+    if (filters?.state) q = q.where('state', '==', filters.state);
+    if (filters?.city)  q = q.where('city',  '==', filters.city);
+    if (filters?.role)  q = q.where('role',  '==', filters.role);
+    const campaign = await startCampaign(req, {
+      title:    notification.title,
+      body:     notification.body,
+      type:     notification.data?.type || 'admin_notification',
+      data:     notification.data ?? {},
+      audience: filters || {},
+      query:    q,
+    });
+    await recordAdminAction(req, {
+      action: 'notification.send', targetType: 'notification_campaign', targetId: campaign.campaignId,
+      details: { title: notification.title, filters: filters || {}, recipients: campaign.recipients, queued: campaign.queued },
+    });
+    res.json({ success: true, campaignId: campaign.campaignId, recipientCount: campaign.recipients, sentCount: campaign.queued });
+  } catch (e) {
+    log.error('❌ Send Notifications Error', { error: e });
+    res.status(500).json({ error: 'Failed to send notifications' });
+  }
+});
+
+// Inbox, newest first; `unread=true` lists only unread ones.
+app.get('/api/notifications', requireAuth, validate({
+  query: {
+    unread: { type: 'boolean', default: false },
+    cursor: PAGE_QUERY.cursor,
+    limit:  { type: 'int', min: 1, max: 100, default: 20 },
+  },
+}), async (req, res) => {
+  try {
+    const { unread, cursor, limit } = req.valid.query;
+    const inbox = inboxOf(req.user.uid);
+    let q = inbox;
+    if (unread) q = q.where('read', '==', false);
+    q = q.orderBy('createdAt', 'desc').limit(limit);
+    if (cursor) {
+      const after = await inbox.doc(cursor).get();
+      if (!after.exists) return res.status(400).json({ error: 'Invalid cursor' });
+      q = q.startAfter(after);
+    }
+    const snap = await q.get();
+    res.json({
+      status:     true,
+      data:       snap.docs.map(d => ({
+        id: d.id, ...d.data(), createdAt: isoTime(d.data().createdAt), readAt: isoTime(d.data().readAt),
+      })),
+      nextCursor: snap.size === limit ? snap.docs[snap.size - 1].id : null,
+    });
+  } catch (error) {
+    log.error('❌ Inbox Error', { error });
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+app.get('/api/notifications/unread-count', requireAuth, validate(), async (req, res) => {
+  try {
+    const snap = await inboxOf(req.user.uid).where('read', '==', false).count().get();
+    res.json({ status: true, data: { count: snap.data().count } });
+  } catch (error) {
+    log.error('❌ Unread Count Error', { error });
+    res.status(500).json({ error: 'Failed to count notifications' });
+  }
+});
+
+app.post('/api/notifications/read-all', requireAuth, validate(), async (req, res) => {
+  try {
+    const snap   = await inboxOf(req.user.uid).where('read', '==', false).get();
+    const writes = chunkedBatch();
+    const readAt = admin.firestore.FieldValue.serverTimestamp();
+    snap.docs.forEach(d => writes.add(b => b.update(d.ref, { read: true, readAt })));
+    await writes.commit();
+    res.json({ status: true, data: { updated: snap.size } });
+  } catch (error) {
+    log.error('❌ Mark All Read Error', { error });
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+app.post('/api/notifications/:id/read', requireAuth, validate({ params: ID_PARAM }), async (req, res) => {
+  try {
+    const ref  = inboxOf(req.user.uid).doc(req.params.id);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: 'Notification not found' });
+    if (!snap.data().read)
+      await ref.update({ read: true, readAt: admin.firestore.FieldValue.serverTimestamp() });
+    res.json({ status: true, data: { id: ref.id, read: true } });
+  } catch (error) {
+    log.error('❌ Mark Read Error', { error });
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+app.get('/api/admin/notifications/campaigns', requireAuth, requireRole('admin'), validate({
+  query: { cursor: PAGE_QUERY.cursor, limit: { type: 'int', min: 1, max: 100, default: 20 } },
+}), async (req, res) => {
+  try {
+    const { cursor, limit } = req.valid.query;
+    let q = db.collection('notification_campaigns').orderBy('createdAt', 'desc').limit(limit);
+    if (cursor) {
+      const after = await db.collection('notification_campaigns').doc(cursor).get();
+      if (after.exists) q = q.startAfter(after);
+    }
+    const snap = await q.get();
+    res.json({
+      success:    true,
+      campaigns:  snap.docs.map(campaignView),
+      nextCursor: snap.size === limit ? snap.docs[snap.size - 1].id : null,
+    });
+  } catch (error) {
+    log.error('❌ Campaigns Error', { error });
+    res.status(500).json({ error: 'Failed to fetch campaigns' });
+  }
+});
+
+app.get('/api/admin/notifications/campaigns/:id', requireAuth, requireRole('admin'), validate({ params: ID_PARAM }), async (req, res) => {
+  try {
+    const doc = await db.collection('notification_campaigns').doc(req.params.id).get();
+    if (!doc.exists) return res.status(404).json({ error: 'Campaign not found' });
+    res.json({ success: true, campaign: campaignView(doc) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+});
+
+// ============================================
+// TRANSACTIONAL NOTIFICATIONS — wallet events → push + email
+// Money paths call emitWalletEvent() once their write has committed.  Each
+// event type has a template and a preference category; users opt in or out
+// of push and email per category (`users/{uid}.notificationPreferences`,
+// everything on by default).  The inbox copy is always kept — preferences
+// only decide which channels interrupt the user.  Delivery never blocks or
+// fails the money path.
+// ============================================
+const NOTIFICATION_CATEGORIES = ['funding', 'withdrawals', 'bills', 'account'];
+const NOTIFICATION_CHANNELS   = ['push', 'email'];
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// push(e) → { title, body }; email(e) → { subject, intro, rows } or absent;
+// data(e) → extra push payload fields.
+const WALLET_EVENTS = {
+  'wallet.funded': {
+    category: 'funding',
+    push:  (e) => ({ title: 'Wallet funded', body: `${naira(e.amount)} has been added to your wallet.` }),
+    email: (e) => ({
+      subject: `Receipt: ${naira(e.amount)} added to your wallet`,
+      intro:   'Your wallet has been funded.',
+      rows:    [['Amount', naira(e.amount)], ['Method', e.description], ['Reference', e.reference]],
+    }),
+  },
+  'withdrawal.reversed': {
+    category: 'withdrawals',
+    push:  (e) => ({
+      title: 'Withdrawal failed',
+      body:  `Your ${naira(e.amount)} transfer to ${e.destination?.accountName || 'your bank account'} failed. The money is back in your wallet.`,
+    }),
+    email: (e) => ({
+      subject: `Your ${naira(e.amount)} withdrawal was refunded`,
+      intro:   'Your bank transfer could not be completed, so the full amount has been returned to your wallet.',
+      rows:    [
+        ['Amount',    naira(e.amount)],
+        ['To',        [e.destination?.accountName, e.destination?.accountNumber].filter(Boolean).join(' — ') || '—'],
+        ['Reference', e.reference],
+      ],
+    }),
+  },
+  'vas.completed': {
+    category: 'bills',
+    push:  (e) => ({
+      title: 'Payment successful',
+      body:  `${e.productName} for ${e.customerId}: ${naira(e.amount)}.`,
+    }),
+    email: (e) => ({
+      subject: `Receipt: ${e.productName} — ${naira(e.amount)}`,
+      intro:   'Your bill payment was successful.',
+      rows:    [
+        ['Product',   e.productName],
+        ['Customer',  e.customerId],
+        ['Amount',    naira(e.amount)],
+        ['Reference', e.reference],
+      ],
+    }),
+  },
+  'kyc.approved': {
+    category: 'account',
+    push:  (e) => ({ title: 'Identity verified', body: `You're now on tier ${e.tier}, with higher wallet limits.` }),
+    email: (e) => ({
+      subject: 'Your identity has been verified',
+      intro:   `Thanks for verifying your identity. Your account is now on tier ${e.tier}.`,
+      rows:    [['Tier', e.tier], ['Daily limit', naira(tierLimitsView(e.tier).daily)]],
+    }),
+  },
+  'kyc.rejected': {
+    category: 'account',
+    push: (e) => ({ title: 'Verification unsuccessful', body: e.reason || 'We could not verify your identity.' }),
+  },
+  'kyc.resubmission_required': {
+    category: 'account',
+    push: (e) => ({ title: 'Action needed: verification', body: e.reason || 'Please resubmit your verification details.' }),
+  },
+  'autopay.skipped': {
+    category: 'bills',
+    data: (e) => ({ scheduleId: e.scheduleId }),
+    push: (e) => ({
+      title: 'Scheduled purchase skipped',
+      body:  `Your ${naira(e.amount)} ${e.label} for ${e.customerId} didn't go through — your wallet balance was too low.`
+           + (e.paused ? ' The schedule has been paused.' : ''),
+    }),
+  },
+  'autopay.failed': {
+    category: 'bills',
+    data: (e) => ({ scheduleId: e.scheduleId }),
+    push: (e) => ({
+      title: 'Scheduled purchase failed',
+      body:  `Your ${naira(e.amount)} ${e.label} for ${e.customerId} failed`
+           + (e.refundPending ? ' — the charge will be refunded to your wallet shortly.' : ' and your wallet was not charged.')
+           + (e.paused ? ' The schedule has been paused.' : ''),
+    }),
+  },
+};
+
+function notificationPreferences(user) {
+  const stored = user?.notificationPreferences || {};
+  return Object.fromEntries(NOTIFICATION_CATEGORIES.map(category => [
+    category,
+    Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, stored[category]?.[channel] !== false])),
+  ]));
+}
+
+function renderEmail(name, { subject, intro, rows }) {
+  const greeting = `Hi ${name || 'there'},`;
+  const text = [greeting, '', intro, '', ...rows.map(([k, v]) => `${k}: ${v}`)].join('\n');
+  const html = `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p>`
+    + '<table cellpadding="6" style="border-collapse:collapse">'
+    + rows.map(([k, v]) => `<tr><td style="color:#666">${escapeHtml(k)}</td><td><strong>${escapeHtml(v)}</strong></td></tr>`).join('')
+    + '</table>';
+  return { subject, text, html };
+}
+
+async function deliverWalletEvent(type, userId, event) {
+  const template = WALLET_EVENTS[type];
+  const doc      = await db.collection('users').doc(userId).get();
+  if (!doc.exists) return;
+  const prefs = notificationPreferences(doc.data())[template.category];
+
+  const { title, body } = template.push(event);
+  await enqueueNotifications([doc], {
+    title, body, type,
+    data: { type, reference: event.reference ?? null, ...template.data?.(event) },
+  }, { push: prefs.push });
+
+  const to = doc.data().email;
+  if (template.email && prefs.email && to && mailer) {
+    await mailer.sendMail({ from: MAIL_FROM, to, ...renderEmail(displayName(doc.data()), template.email(event)) });
+    log.info(`📧 ${type} email → ${userId}`);
+  }
+}
+
+function emitWalletEvent(type, userId, event) {
+  deliverWalletEvent(type, userId, event)
+    .catch(e => log.error(`⚠️ Notification Error (${type} → ${userId})`, { error: e }));
+}
+
+app.get('/api/notifications/preferences', requireAuth, validate(), async (req, res) => {
+  try {
+    const doc = await db.collection('users').doc(req.user.uid).get();
+    res.json({ status: true, data: notificationPreferences(doc.data()) });
+  } catch (error) {
+    log.error('❌ Notification Preferences Error', { error });
+    res.status(500).json({ error: 'Failed to fetch preferences' });
+  }
+});
+
+const NOTIFICATION_PREFERENCES_BODY = Object.fromEntries(NOTIFICATION_CATEGORIES.map(category => [category, {
+  type:   'object',
+  fields: Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, { type: 'boolean' }])),
+}]));
+
+// Partial updates: `{ "bills": { "email": false } }` leaves everything else as is.
+app.put('/api/notifications/preferences', requireAuth, validate({ body: NOTIFICATION_PREFERENCES_BODY }), async (req, res) => {
+  const update = {};
+  for (const [category, channels] of Object.entries(req.valid.body))
+    for (const [channel, enabled] of Object.entries(channels))
+      update[`notificationPreferences.${category}.${channel}`] = enabled;
+  if (!Object.keys(update).length) return res.status(400).json({ error: 'No preferences to update' });
+
+  try {
+    const ref = db.collection('users').doc(req.user.uid);
+    await ref.update(update);
+    res.json({ status: true, data: notificationPreferences((await ref.get()).data()) });
+  } catch (error) {
+    log.error('❌ Notification Preferences Error', { error });
+    res.status(500).json({ error: 'Failed to update preferences' });
+  }
+});
+
+// ============================================
+// RECONCILIATION WORKER
+// Settles transactions left in `pending`/`processing` — a crash between the
+// wallet debit and the payout call, a vend that never reported back, or a
+// funding webhook that was lost — by requerying the provider that handled it.  One instance runs at
+// a time (Firestore lease); every decision is recorded on the transaction and
+// in `reconciliation_runs`.
+// ============================================
+const RECONCILE_INTERVAL_MS = config.workers.reconcileIntervalMs;
+const RECONCILE_STALE_MS    = config.workers.reconcileStaleMs;
+const FUNDING_EXPIRY_MS     = 24 * 60 * 60 * 1000;
+const RECONCILE_BATCH_SIZE  = 100;
+const RECONCILE_ESCALATE_AFTER = 12;   // unresolved withdrawal runs before it needs a person
+
+const PENDING_STATUSES = ['pending', 'processing'];
+
+async function acquireLease(name, ttlMs) {
+  const ref    = db.collection('locks').doc(name);
+  const holder = `${process.pid}-${crypto.randomUUID()}`;
+  const ok = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (snap.exists && snap.data().expiresAt.toMillis() > Date.now()) return false;
+    t.set(ref, { holder, expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + ttlMs) });
+    return true;
+  });
+  if (!ok) return null;
+  return {
+    release: () => db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (snap.exists && snap.data().holder === holder) t.delete(ref);
+    }),
+  };
+}
+
+const ageMs = (data) => Date.now() - (data.createdAt?.toMillis?.() ?? Date.now());
+
+// ── Funding (`transactions/{paymentReference}`) ───────────────────────────
+async function reconcileFunding(doc) {
+  const txn     = doc.data();
+  const payment = await paymentProvider(txn.provider).verify({
+    paymentReference:  doc.id,
+    providerReference: txn.providerReference,
+  });
+  const status  = payment?.status || null;
+
+  if (status === 'PAID') {
+    const { outcome } = await fulfilPayment({
+      paymentReference:  doc.id,
+      providerReference: payment.providerReference,
+      amountPaidKobo:    payment.amountPaidKobo,
+      source:            'reconciliation',
+    });
+    return { action: outcome, providerStatus: status };
+  }
+  if (status === 'FAILED') {
+    await doc.ref.update({ status: 'failed', providerStatus: status });
+    return { action: 'marked_failed', providerStatus: status };
+  }
+  if (ageMs(txn) > FUNDING_EXPIRY_MS) {
+    await doc.ref.update({ status: 'expired', providerStatus: status });
+    return { action: 'expired', providerStatus: status };
+  }
+  return { action: 'left_pending', providerStatus: status };
+}
+
+// Counts a run that could not settle a withdrawal; after
+// RECONCILE_ESCALATE_AFTER of them it is flagged for an admin once.
+async function leaveWithdrawalPending(doc, providerStatus, lookupError) {
+  const runs     = (doc.data().reconcileRuns || 0) + 1;
+  const escalate = runs >= RECONCILE_ESCALATE_AFTER && !doc.data().escalatedAt;
+  await doc.ref.update({
+    reconcileRuns: runs,
+    ...(escalate ? { needsReview: true, escalatedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+  });
+  if (escalate) log.error(`🚨 Withdrawal ${doc.id} unresolved after ${runs} reconciliation runs — needs review`);
+  return {
+    action: escalate ? 'escalated' : 'left_pending',
+    providerStatus,
+    ...(lookupError ? { error: lookupError.response?.data?.responseMessage || lookupError.message } : {}),
+  };
+}
+
+// ── Withdrawals (`transactions/WITHDRAW-…`) ───────────────────────────────
+async function reconcileWithdrawal(doc) {
+  const provider = paymentProvider(doc.data().provider);
+  let disbursement;
+  try {
+    disbursement = await provider.disbursementStatus(doc.id);
+  } catch (error) {
+    return leaveWithdrawalPending(doc, null, error);
+  }
+  const status = disbursement?.status || null;
+
+  if (status === 'SUCCESS') {
+    const batch = db.batch();
+    batch.update(doc.ref, { status: 'success', settledAt: admin.firestore.FieldValue.serverTimestamp() });
+    syncWithdrawalLog(batch, doc.id, doc.data(), 'success');
+    await batch.commit();
+    return { action: 'marked_success', providerStatus: status };
+  }
+  // The provider saying it has no such payout, once any payout call made for it
+  // would have timed out, means the request never left this server.
+  const neverSent = !disbursement && ageMs(doc.data()) > provider.payoutDeadlineMs;
+  if (neverSent || ['FAILED', 'REVERSED'].includes(status)) {
+    const reversed = await db.runTransaction(async (t) => {
+      const snap = await t.get(doc.ref);
+      if (!PENDING_STATUSES.includes(snap.data().status)) return false;
+      reverseWithdrawal(t, doc.id, snap.data(), 'Withdrawal reversal (reconciliation)');
+      t.update(doc.ref, { status: 'failed', settledAt: admin.firestore.FieldValue.serverTimestamp() });
+      return true;
+    });
+    if (reversed) {
+      const txn = doc.data();
+      emitWalletEvent('withdrawal.reversed', txn.userId, {
+        reference: doc.id, amount: txn.amount, destination: txn.destination,
+      });
+    }
+    return { action: reversed ? 'reversed' : 'already_settled', providerStatus: status };
+  }
+  return leaveWithdrawalPending(doc, status);
+}
+
+// ── VAS vends (`users/{id}/transactions/{reference}`) ─────────────────────
+async function reconcileVend(doc) {
+  const txn    = doc.data();
+  const vend   = await requeryVend(txn.reference || doc.id);
+  const status = vend?.vendStatus || null;
+
+  if (status === 'SUCCESS') {
+    await doc.ref.update({
+      status:        'success',
+      vendReference: vend.vendReference || txn.reference,
+      updatedAt:     admin.firestore.FieldValue.serverTimestamp(),
+    });
+    emitWalletEvent('vas.completed', doc.ref.parent.parent.id, {
+      reference:   txn.reference || doc.id,
+      amount:      txn.amount,
+      productName: vend.productName || txn.productName,
+      customerId:  txn.customerId,
+    });
+    return { action: 'marked_success', providerStatus: status };
+  }
+  // A `pending` vend with no Monnify record was never sent.
+  if (status === 'FAILED' || (!vend && txn.status === 'pending')) {
+    const reversed = await db.runTransaction(async (t) => {
+      const snap = await t.get(doc.ref);
+      if (!PENDING_STATUSES.includes(snap.data().status)) return false;
+      reverseVend(t, doc.ref, snap.data(), 'VAS reversal (reconciliation)');
+      return true;
+    });
+    return { action: reversed ? 'reversed' : 'already_settled', providerStatus: status };
+  }
+  return { action: 'left_pending', providerStatus: status };
+}
+
+async function runReconciliation(trigger = 'schedule') {
+  const lease = await acquireLease('reconciliation', RECONCILE_INTERVAL_MS);
+  if (!lease) return null;
+
+  const runRef    = db.collection('reconciliation_runs').doc();
+  const cutoff    = admin.firestore.Timestamp.fromMillis(Date.now() - RECONCILE_STALE_MS);
+  const decisions = [];
+
+  try {
+    await runRef.set({ trigger, status: 'running', startedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+    const [topLevel, vends] = await Promise.all([
+      db.collection('transactions')
+        .where('status', 'in', PENDING_STATUSES)
+        .where('createdAt', '<', cutoff)
+        .limit(RECONCILE_BATCH_SIZE)
+        .get(),
+      db.collectionGroup('transactions')
+        .where('category', '==', 'vas')
+        .where('status', 'in', PENDING_STATUSES)
+        .where('createdAt', '<', cutoff)
+        .limit(RECONCILE_BATCH_SIZE)
+        .get(),
+    ]);
+
+    const jobs = [
+      ...topLevel.docs.map(doc => ({
+        doc,
+        kind: doc.data().category === 'Withdrawal' || doc.id.startsWith('WITHDRAW-') ? 'withdrawal' : 'funding',
+      })),
+      ...vends.docs.map(doc => ({ doc, kind: 'vas' })),
+    ];
+
+    for (const { doc, kind } of jobs) {
+      const decision = { kind, path: doc.ref.path, previousStatus: doc.data().status };
+      try {
+        const handler = kind === 'withdrawal' ? reconcileWithdrawal
+                      : kind === 'vas'        ? reconcileVend
+                      :                         reconcileFunding;
+        Object.assign(decision, await handler(doc));
+        if (decision.action !== 'left_pending') {
+          await doc.ref.update({
+            reconciliation: { runId: runRef.id, action: decision.action, at: admin.firestore.FieldValue.serverTimestamp() },
+          });
+        }
+      } catch (error) {
+        decision.action = 'error';
+        decision.error  = error.response?.data?.responseMessage || error.message;
+      }
+      decisions.push(decision);
+    }
+
+    const summary = decisions.reduce((acc, d) => ({ ...acc, [d.action]: (acc[d.action] || 0) + 1 }), {});
+    await runRef.update({
+      status:     'completed',
+      examined:   decisions.length,
+      summary,
+      decisions,
+      finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    if (decisions.length) log.info(`🔁 Reconciliation ${runRef.id}`, { summary });
+    return runRef.id;
+  } catch (error) {
+    log.error('❌ Reconciliation Error', { error });
+    await runRef.update({
+      status:     'failed',
+      error:      error.message,
+      decisions,
+      finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }).catch(() => {});
+    return runRef.id;
+  } finally {
+    await lease.release().catch(() => {});
+  }
+}
+
+function startReconciliationWorker() {
+  if (!config.workers.reconcileEnabled) return;
+  setInterval(() => {
+    runReconciliation().catch(e => log.error('❌ Reconciliation Error', { error: e }));
+  }, RECONCILE_INTERVAL_MS);
+  log.info(`🔁 Reconciliation worker every ${RECONCILE_INTERVAL_MS / 1000}s`);
+}
+
+// ============================================
+// VAS AUTOPAY — scheduled airtime, data, electricity and cable purchases
+// `vas_schedules/{id}` holds the same productCode / customerId / amount the
+// app sends to /api/vas/vend, plus when to run:
+//   frequency: once (runAt) | daily | weekly (dayOfWeek 0–6, Sunday = 0)
+//            | monthly (dayOfMonth 1–28), at `time` (HH:MM, Lagos time).
+// The scheduler (one instance at a time, Firestore lease) claims each due
+// schedule by advancing `nextRunAt` before vending, so an occurrence runs at
+// most once, then goes through vendForUser like a manual purchase.  A run the
+// wallet can't cover is skipped and the user is notified.  Three failed runs
+// in a row pause the schedule.
+// ============================================
+const AUTOPAY_INTERVAL_MS   = config.workers.autopayIntervalMs;
+const AUTOPAY_BATCH_SIZE    = 50;
+const AUTOPAY_MAX_SCHEDULES = 20;
+const AUTOPAY_MAX_FAILURES  = 3;   // consecutive failed runs before pausing
+const AUTOPAY_FREQUENCIES   = ['once', 'daily', 'weekly', 'monthly'];
+
+// Next run strictly after `afterMs`, or null when a one-off has passed.
+function nextAutopayRun(schedule, afterMs = Date.now()) {
+  if (schedule.frequency === 'once') {
+    const at = Date.parse(schedule.runAt);
+    return at > afterMs ? at : null;
+  }
+  const [hh, mm] = schedule.time.split(':').map(Number);
+  const local    = new Date(afterMs + HOUR_MS);   // Lagos is UTC+1 all year
+  const at       = (y, m, d) => Date.UTC(y, m, d, hh, mm) - HOUR_MS;
+
+  if (schedule.frequency === 'monthly') {
+    const y = local.getUTCFullYear(), m = local.getUTCMonth();
+    let candidate = at(y, m, schedule.dayOfMonth);
+    if (candidate <= afterMs) candidate = at(y, m + 1, schedule.dayOfMonth);
+    return candidate;
+  }
+  for (let i = 0; i <= 7; i++) {
+    const candidate = at(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + i);
+    const weekday   = new Date(candidate + HOUR_MS).getUTCDay();
+    if (candidate > afterMs && (schedule.frequency === 'daily' || weekday === schedule.dayOfWeek))
+      return candidate;
+  }
+  return null;
+}
+
+// The fields the client may set.  Creating a schedule needs productCode,
+// customerId, amount and frequency; editing takes any of them.
+const AUTOPAY_SCHEDULE_BODY = {
+  productCode:  VAS_CODE_FIELD,
+  productName:  { type: 'string', max: 100 },
+  customerId:   { type: 'string', max: 64 },
+  amount:       { type: 'money', operation: 'vas' },
+  phoneNumber:  PHONE_FIELD,
+  emailAddress: { type: 'email' },
+  frequency:    { type: 'enum', values: AUTOPAY_FREQUENCIES },
+  runAt:        { type: 'string', max: 40 },
+  time:         { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, message: 'must be HH:MM' },
+  dayOfWeek:    { type: 'int', min: 0, max: 6 },
+  dayOfMonth:   { type: 'int', min: 1, max: 28 },
+  pin:          PIN_FIELD,
+};
+const AUTOPAY_CREATE_BODY = {
+  ...AUTOPAY_SCHEDULE_BODY,
+  ...Object.fromEntries(['productCode', 'customerId', 'amount', 'frequency']
+    .map(key => [key, { ...AUTOPAY_SCHEDULE_BODY[key], required: true }])),
+};
+
+// Checks the fields that depend on each other; `body` is the validated body
+// and `current` the stored schedule when editing.  Returns { error } or
+// { fields, nextRunAt }.
+function parseAutopaySchedule({ pin, amount, ...fields }, current = {}) {
+  if (amount !== undefined) Object.assign(fields, { amount: toNaira(amount), amountKobo: amount });
+  const merged = { time: '09:00', ...current, ...fields };
+
+  if (merged.frequency === 'once' && Number.isNaN(Date.parse(merged.runAt)))
+    return { error: 'runAt (ISO date-time) is required for a one-off schedule' };
+  if (merged.frequency === 'weekly' && !Number.isInteger(merged.dayOfWeek))
+    return { error: 'dayOfWeek (0–6, Sunday = 0) is required for a weekly schedule' };
+  if (merged.frequency === 'monthly' && !Number.isInteger(merged.dayOfMonth))
+    return { error: 'dayOfMonth (1–28) is required for a monthly schedule' };
+
+  const nextRunAt = nextAutopayRun(merged);
+  if (!nextRunAt) return { error: 'runAt must be in the future' };
+  return { fields: { ...fields, time: merged.time }, nextRunAt };
+}
+
+const autopayView = (doc) => {
+  const { nextRunAt, lastRunAt, createdAt, updatedAt, ...schedule } = doc.data();
+  const iso = (ts) => (ts?.toDate ? ts.toDate().toISOString() : null);
+  return {
+    id: doc.id, ...schedule,
+    nextRunAt: iso(nextRunAt), lastRunAt: iso(lastRunAt), createdAt: iso(createdAt), updatedAt: iso(updatedAt),
+  };
+};
+
+async function runAutopaySchedule(doc) {
+  const now = Date.now();
+  const ref = doc.ref;
+
+  // Claim: move nextRunAt on before any money moves.  A one-off gets no next
+  // run; it is completed once it has run, or paused for the user to retry.
+  const schedule = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const s    = snap.data();
+    if (!snap.exists || s.status !== 'active' || !s.nextRunAt || s.nextRunAt.toMillis() > now) return null;
+    const next = s.frequency === 'once' ? null : nextAutopayRun(s, now);
+    t.update(ref, {
+      nextRunAt:     next ? admin.firestore.Timestamp.fromMillis(next) : null,
+      ...(!next && s.frequency !== 'once' ? { status: 'completed' } : {}),
+      lastRunAt:     admin.firestore.FieldValue.serverTimestamp(),
+      lastRunStatus: 'running',
+    });
+    return s;
+  });
+  if (!schedule) return 'skipped';
+
+  const label     = schedule.productName || schedule.productCode;
+  const once      = schedule.frequency === 'once';
+  const retryOnce = once ? { status: 'paused', pausedReason: 'run_failed' } : {};
+  let outcome, update, failed;
+  try {
+    const result = await vendForUser(schedule.userId, {
+      productCode:  schedule.productCode,
+      customerId:   schedule.customerId,
+      amountKobo:   koboOf(schedule),
+      phoneNumber:  schedule.phoneNumber,
+      emailAddress: schedule.emailAddress,
+      description:  schedule.productName,
+      scheduleId:   ref.id,
+    });
+    outcome = result.pending ? 'pending' : 'success';
+    update  = { lastRunStatus: outcome, lastRunReference: result.reference, lastRunError: null,
+                consecutiveFailures: 0, runCount: admin.firestore.FieldValue.increment(1),
+                ...(once ? { status: 'completed' } : {}) };
+  } catch (error) {
+    const message = error.response?.data?.responseMessage || error.message;
+    if (error instanceof RiskError && error.code === 'ACCOUNT_FROZEN') {
+      outcome = 'skipped_account_frozen';
+      update  = { lastRunStatus: outcome, lastRunError: message, ...retryOnce };
+    } else if (error instanceof RiskError && error.code === 'INSUFFICIENT_BALANCE') {
+      outcome = 'skipped_insufficient_balance';
+      update  = { lastRunStatus: outcome, lastRunError: message, ...retryOnce };
+      emitWalletEvent('autopay.skipped', schedule.userId, {
+        scheduleId: ref.id, amount: schedule.amount, label, customerId: schedule.customerId, paused: once,
+      });
+    } else {
+      // An open circuit isn't the schedule's fault, so it doesn't count towards pausing it.
+      const failures = (schedule.consecutiveFailures || 0) + (error instanceof ProviderUnavailableError ? 0 : 1);
+      const pause    = once || failures >= AUTOPAY_MAX_FAILURES;
+      outcome = 'failed';
+      update  = { lastRunStatus: outcome, lastRunError: message, consecutiveFailures: failures,
+                  ...(once ? retryOnce : pause ? { status: 'paused', pausedReason: 'repeated_failures' } : {}) };
+      failed  = { scheduleId: ref.id, amount: schedule.amount, label, customerId: schedule.customerId,
+                  paused: pause, refundPending: Boolean(error.reversalPending) };
+    }
+  }
+  await ref.update({ ...update, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  // Sent once the schedule is updated; vendForUser has already reversed the
+  // debit (or flagged that the reversal is still to come).
+  if (failed) emitWalletEvent('autopay.failed', schedule.userId, failed);
+  log.info(`⏰ Autopay ${ref.id}: ${outcome}`);
+  return outcome;
+}
+
+async function runAutopay() {
+  const lease = await acquireLease('autopay', AUTOPAY_INTERVAL_MS);
+  if (!lease) return null;
+  try {
+    const due = await db.collection('vas_schedules')
+      .where('status', '==', 'active')
+      .where('nextRunAt', '<=', admin.firestore.Timestamp.now())
+      .orderBy('nextRunAt')
+      .limit(AUTOPAY_BATCH_SIZE)
+      .get();
+    const summary = {};
+    for (const doc of due.docs) {
+      const outcome = await runAutopaySchedule(doc).catch((error) => {
+        log.error(`❌ Autopay ${doc.id} Error`, { error });
+        return 'error';
+      });
+      summary[outcome] = (summary[outcome] || 0) + 1;
+    }
+    return summary;
+  } finally {
+    await lease.release().catch(() => {});
+  }
+}
+
+function startAutopayWorker() {
+  if (!config.workers.autopayEnabled) return;
+  setInterval(() => {
+    runAutopay().catch(e => log.error('❌ Autopay Error', { error: e }));
+  }, AUTOPAY_INTERVAL_MS);
+  log.info(`⏰ Autopay scheduler every ${AUTOPAY_INTERVAL_MS / 1000}s`);
+}
+
+app.get('/api/vas/schedules', requireAuth, validate(), async (req, res) => {
+  try {
+    const snap = await db.collection('vas_schedules').where('userId', '==', req.user.uid).get();
+    const schedules = snap.docs.map(autopayView).sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    res.json({ status: true, data: schedules });
+  } catch (error) {
+    log.error('❌ Autopay List Error', { error });
+    res.status(500).json({ error: 'Failed to fetch schedules' });
+  }
+});
+
+// Money moves later without the user present, so creating or editing a
+// schedule needs the transaction PIN.
+app.post('/api/vas/schedules', requireAuth, rateLimit('money'), validate({ body: AUTOPAY_CREATE_BODY }), requireTransactionPin, async (req, res) => {
+  const parsed = parseAutopaySchedule(req.valid.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    const existing = await db.collection('vas_schedules')
+      .where('userId', '==', req.user.uid)
+      .where('status', 'in', ['active', 'paused'])
+      .get();
+    if (existing.size >= AUTOPAY_MAX_SCHEDULES)
+      return res.status(400).json({ error: `You can have at most ${AUTOPAY_MAX_SCHEDULES} schedules` });
+
+    const ref = db.collection('vas_schedules').doc();
+    await ref.set({
+      ...parsed.fields,
+      userId:              req.user.uid,
+      status:              'active',
+      nextRunAt:           admin.firestore.Timestamp.fromMillis(parsed.nextRunAt),
+      runCount:            0,
+      consecutiveFailures: 0,
+      createdAt:           admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt:           admin.firestore.FieldValue.serverTimestamp(),
+    });
+    log.info(`⏰ Autopay schedule ${ref.id} created for ${req.user.uid}`);
+    res.status(201).json({ status: true, data: autopayView(await ref.get()) });
+  } catch (error) {
+    log.error('❌ Autopay Create Error', { error });
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
+
+// Loads a schedule owned by the caller; responds 404 and returns null otherwise.
+async function ownAutopaySchedule(req, res) {
+  const snap = await db.collection('vas_schedules').doc(req.params.id).get();
+  if (!snap.exists || snap.data().userId !== req.user.uid) {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+  return snap;
+}
+
+app.patch('/api/vas/schedules/:id', requireAuth, rateLimit('money'), validate({
+  params: ID_PARAM,
+  body:   AUTOPAY_SCHEDULE_BODY,
+}), requireTransactionPin, async (req, res) => {
+  try {
+    const snap = await ownAutopaySchedule(req, res);
+    if (!snap) return;
+    if (snap.data().status === 'completed')
+      return res.status(400).json({ error: 'This schedule has already run' });
+    const parsed = parseAutopaySchedule(req.valid.body, snap.data());
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    await snap.ref.update({
+      ...parsed.fields,
+      nextRunAt: admin.firestore.Timestamp.fromMillis(parsed.nextRunAt),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    res.json({ status: true, data: autopayView(await snap.ref.get()) });
+  } catch (error) {
+    log.error('❌ Autopay Update Error', { error });
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+app.post('/api/vas/schedules/:id/pause', requireAuth, validate({ params: ID_PARAM }), async (req, res) => {
+  try {
+    const snap = await ownAutopaySchedule(req, res);
+    if (!snap) return;
+    if (snap.data().status !== 'active')
+      return res.status(400).json({ error: 'Only active schedules can be paused' });
+    await snap.ref.update({
+      status:       'paused',
+      pausedReason: 'user',
+      updatedAt:    admin.firestore.FieldValue.serverTimestamp(),
+    });
+    res.json({ status: true, data: autopayView(await snap.ref.get()) });
+  } catch (error) {
+    log.error('❌ Autopay Pause Error', { error });
+    res.status(500).json({ error: 'Failed to pause schedule' });
+  }
+});
+
+// Resuming never catches up on missed runs; it picks the next occurrence from now.
+app.post('/api/vas/schedules/:id/resume', requireAuth, validate({ params: ID_PARAM }), async (req, res) => {
+  try {
+    const snap = await ownAutopaySchedule(req, res);
+    if (!snap) return;
+    if (snap.data().status !== 'paused')
+      return res.status(400).json({ error: 'Only paused schedules can be resumed' });
+    const next = nextAutopayRun(snap.data());
+    if (!next) return res.status(400).json({ error: 'This one-off schedule is in the past; edit runAt first' });
+    await snap.ref.update({
+      status:              'active',
+      pausedReason:        null,
+      consecutiveFailures: 0,
+      nextRunAt:           admin.firestore.Timestamp.fromMillis(next),
+      updatedAt:           admin.firestore.FieldValue.serverTimestamp(),
+    });
+    res.json({ status: true, data: autopayView(await snap.ref.get()) });
+  } catch (error) {
+    log.error('❌ Autopay Resume Error', { error });
+    res.status(500).json({ error: 'Failed to resume schedule' });
+  }
+});
+
+app.delete('/api/vas/schedules/:id', requireAuth, validate({ params: ID_PARAM }), async (req, res) => {
+  try {
+    const snap = await ownAutopaySchedule(req, res);
+    if (!snap) return;
+    await snap.ref.delete();
+    log.info(`⏰ Autopay schedule ${snap.id} deleted`);
+    res.json({ status: true });
+  } catch (error) {
+    log.error('❌ Autopay Delete Error', { error });
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+// ============================================
+// ADMIN — RECONCILIATION
+// ============================================
+app.get('/api/admin/reconciliation/runs', requireAuth, requireRole('admin'), validate({
+  query: { startAfter: { type: 'reference' }, limit: { type: 'int', min: 1, max: 100, default: 20 } },
+}), async (req, res) => {
+  try {
+    const { startAfter, limit } = req.valid.query;
+    let q = db.collection('reconciliation_runs').orderBy('startedAt', 'desc').limit(limit);
+    if (startAfter) {
+      const cursor = await db.collection('reconciliation_runs').doc(startAfter).get();
+      if (cursor.exists) q = q.startAfter(cursor);
+    }
+    const snap = await q.get();
+    const runs = snap.docs.map(d => {
+      const { decisions, ...run } = d.data();
+      return { id: d.id, ...run };
+    });
+    res.json({
+      success:    true,
+      runs,
+      nextCursor: snap.size === limit ? snap.docs[snap.size - 1].id : null,
+    });
+  } catch (error) {
+    log.error('❌ Reconciliation Runs Error', { error });
+    res.status(500).json({ error: 'Failed to fetch reconciliation runs' });
+  }
+});
+
+app.get('/api/admin/reconciliation/runs/:id', requireAuth, requireRole('admin'), validate({ params: ID_PARAM }), async (req, res) => {
+  try {
+    const d = await db.collection('reconciliation_runs').doc(req.params.id).get();
+    if (!d.exists) return res.status(404).json({ error: 'Run not found' });
+    res.json({ success: true, run: { id: d.id, ...d.data() } });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch reconciliation run' });
+  }
+});
+
+app.post('/api/admin/reconciliation/run', requireAuth, requireRole('admin'), validate(), async (req, res) => {
+  try {
+    const runId = await runReconciliation(`manual:${req.user.uid}`);
+    if (!runId) return res.status(409).json({ error: 'A reconciliation run is already in progress' });
+    await recordAdminAction(req, { action: 'reconciliation.run', targetType: 'reconciliation_run', targetId: runId });
+    const d = await db.collection('reconciliation_runs').doc(runId).get();
+    res.json({ success: true, run: { id: d.id, ...d.data() } });
+  } catch (error) {
+    log.error('❌ Reconciliation Error', { error });
+    res.status(500).json({ error: 'Reconciliation failed', message: error.message });
+  }
 });
 
 // ============================================
-// MONNIFY WEBHOOK  (raw body BEFORE express.json)
+// ADMIN — FLAGGED PAYMENTS
 // ============================================
-app.post('/api/monnify/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+app.get('/api/admin/payments/flagged', requireAuth, requireRole('admin'), validate({
+  query: { limit: { ...PAGE_QUERY.limit, default: 50 } },
+}), async (req, res) => {
   try {
-    const signature = req.headers['monnify-signature'];
-    const hash      = crypto
-      .createHmac('sha512', MONNIFY_SECRET_KEY)
-      .update(req.body)
-      .digest('hex');
-
-    if (hash !== signature) {
-      console.warn('⚠️ Invalid webhook signature');
-      return res.status(200).send('Invalid Signature');
-    }
-
-    const event = JSON.parse(req.body.toString());
-    console.log('📩 Webhook:', event.eventType);
-
-    // ── Successful payment ────────────────────────────────────────────────
-    if (event.eventType === 'SUCCESSFUL_TRANSACTION') {
-      const { paymentReference, transactionReference, amountPaid } = event.eventData;
-
-      const txnRef  = db.collection('transactions').doc(paymentReference);
-      const txnSnap = await txnRef.get();
-
-      // ✅ Idempotency: skip if already processed (client-side verify may have
-      //    run first and already credited the wallet).
-      if (!txnSnap.exists || txnSnap.data().status === 'success') {
-        console.log(`⏭️  Webhook: ${paymentReference} already processed — skipping.`);
-        return res.status(200).send('Already processed');
-      }
-
-      const { userId } = txnSnap.data();
+    const snap = await db.collection('transactions')
+      .where('status', '==', 'flagged')
+      .orderBy('createdAt', 'desc')
+      .limit(req.valid.query.limit)
+      .get();
+    res.json({ success: true, payments: snap.docs.map(d => ({ reference: d.id, ...d.data() })) });
+  } catch (error) {
+    log.error('❌ Flagged Payments Error', { error });
+    res.status(500).json({ error: 'Failed to fetch flagged payments' });
+  }
+});
 
-      await db.runTransaction(async (t) => {
-        // Re-read inside the transaction to catch races with client-side verify
-        const freshSnap = await t.get(txnRef);
-        if (freshSnap.data()?.status === 'success') {
-          throw new Error('ALREADY_CREDITED');
-        }
+// Settles a flagged payment: `credit` credits what was actually paid,
+// `reject` closes it without crediting (e.g. after refunding the customer).
+app.post('/api/admin/payments/:reference/resolve', requireAuth, requireRole('admin'), validate({
+  params: { reference: { type: 'reference', required: true } },
+  body:   {
+    action: { type: 'enum', values: ['credit', 'reject'], required: true },
+    note:   { type: 'string', max: 500 },
+  },
+}), async (req, res) => {
+  const { action, note } = req.valid.body;
 
-        t.update(db.collection('users').doc(userId), {
-          balance:   admin.firestore.FieldValue.increment(amountPaid),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
-        t.update(txnRef, {
-          status:              'success',
-          monnifyReference:    transactionReference,
-          amountPaid,
-          verifiedAt:          admin.firestore.FieldValue.serverTimestamp(),
-        });
-      });
+  const reference = req.params.reference;
+  const txnRef    = db.collection('transactions').doc(reference);
+  try {
+    const txn = await db.runTransaction(async (t) => {
+      const snap = await t.get(txnRef);
+      if (!snap.exists) throw new Error('Transaction not found');
+      const txn = snap.data();
+      if (txn.status !== 'flagged') throw new Error('Transaction is not flagged');
 
-      // Write user-level transaction log
-      await db
-        .collection('users').doc(userId)
-        .collection('transactions').doc(paymentReference)
-        .set({
-          reference:   paymentReference,
-          description: 'Wallet Funding via Monnify',
-          amount:      amountPaid,
-          type:        'credit',
+      const logRef   = db.collection('users').doc(txn.userId).collection('transactions').doc(reference);
+      const provider = paymentProvider(txn.provider);
+      if (action === 'credit') {
+        postJournalEntry(t, {
+          id:          `${reference}:credit`,
+          reference,
+          description: `Wallet Funding via ${provider.label}`,
           category:    'wallet_fund',
-          status:      'success',
-          createdAt:   admin.firestore.FieldValue.serverTimestamp(),
-        }, { merge: true });
-
-      console.log(`✅ Webhook credited ₦${amountPaid} → ${userId}`);
-    }
-
-    // ── Disbursement result ───────────────────────────────────────────────
-    if (
-      event.eventType === 'SUCCESSFUL_DISBURSEMENT' ||
-      event.eventType === 'FAILED_DISBURSEMENT'
-    ) {
-      const status = event.eventType === 'SUCCESSFUL_DISBURSEMENT' ? 'success' : 'failed';
-      const txnRef = db.collection('transactions').doc(event.eventData.reference);
-      const snap   = await txnRef.get();
-
-      if (snap.exists) {
-        await txnRef.update({
-          status,
-          settledAt: admin.firestore.FieldValue.serverTimestamp(),
+          legs: [
+            { account: LEDGER_ACCOUNTS.settlement(provider.name), direction: 'debit',  amountKobo: koboOf(txn, 'amountPaid') },
+            { account: LEDGER_ACCOUNTS.wallet(txn.userId),        direction: 'credit', amountKobo: koboOf(txn, 'amountPaid') },
+          ],
+          meta: { providerReference: txn.providerReference, source: 'admin', resolvedBy: req.user.uid, note: note || null },
         });
-        if (status === 'failed') {
-          const { userId, amount } = snap.data();
-          await db.collection('users').doc(userId).update({
-            balance: admin.firestore.FieldValue.increment(amount),
-          });
-          console.warn(`↩️ Disbursement failed — reversed ₦${amount} for ${userId}`);
-        }
       }
-    }
+      const status = action === 'credit' ? 'success' : 'rejected';
+      t.update(txnRef, {
+        status,
+        resolution: { action, note: note || null, by: req.user.uid, at: admin.firestore.FieldValue.serverTimestamp() },
+      });
+      t.update(logRef, { status });
+      recordAdminAction(req, {
+        action:     `payment.${action}`,
+        targetType: 'transaction',
+        targetId:   reference,
+        reason:     note,
+        details:    { userId: txn.userId, amountPaid: txn.amountPaid, expectedAmount: txn.expectedAmount ?? null },
+      }, t);
+      return txn;
+    });
 
-    res.status(200).send('Webhook Received');
-  } catch (err) {
-    if (err.message === 'ALREADY_CREDITED') {
-      return res.status(200).send('Already credited');
-    }
-    console.error('❌ Webhook Error:', err.message);
-    res.status(200).send('Webhook Error');
+    log.info(`🛠️ Flagged payment ${reference} → ${action} by ${req.user.uid}`);
+    res.json({ success: true, reference, action, amountPaid: txn.amountPaid });
+  } catch (error) {
+    log.error('❌ Resolve Payment Error', { error });
+    res.status(400).json({ error: error.message });
   }
 });
 
 // ============================================
-// JSON BODY PARSER
+// ADMIN — WEBHOOK EVENTS
+// See PROVIDER WEBHOOKS.  Lists leave out the raw body; fetch one event to see it.
 // ============================================
-app.use(express.json({ limit: '10mb' }));
+const WEBHOOK_STATUSES = ['received', 'processed', 'failed', 'dead_letter', 'rejected'];
 
-// ============================================
-// CLOUDINARY UPLOAD
-// ============================================
-app.post('/api/upload/image', async (req, res) => {
+const webhookEventView = (doc, { raw = false } = {}) => {
+  const { rawBody, receivedAt, processedAt, failedAt, lastDuplicateAt, replayedAt, ...e } = doc.data();
+  return {
+    id: doc.id, ...e,
+    ...(raw ? { rawBody } : {}),
+    receivedAt:      isoTime(receivedAt),
+    processedAt:     isoTime(processedAt),
+    failedAt:        isoTime(failedAt),
+    lastDuplicateAt: isoTime(lastDuplicateAt),
+    replayedAt:      isoTime(replayedAt),
+  };
+};
+
+app.get('/api/admin/webhooks/events', requireAuth, requireRole('admin'), validate({
+  query: {
+    status:   { type: 'enum', values: WEBHOOK_STATUSES },
+    provider: { type: 'enum', values: Object.keys(PAYMENT_PROVIDERS) },
+    type:     { type: 'string', max: 64 },
+    cursor:   PAGE_QUERY.cursor,
+    limit:    { ...PAGE_QUERY.limit, default: 50 },
+  },
+}), async (req, res) => {
   try {
-    const { fileUri, oldImagePublicId } = req.body;
-    if (!fileUri) return res.status(400).json({ error: 'No image data provided' });
-    if (oldImagePublicId) {
-      try { await cloudinary.uploader.destroy(oldImagePublicId); } catch (_) {}
+    const { status, provider, type, cursor, limit } = req.valid.query;
+    const col   = db.collection('webhook_events');
+    let q = col;
+    if (status)   q = q.where('status', '==', status);
+    if (provider) q = q.where('provider', '==', provider);
+    if (type)     q = q.where('type', '==', type);
+    q = q.orderBy('receivedAt', 'desc').limit(limit);
+    if (cursor) {
+      const after = await col.doc(cursor).get();
+      if (after.exists) q = q.startAfter(after);
     }
-    const result = await cloudinary.uploader.upload(fileUri, {
-      folder:        'profile_pictures',
-      resource_type: 'image',
-      transformation: [
-        { width: 500, height: 500, crop: 'fill', gravity: 'face' },
-        { quality: 'auto' },
-      ],
+    const snap = await q.get();
+    res.json({
+      success:    true,
+      events:     snap.docs.map(d => webhookEventView(d)),
+      nextCursor: snap.size === limit ? snap.docs[snap.size - 1].id : null,
     });
-    res.json({ url: result.secure_url, publicId: result.public_id });
   } catch (error) {
-    console.error('❌ Cloudinary Error:', error.message);
-    res.status(500).json({ error: 'Upload failed', message: error.message });
+    log.error('❌ Webhook Events Error', { error });
+    res.status(500).json({ error: 'Failed to fetch webhook events' });
   }
 });
 
-// ============================================
-// MONNIFY — WALLET FUNDING
-// ============================================
-app.post('/api/monnify/initialize', async (req, res) => {
+app.get('/api/admin/webhooks/events/:id', requireAuth, requireRole('admin'), validate({ params: ID_PARAM }), async (req, res) => {
   try {
-    const { amount, email, customerName, reference } = req.body;
-    if (!amount || !email || !reference)
-      return res.status(400).json({ error: 'Missing fields' });
-    if (!MONNIFY_CONTRACT)
-      return res.status(500).json({ error: 'MONNIFY_CONTRACT_CODE not set' });
-
-    const response = await axios.post(
-      `${MONNIFY_BASE_URL}/api/v1/merchant/transactions/init-transaction`,
-      {
-        amount,
-        customerName:        customerName || 'Customer',
-        customerEmail:       email,
-        paymentReference:    reference,
-        paymentDescription:  'Wallet Funding',
-        currencyCode:        'NGN',
-        contractCode:        MONNIFY_CONTRACT,
-        redirectUrl:         `${process.env.BACKEND_URL || 'https://callondemand-backend.onrender.com'}/payment/done`,
-        paymentMethods:      ['CARD', 'ACCOUNT_TRANSFER'],
-      },
-      { headers: { Authorization: monnifyBasicAuth() } }
-    );
+    const doc = await db.collection('webhook_events').doc(req.params.id).get();
+    if (!doc.exists) return res.status(404).json({ error: 'Event not found' });
+    res.json({ success: true, event: webhookEventView(doc, { raw: true }) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch webhook event' });
+  }
+});
 
-    if (!response.data.requestSuccessful)
-      throw new Error(response.data.responseMessage);
+// Re-runs a stored event through its handler.  Handlers are idempotent, but a
+// `processed` event is only replayed with `force: true`.  Unsigned events
+// never are.
+app.post('/api/admin/webhooks/events/:id/replay', requireAuth, requireRole('admin'), validate({
+  params: ID_PARAM,
+  body:   { force: { type: 'boolean', default: false } },
+}), async (req, res) => {
+  try {
+    const ref = db.collection('webhook_events').doc(req.params.id);
+    const doc = await ref.get();
+    if (!doc.exists) return res.status(404).json({ error: 'Event not found' });
+    const event = doc.data();
+    if (!event.signatureValid) return res.status(409).json({ error: 'Unsigned events cannot be replayed' });
+    if (event.status === 'processed' && !req.valid.body.force)
+      return res.status(409).json({ error: 'Event was already processed; pass force: true to replay it anyway' });
 
-    const body = response.data.responseBody;
-    res.json({
-      success:          true,
-      checkoutUrl:      body.checkoutUrl,
-      transactionRef:   body.transactionReference,
-      paymentReference: reference,
+    // A manual replay gets a fresh set of attempts.
+    await ref.update({
+      status:     'received',
+      attempts:   0,
+      replays:    admin.firestore.FieldValue.increment(1),
+      replayedAt: admin.firestore.FieldValue.serverTimestamp(),
+      replayedBy: req.user.uid,
+    });
+    const result = await processWebhookEvent(ref);
+    await recordAdminAction(req, {
+      action:     'webhook.replay',
+      targetType: 'webhook_event',
+      targetId:   ref.id,
+      details:    { previousStatus: event.status, result: result.status, outcome: result.outcome || null },
     });
+
+    log.info(`🔁 Webhook ${ref.id} replayed by ${req.user.uid}: ${result.status}`);
+    const view = webhookEventView(await ref.get());
+    if (result.error) return res.status(500).json({ error: 'Replay failed', message: result.error.message, event: view });
+    res.json({ success: true, event: view });
   } catch (error) {
-    console.error('❌ Monnify Init Error:', error.response?.data || error.message);
-    res.status(500).json({ error: 'Payment initialization failed', message: error.message });
+    log.error('❌ Webhook Replay Error', { error });
+    res.status(500).json({ error: 'Replay failed' });
   }
 });
 
-app.post('/api/monnify/verify', async (req, res) => {
+// ============================================
+// ADMIN — LEDGER
+// ============================================
+
+// Compares each user's cached `balance` against the journal.  Paginated by
+// user document ID; pass `userId` to check a single wallet.
+app.get('/api/admin/ledger/reconcile', requireAuth, requireRole('admin'), validate({
+  query: {
+    userId:     { type: 'reference' },
+    startAfter: { type: 'reference' },
+    limit:      { type: 'int', min: 1, max: 500, default: 100 },
+  },
+}), async (req, res) => {
   try {
-    const { transactionReference } = req.body;
-    if (!transactionReference)
-      return res.status(400).json({ error: 'transactionReference required' });
+    const { userId, startAfter, limit } = req.valid.query;
 
-    const token    = await getMonnifyToken();
-    const encoded  = encodeURIComponent(transactionReference);
-    const response = await axios.get(
-      `${MONNIFY_BASE_URL}/api/v2/transactions/${encoded}`,
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
+    let userDocs;
+    if (userId) {
+      const d = await db.collection('users').doc(userId).get();
+      if (!d.exists) return res.status(404).json({ error: 'User not found' });
+      userDocs = [d];
+    } else {
+      let q = db.collection('users').orderBy(admin.firestore.FieldPath.documentId()).limit(limit);
+      if (startAfter) q = q.startAfter(startAfter);
+      userDocs = (await q.get()).docs;
+    }
 
-    if (!response.data.requestSuccessful)
-      return res.json({ success: false, message: 'Verification failed' });
+    const mismatches = [];
+    for (const d of userDocs) {
+      const cached  = koboOf(d.data(), 'balance');
+      const journal = await journalWalletBalance(d.id);
+      if (cached !== journal.balanceKobo) {
+        mismatches.push({
+          userId:         d.id,
+          cachedBalance:  toNaira(cached),
+          journalBalance: toNaira(journal.balanceKobo),
+          difference:     toNaira(cached - journal.balanceKobo),
+          journalEntries: journal.entries,
+        });
+      }
+    }
 
-    const txn = response.data.responseBody;
-    res.json({
-      success:              txn.paymentStatus === 'PAID',
-      paymentStatus:        txn.paymentStatus,
-      amountPaid:           txn.amountPaid,
-      paymentReference:     txn.paymentReference,
-      transactionReference: txn.transactionReference,
-      data:                 txn,
+    const report = {
+      checked:    userDocs.length,
+      mismatches,
+      nextCursor: !userId && userDocs.length === limit ? userDocs[userDocs.length - 1].id : null,
+      runBy:      req.user.uid,
+    };
+    const ref = await db.collection('ledger_reconciliations').add({
+      ...report,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
     });
+    if (mismatches.length) log.warn(`⚠️ Ledger: ${mismatches.length} wallet(s) disagree with journal`);
+
+    res.json({ success: true, id: ref.id, ...report });
   } catch (error) {
-    console.error('❌ Monnify Verify Error:', error.response?.data || error.message);
-    res.status(500).json({ success: false, error: 'Verification failed', message: error.message });
+    log.error('❌ Ledger Reconcile Error', { error });
+    res.status(500).json({ error: 'Reconciliation failed', message: error.message });
   }
 });
 
-app.post('/api/monnify/transfer', async (req, res) => {
-  const { userId, amount, destinationBankCode, destinationAccountNumber, narration } = req.body;
-  if (!userId || !amount || !destinationBankCode || !destinationAccountNumber)
-    return res.status(400).json({ error: 'Missing required fields' });
+// One-off migration: balances that predate the journal get an opening entry so
+// they reconcile.  Skips any wallet that already has journal entries.
+app.post('/api/admin/ledger/opening-balance', requireAuth, requireRole('admin'), validate({
+  body: { userId: { type: 'reference', required: true } },
+}), async (req, res) => {
+  try {
+    const { userId } = req.valid.body;
 
-  const userRef    = db.collection('users').doc(userId);
-  const transferId = `WITHDRAW-${Date.now()}`;
+    const journal = await journalWalletBalance(userId);
+    if (journal.entries > 0)
+      return res.status(409).json({ error: 'Wallet already has journal entries' });
 
-  try {
-    await db.runTransaction(async (t) => {
+    const userRef = db.collection('users').doc(userId);
+    const amount  = await db.runTransaction(async (t) => {
       const snap = await t.get(userRef);
       if (!snap.exists) throw new Error('User not found');
-      if ((snap.data().balance || 0) < amount) throw new Error('Insufficient balance');
-      t.update(userRef, { balance: admin.firestore.FieldValue.increment(-amount) });
-      t.set(db.collection('transactions').doc(transferId), {
-        userId, amount, type: 'debit', status: 'processing', category: 'Withdrawal',
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      const balanceKobo = koboOf(snap.data(), 'balance');
+      if (balanceKobo <= 0) return 0;
+      postJournalEntry(t, {
+        id:          `OPENING-${userId}:credit`,
+        reference:   `OPENING-${userId}`,
+        description: 'Opening balance',
+        category:    'opening_balance',
+        legs: [
+          { account: LEDGER_ACCOUNTS.openingBalance, direction: 'debit',  amountKobo: balanceKobo },
+          { account: LEDGER_ACCOUNTS.wallet(userId), direction: 'credit', amountKobo: balanceKobo },
+        ],
+        meta:          { postedBy: req.user.uid },
+        updateWallets: false,   // the cached balance already holds this amount
       });
+      recordAdminAction(req, {
+        action: 'ledger.opening_balance', targetType: 'user', targetId: userId, details: { amount: toNaira(balanceKobo) },
+      }, t);
+      return toNaira(balanceKobo);
     });
 
-    const token = await getMonnifyToken();
-    const disbursement = await axios.post(
-      `${MONNIFY_BASE_URL}/api/v2/disbursements/single`,
-      {
-        amount,
-        reference:                 transferId,
-        narration:                 narration || 'Wallet Withdrawal',
-        destinationBankCode,
-        destinationAccountNumber,
-        currency:                  'NGN',
-        sourceAccountNumber:       MONNIFY_WALLET_ACCT,
-        destinationAccountName:    '',
-      },
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
-
-    if (!disbursement.data.requestSuccessful)
-      throw new Error(disbursement.data.responseMessage);
-
-    await db.collection('transactions').doc(transferId).update({
-      status:            'success',
-      monnifyReference:  disbursement.data.responseBody?.reference || transferId,
-      disbursedAt:       admin.firestore.FieldValue.serverTimestamp(),
-    });
-
-    console.log(`✅ Withdrawal: ₦${amount} for ${userId}`);
-    res.json({ status: true, data: disbursement.data.responseBody });
+    res.json({ success: true, userId, openingBalance: amount });
   } catch (error) {
-    console.error('❌ Withdrawal Error:', error.response?.data || error.message);
-    try {
-      await userRef.update({ balance: admin.firestore.FieldValue.increment(amount) });
-      await db.collection('transactions').doc(transferId).update({ status: 'failed' });
-    } catch (e) {
-      console.error('❌ CRITICAL: Reversal failed:', e.message);
-    }
-    res.status(400).json({ error: error.response?.data?.responseMessage || error.message });
+    log.error('❌ Ledger Opening Balance Error', { error });
+    res.status(400).json({ error: error.message });
   }
 });
 
-app.get('/api/monnify/resolve', async (req, res) => {
-  const { account_number, bank_code } = req.query;
-  if (!account_number || !bank_code)
-    return res.status(400).json({ error: 'Missing params' });
+// One-off migration, run straight after deploying `balanceKobo`: wallets
+// from before it get `balanceKobo` from their naira `balance`, which until
+// then was the only balance (a posting since the deploy leaves a partial
+// `balanceKobo`, so such a wallet reads low until this corrects it).
+// Paginated by user document ID; wallets already migrated are skipped, so it
+// is safe to run again.
+app.post('/api/admin/ledger/balance-kobo', requireAuth, requireRole('admin'), validate({
+  body: {
+    startAfter: { type: 'reference' },
+    limit:      { type: 'int', min: 1, max: 500, default: 100 },
+  },
+}), async (req, res) => {
   try {
-    const token = await getMonnifyToken();
-    const r = await axios.get(
-      `${MONNIFY_BASE_URL}/api/v1/disbursements/account/validate?accountNumber=${account_number}&bankCode=${bank_code}`,
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
-    if (r.data.requestSuccessful) {
-      res.json({
-        status: true,
-        data: {
-          account_name:   r.data.responseBody.accountName,
-          account_number: r.data.responseBody.accountNumber,
-          bank_code,
-        },
+    const { startAfter, limit } = req.valid.body;
+
+    let q = db.collection('users').orderBy(admin.firestore.FieldPath.documentId()).limit(limit);
+    if (startAfter) q = q.startAfter(startAfter);
+    const userDocs = (await q.get()).docs;
+
+    let migrated = 0;
+    for (const d of userDocs) {
+      const changed = await db.runTransaction(async (t) => {
+        const snap = await t.get(d.ref);
+        if (!snap.exists || snap.data().balanceKoboMigratedAt) return false;
+        const balanceKobo = toKobo(snap.data().balance || 0);
+        t.update(d.ref, {
+          balanceKobo,
+          balance:               toNaira(balanceKobo),
+          balanceKoboMigratedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return true;
       });
-    } else {
-      res.json({ status: false, message: r.data.responseMessage });
+      if (changed) migrated += 1;
     }
+
+    const nextCursor = userDocs.length === limit ? userDocs[userDocs.length - 1].id : null;
+    await recordAdminAction(req, {
+      action: 'ledger.balance_kobo', targetType: 'users',
+      details: { checked: userDocs.length, migrated, startAfter: startAfter || null },
+    });
+    res.json({ success: true, checked: userDocs.length, migrated, nextCursor });
   } catch (error) {
-    res.status(500).json({ error: 'Account resolution failed' });
+    log.error('❌ Ledger Balance Migration Error', { error });
+    res.status(500).json({ error: 'Migration failed', message: error.message });
   }
 });
 
-app.get('/api/monnify/banks', async (req, res) => {
+// Month-start wallet balances for statements (see WALLET — HISTORY &
+// STATEMENTS), run once a month has begun: entries are stamped with their
+// commit time, so none dated before the month can still arrive.  Each
+// checkpoint builds on the wallet's previous one.  Paginated by user document
+// ID; wallets already checkpointed for the month, and wallets with no
+// entries, are skipped, so it is safe to run again.
+app.post('/api/admin/ledger/checkpoints', requireAuth, requireRole('admin'), validate({
+  body: {
+    month:      { type: 'string', pattern: /^\d{4}-(0[1-9]|1[0-2])$/, message: 'must be a month (YYYY-MM)' },
+    startAfter: { type: 'reference' },
+    limit:      { type: 'int', min: 1, max: 500, default: 100 },
+  },
+}), async (req, res) => {
   try {
-    const r = await axios.get(
-      `${MONNIFY_BASE_URL}/api/v1/sdk/transactions/banks`,
-      { headers: { Authorization: monnifyBasicAuth() } }
-    );
-    res.json({ status: true, data: r.data.responseBody });
+    const { month = lagosDay().slice(0, 7), startAfter, limit } = req.valid.body;
+    const at = Date.parse(`${month}-01T00:00:00+01:00`);   // Lagos midnight
+    if (at > Date.now()) return res.status(400).json({ error: `${month} has not started yet` });
+
+    let q = db.collection('users').orderBy(admin.firestore.FieldPath.documentId()).limit(limit);
+    if (startAfter) q = q.startAfter(startAfter);
+    const userDocs = (await q.get()).docs;
+
+    let saved = 0;
+    for (const d of userDocs) {
+      const account = LEDGER_ACCOUNTS.wallet(d.id);
+      const ref     = db.collection('ledger_checkpoints').doc(`${account}:${month}`);
+      if ((await ref.get()).exists) continue;
+
+      const base    = await latestCheckpoint(account, at - 1);
+      const entries = await db.collection('ledger_entries')
+        .where('accounts', 'array-contains', account)
+        .where('createdAt', '>=', admin.firestore.Timestamp.fromMillis(base.at))
+        .where('createdAt', '<', admin.firestore.Timestamp.fromMillis(at))
+        .get();
+      if (entries.empty && !base.at) continue;
+
+      const balanceKobo = entries.docs.reduce((sum, e) => sum + accountMovement(e.data(), account), base.balanceKobo);
+      await ref.set({ account, at, balanceKobo, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+      saved += 1;
+    }
+
+    const nextCursor = userDocs.length === limit ? userDocs[userDocs.length - 1].id : null;
+    await recordAdminAction(req, {
+      action: 'ledger.checkpoints', targetType: 'users',
+      details: { month, checked: userDocs.length, saved, startAfter: startAfter || null },
+    });
+    res.json({ success: true, month, checked: userDocs.length, saved, nextCursor });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch banks' });
+    log.error('❌ Ledger Checkpoint Error', { error });
+    res.status(500).json({ error: 'Checkpointing failed', message: error.message });
   }
 });
 
 // ============================================
-// MONNIFY VAS — Bills Payment
-// ⚠️  Email integration-support@monnify.com to activate first!
+// ADMIN — USERS
+// Support tooling: find a user, inspect their wallet, freeze the account and
+// post manual adjustments.  Every change is written to the audit log in the
+// same transaction as the change itself.
 // ============================================
+const ADJUSTMENT_DIRECTIONS = ['credit', 'debit'];
+
+// Admin view of a `users` doc; the push token and other device fields stay out.
+const adminUserView = (doc) => {
+  const u = doc.data();
+  return {
+    id:          doc.id,
+    fullName:    displayName(u),
+    email:       u.email || null,
+    phoneNumber: u.phoneNumber || null,
+    role:        u.role || 'user',
+    balance:     toNaira(koboOf(u, 'balance')),
+    kycTier:     userTier(u),
+    frozen:      Boolean(u.frozen),
+    createdAt:   isoTime(u.createdAt),
+  };
+};
 
-app.get('/api/vas/billers', async (req, res) => {
-  const { category_code } = req.query;
+// `q` is matched as an email or phone number when it looks like one, and as
+// a user ID or name prefix otherwise.  Without `q`, users page by document ID.
+app.get('/api/admin/users', requireAuth, requireRole('admin'), validate({
+  query: {
+    q:      { type: 'string', max: 100 },
+    cursor: PAGE_QUERY.cursor,
+    limit:  { type: 'int', min: 1, max: 100, default: 20 },
+  },
+}), async (req, res) => {
   try {
-    const token = await getMonnifyToken();
-    const qs    = category_code ? `?category_code=${category_code}&size=50` : '?size=50';
-    const r     = await axios.get(
-      `${MONNIFY_BASE_URL}/api/v1/vas/bills-payment/billers${qs}`,
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
-    res.json({ status: true, data: r.data.responseBody });
+    const { q = '', cursor, limit } = req.valid.query;
+    const users = db.collection('users');
+
+    let docs;
+    if (!q) {
+      let query = users.orderBy(admin.firestore.FieldPath.documentId()).limit(limit);
+      if (cursor) query = query.startAfter(cursor);
+      docs = (await query.get()).docs;
+      return res.json({
+        success:    true,
+        users:      docs.map(adminUserView),
+        nextCursor: docs.length === limit ? docs[docs.length - 1].id : null,
+      });
+    }
+
+    const prefix = (field, value) =>
+      users.where(field, '>=', value).where(field, '<', `${value}`).limit(limit).get();
+    if (q.includes('@'))
+      docs = (await prefix('email', q.toLowerCase())).docs;
+    else if (/^\+?[\d\s-]{10,16}$/.test(q))
+      docs = (await users.where('phoneNumber', 'in', phoneVariants(q)).limit(limit).get()).docs;
+    else {
+      const [byId, byName] = await Promise.all([users.doc(q).get(), prefix('fullName', q)]);
+      docs = [...(byId.exists ? [byId] : []), ...byName.docs.filter(d => d.id !== q)];
+    }
+    res.json({ success: true, users: docs.slice(0, limit).map(adminUserView), nextCursor: null });
   } catch (error) {
-    console.error('❌ VAS Billers Error:', error.response?.data || error.message);
-    res.status(500).json({
-      error:   'Failed to fetch billers',
-      message: error.response?.data?.responseMessage || error.message,
-    });
+    log.error('❌ Admin User Search Error', { error });
+    res.status(500).json({ error: 'Failed to search users' });
   }
 });
 
-app.get('/api/vas/products', async (req, res) => {
-  const { biller_code, category_code } = req.query;
-  if (!biller_code) return res.status(400).json({ error: 'biller_code required' });
+app.get('/api/admin/users/:id', requireAuth, requireRole('admin'), validate({ params: ID_PARAM }), async (req, res) => {
   try {
-    const token = await getMonnifyToken();
-    const r = await axios.get(
-      `${MONNIFY_BASE_URL}/api/v1/vas/bills-payment/biller-products?biller_code=${biller_code}&size=100`,
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
-    let products = r.data.responseBody?.content || [];
-    if (category_code)
-      products = products.filter(p => p.categories?.some(c => c.code === category_code));
-    res.json({ status: true, data: products });
-  } catch (error) {
-    console.error('❌ VAS Products Error:', error.response?.data || error.message);
-    res.status(500).json({
-      error:   'Failed to fetch products',
-      message: error.response?.data?.responseMessage || error.message,
+    const userId = req.params.id;
+    const [doc, secret, journal] = await Promise.all([
+      db.collection('users').doc(userId).get(),
+      db.collection('user_secrets').doc(userId).get(),
+      journalWalletBalance(userId),
+    ]);
+    if (!doc.exists) return res.status(404).json({ error: 'User not found' });
+
+    const u           = doc.data();
+    const lockedUntil = secret.data()?.pinLockedUntil?.toMillis() || 0;
+    res.json({
+      success: true,
+      user: {
+        ...adminUserView(doc),
+        journalBalance: toNaira(journal.balanceKobo),
+        limits:         tierLimitsView(userTier(u)),
+        frozenReason:   u.frozenReason || null,
+        frozenAt:       isoTime(u.frozenAt),
+        frozenBy:       u.frozenBy || null,
+        pin: {
+          set:         Boolean(secret.data()?.pinHash),
+          lockedUntil: lockedUntil > Date.now() ? new Date(lockedUntil).toISOString() : null,
+        },
+      },
     });
+  } catch (error) {
+    log.error('❌ Admin User Error', { error });
+    res.status(500).json({ error: 'Failed to fetch user' });
   }
 });
 
-app.post('/api/vas/validate', async (req, res) => {
-  const { productCode, customerId } = req.body;
-  if (!productCode || !customerId)
-    return res.status(400).json({ error: 'productCode and customerId required' });
+// Same filters as /api/wallet/statement.
+app.get('/api/admin/users/:id/transactions', requireAuth, requireRole('admin'), validate({
+  params: ID_PARAM,
+  query:  STATEMENT_QUERY,
+}), async (req, res) => {
   try {
-    const token = await getMonnifyToken();
-    const r = await axios.post(
-      `${MONNIFY_BASE_URL}/api/v1/vas/bills-payment/validate-customer`,
-      { productCode, customerId },
-      { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
-    );
-    if (!r.data.requestSuccessful)
-      return res.json({ status: false, message: r.data.responseMessage });
-    res.json({ status: true, data: r.data.responseBody });
+    const page = await listUserTransactions(req.params.id, req.valid.query);
+    if (page.error) return res.status(400).json({ error: page.error });
+    res.json({ success: true, transactions: page.data, nextCursor: page.nextCursor });
   } catch (error) {
-    console.error('❌ VAS Validate Error:', error.response?.data || error.message);
-    res.status(500).json({
-      error:   'Customer validation failed',
-      message: error.response?.data?.responseMessage || error.message,
-    });
+    log.error('❌ Admin User Transactions Error', { error });
+    res.status(500).json({ error: 'Failed to fetch transactions' });
   }
 });
 
-app.post('/api/vas/vend', async (req, res) => {
-  const {
-    userId, productCode, customerId, amount,
-    phoneNumber, emailAddress, validationReference, description,
-  } = req.body;
-
-  if (!productCode || !customerId || !amount)
-    return res.status(400).json({ error: 'productCode, customerId, amount required' });
+// A frozen account keeps its balance and can still be funded; transfers,
+// vends and P2P sends are refused (see assertNotFrozen).
+const REASON_FIELD = { type: 'string', max: 500, required: true };
 
-  const reference      = `VAS-${Date.now()}-${Math.random().toString(36).substring(2, 6).toUpperCase()}`;
-  const userRef        = userId ? db.collection('users').doc(userId) : null;
-  let   balanceDebited = false;
+const setFrozen = (frozen) => async (req, res) => {
+  const { reason } = req.valid.body;
 
+  const userId  = req.params.id;
+  const userRef = db.collection('users').doc(userId);
   try {
-    if (userRef) {
-      await db.runTransaction(async (t) => {
-        const snap = await t.get(userRef);
-        if (!snap.exists) throw new Error('User not found');
-        if ((snap.data().balance || 0) < amount) throw new Error('Insufficient balance');
-        t.update(userRef, { balance: admin.firestore.FieldValue.increment(-amount) });
-      });
-      balanceDebited = true;
-    }
+    await db.runTransaction(async (t) => {
+      const snap = await t.get(userRef);
+      if (!snap.exists) throw new RiskError('USER_NOT_FOUND', 'User not found', { status: 404 });
+      if (Boolean(snap.data().frozen) === frozen)
+        throw new RiskError(frozen ? 'ALREADY_FROZEN' : 'NOT_FROZEN',
+          frozen ? 'Account is already frozen' : 'Account is not frozen', { status: 409 });
+      t.update(userRef, frozen
+        ? {
+            frozen:       true,
+            frozenReason: reason,
+            frozenAt:     admin.firestore.FieldValue.serverTimestamp(),
+            frozenBy:     req.user.uid,
+          }
+        : { frozen: false, frozenReason: null, frozenAt: null, frozenBy: null });
+      recordAdminAction(req, {
+        action: frozen ? 'user.freeze' : 'user.unfreeze', targetType: 'user', targetId: userId, reason,
+      }, t);
+    });
 
-    const token   = await getMonnifyToken();
-    const payload = {
-      productCode, customerId, amount, reference,
-      phoneNumber: phoneNumber || customerId,
-      ...(emailAddress        ? { emailAddress }        : {}),
-      ...(validationReference ? { validationReference } : {}),
-    };
+    log.info(`🧊 ${userId} ${frozen ? 'frozen' : 'unfrozen'} by ${req.user.uid}: ${reason}`);
+    res.json({ success: true, userId, frozen });
+  } catch (error) {
+    if (respondRiskRejection(res, error)) return;
+    log.error('❌ Admin Freeze Error', { error });
+    res.status(500).json({ error: 'Failed to update account' });
+  }
+};
 
-    const r = await axios.post(
-      `${MONNIFY_BASE_URL}/api/v1/vas/bills-payment/vend`,
-      payload,
-      { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
-    );
+const FREEZE_SCHEMA = { params: ID_PARAM, body: { reason: REASON_FIELD } };
 
-    if (!r.data.requestSuccessful || r.data.responseBody?.vendStatus === 'FAILED')
-      throw new Error(r.data.responseMessage || 'Vend failed');
+app.post('/api/admin/users/:id/freeze',   requireAuth, requireRole('admin'), validate(FREEZE_SCHEMA), setFrozen(true));
+app.post('/api/admin/users/:id/unfreeze', requireAuth, requireRole('admin'), validate(FREEZE_SCHEMA), setFrozen(false));
 
-    const vend = r.data.responseBody;
+// Manual credit or debit against the `manual_adjustments` ledger account.  The
+// only sanctioned way to change a balance by hand — never edit `users.balance`.
+// Idempotent, so a retried submit with the same Idempotency-Key posts once.
+app.post('/api/admin/users/:id/adjustments', requireAuth, requireRole('admin'), validate({
+  params: ID_PARAM,
+  body:   {
+    direction:   { type: 'enum', values: ADJUSTMENT_DIRECTIONS, required: true },
+    amount:      { type: 'money', operation: 'adjustment', required: true },
+    reason:      REASON_FIELD,
+    description: { type: 'string', max: 100 },
+  },
+}), idempotent, async (req, res) => {
+  const { direction, amount: amountKobo, reason, description } = req.valid.body;
+  const amount = toNaira(amountKobo);
 
-    if (userId) {
-      await db.collection('users').doc(userId).collection('transactions').add({
+  const userId    = req.params.id;
+  const userRef   = db.collection('users').doc(userId);
+  const reference = `ADJ-${Date.now()}-${Math.random().toString(36).substring(2, 6).toUpperCase()}`;
+  const label     = description || (direction === 'credit' ? 'Balance adjustment (credit)' : 'Balance adjustment (debit)');
+  const wallet    = LEDGER_ACCOUNTS.wallet(userId);
+  try {
+    const balance = await db.runTransaction(async (t) => {
+      const snap = await t.get(userRef);
+      if (!snap.exists) throw new RiskError('USER_NOT_FOUND', 'User not found', { status: 404 });
+      const current = koboOf(snap.data(), 'balance');
+      if (direction === 'debit' && current < amountKobo)
+        throw new RiskError('INSUFFICIENT_BALANCE', 'Debit exceeds the wallet balance', { status: 400, balance: toNaira(current) });
+
+      postJournalEntry(t, {
+        id:          `${reference}:adjustment`,
         reference,
-        vendReference: vend.vendReference || reference,
-        productCode,
-        productName:   vend.productName || description || productCode,
-        customerId,
+        description: label,
+        category:    'adjustment',
+        legs: direction === 'credit'
+          ? [
+              { account: LEDGER_ACCOUNTS.adjustments, direction: 'debit',  amountKobo },
+              { account: wallet,                      direction: 'credit', amountKobo },
+            ]
+          : [
+              { account: wallet,                      direction: 'debit',  amountKobo },
+              { account: LEDGER_ACCOUNTS.adjustments, direction: 'credit', amountKobo },
+            ],
+        meta: { postedBy: req.user.uid, reason },
+      });
+      t.set(userRef.collection('transactions').doc(reference), {
+        reference,
+        description: label,
+        type:        direction,
+        category:    'adjustment',
         amount,
-        type:     'debit',
-        category: 'vas',
-        status:   vend.vendStatus === 'SUCCESS' ? 'success' : 'processing',
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        amountKobo,
+        status:      'success',
+        createdAt:   admin.firestore.FieldValue.serverTimestamp(),
       });
-    }
+      recordAdminAction(req, {
+        action:     `user.adjustment.${direction}`,
+        targetType: 'user',
+        targetId:   userId,
+        reason,
+        details:    { reference, amount, balanceBefore: toNaira(current) },
+      }, t);
+      return toNaira(direction === 'credit' ? current + amountKobo : current - amountKobo);
+    });
 
-    console.log(`✅ VAS: ${vend.productName} → ${customerId} [${vend.vendStatus}]`);
-    res.json({ status: true, data: vend });
+    log.info(`🛠️ Adjustment ${reference}: ${direction} ₦${amount} on ${userId} by ${req.user.uid}`);
+    res.status(201).json({ success: true, reference, userId, direction, amount, balance });
   } catch (error) {
-    console.error('❌ VAS Vend Error:', error.response?.data || error.message);
-    if (balanceDebited && userRef) {
-      try {
-        await userRef.update({ balance: admin.firestore.FieldValue.increment(amount) });
-        console.log(`↩️ VAS reversed ₦${amount}`);
-      } catch (e) {
-        console.error('❌ CRITICAL: VAS reversal failed:', e.message);
-      }
+    if (respondRiskRejection(res, error)) return;
+    log.error('❌ Admin Adjustment Error', { error });
+    res.status(500).json({ error: 'Adjustment failed' });
+  }
+});
+
+// ============================================
+// ADMIN — KYC REVIEW
+// Decisions only apply to `pending` submissions and are written together with
+// the user's `kycTier`/`kycStatus` and the audit entry.
+// ============================================
+
+// Short-lived signed links for the (authenticated) document uploads.
+const signedAssetUrl = (asset) => cloudinary.url(asset.publicId, {
+  resource_type: asset.resourceType,
+  type:          asset.deliveryType,
+  format:        asset.format,
+  sign_url:      true,
+  secure:        true,
+});
+
+app.get('/api/admin/kyc/submissions', requireAuth, requireRole('admin'), validate({
+  query: {
+    status: { type: 'enum', values: [KYC_OPEN_STATUS, 'approved', 'rejected', 'resubmission_required'] },
+    userId: { type: 'reference' },
+    cursor: PAGE_QUERY.cursor,
+    limit:  { type: 'int', min: 1, max: 100, default: 20 },
+  },
+}), async (req, res) => {
+  try {
+    const { status, userId, cursor, limit } = req.valid.query;
+    const col = db.collection('kyc_submissions');
+    let q = col;
+    if (status) q = q.where('status', '==', status);
+    if (userId) q = q.where('userId', '==', userId);
+    q = q.orderBy('createdAt', status === KYC_OPEN_STATUS ? 'asc' : 'desc').limit(limit);
+    if (cursor) {
+      const after = await col.doc(cursor).get();
+      if (after.exists) q = q.startAfter(after);
     }
-    res.status(400).json({ error: error.response?.data?.responseMessage || error.message });
+    const snap = await q.get();
+    res.json({
+      success:     true,
+      submissions: snap.docs.map(kycSubmissionView),
+      nextCursor:  snap.size === limit ? snap.docs[snap.size - 1].id : null,
+    });
+  } catch (error) {
+    log.error('❌ KYC Review List Error', { error });
+    res.status(500).json({ error: 'Failed to fetch submissions' });
   }
 });
 
-app.get('/api/vas/requery', async (req, res) => {
-  const { reference } = req.query;
-  if (!reference) return res.status(400).json({ error: 'reference required' });
+app.get('/api/admin/kyc/submissions/:id', requireAuth, requireRole('admin'), validate({ params: ID_PARAM }), async (req, res) => {
   try {
-    const token = await getMonnifyToken();
-    const r = await axios.get(
-      `${MONNIFY_BASE_URL}/api/v1/vas/bills-payment/requery?reference=${reference}`,
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
-    res.json({ status: true, data: r.data.responseBody });
+    const doc = await db.collection('kyc_submissions').doc(req.params.id).get();
+    if (!doc.exists) return res.status(404).json({ error: 'Submission not found' });
+    const assets = await Promise.all(doc.data().documents.map(d => db.collection('media_assets').doc(d.assetId).get()));
+    res.json({
+      success:    true,
+      submission: {
+        ...kycSubmissionView(doc),
+        documents: doc.data().documents.map((d, i) => ({
+          ...d, url: assets[i].exists ? signedAssetUrl(assets[i].data()) : null,
+        })),
+      },
+    });
   } catch (error) {
-    console.error('❌ VAS Requery Error:', error.response?.data || error.message);
-    res.status(500).json({ error: 'Requery failed' });
+    log.error('❌ KYC Review Error', { error });
+    res.status(500).json({ error: 'Failed to fetch submission' });
+  }
+});
+
+// decide(req, submission, user) → the fields to set, or { error } to refuse.
+const kycDecision = (status, decide) => async (req, res) => {
+  const ref = db.collection('kyc_submissions').doc(req.params.id);
+  try {
+    const result = await db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists) return { status: 404, error: 'Submission not found' };
+      const submission = snap.data();
+      if (submission.status !== KYC_OPEN_STATUS)
+        return { status: 409, error: `Submission is already ${submission.status}` };
+      const userSnap = await t.get(db.collection('users').doc(submission.userId));
+      if (!userSnap.exists) return { status: 404, error: 'User not found' };
+      const fields   = decide(req, submission, userSnap.data());
+      if (fields.error) return { status: 400, error: fields.error };
+
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      t.update(ref, { ...fields, status, reviewedBy: req.user.uid, reviewedAt: now, updatedAt: now });
+      t.update(db.collection('users').doc(submission.userId), {
+        kycStatus: status,
+        ...(status === 'approved' ? { kycTier: fields.approvedTier } : {}),
+      });
+      recordAdminAction(req, {
+        action:     `kyc.${status}`,
+        targetType: 'kyc_submission',
+        targetId:   ref.id,
+        reason:     fields.reason || fields.note || null,
+        details:    { userId: submission.userId, requestedTier: submission.tier, approvedTier: fields.approvedTier ?? null },
+      }, t);
+      return { submission, fields };
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    const { submission, fields } = result;
+    log.info(`🪪 KYC ${ref.id} ${status} by ${req.user.uid}`);
+    emitWalletEvent(`kyc.${status}`, submission.userId, { tier: fields.approvedTier ?? submission.tier, reason: fields.reason });
+    res.json({ success: true, submission: kycSubmissionView(await ref.get()) });
+  } catch (error) {
+    log.error('❌ KYC Decision Error', { error });
+    res.status(500).json({ error: 'Failed to update submission' });
   }
+};
+
+// `tier` defaults to the tier requested; an admin may approve a lower one, but
+// never one at or below the user's current tier — that would downgrade them.
+app.post('/api/admin/kyc/submissions/:id/approve', requireAuth, requireRole('admin'), validate({
+  params: ID_PARAM,
+  body:   { tier: { type: 'int', min: 1, max: 3 }, note: { type: 'string', max: 500 } },
+}), kycDecision('approved', (req, submission, user) => {
+  const { tier = submission.tier, note = null } = req.valid.body;
+  if (tier > submission.tier) return { error: `tier must be between 1 and ${submission.tier}` };
+  if (tier <= userTier(user))
+    return { error: `User is already on tier ${userTier(user)}; reject the submission instead` };
+  return { approvedTier: tier, note };
+}));
+
+const KYC_REASON_SCHEMA = { params: ID_PARAM, body: { reason: REASON_FIELD } };
+
+app.post('/api/admin/kyc/submissions/:id/reject', requireAuth, requireRole('admin'), validate(KYC_REASON_SCHEMA),
+  kycDecision('rejected', (req) => ({ reason: req.valid.body.reason })));
+
+// Asks the user to submit again, e.g. with a clearer photo of their ID.
+app.post('/api/admin/kyc/submissions/:id/request-resubmission', requireAuth, requireRole('admin'), validate(KYC_REASON_SCHEMA),
+  kycDecision('resubmission_required', (req) => ({ reason: req.valid.body.reason })));
+
+// ============================================
+// ADMIN — CONFIG
+// The settings this instance booted with, secrets redacted.
+// ============================================
+app.get('/api/admin/config', requireAuth, requireRole('admin'), validate(), (req, res) => {
+  res.json({
+    success:     true,
+    environment: config.env,
+    config:      configView(),
+    warnings:    configWarnings,
+  });
 });
 
 // ============================================
-// PUSH NOTIFICATIONS
+// ADMIN — RATE LIMIT OFFENDERS
+// Subjects (`user:<uid>` or `ip:<address>`) that have been throttled, most
+// recent first; `status` filters by watching | flagged | reviewed.  Reviewing
+// clears the window count, so a reviewed subject is flagged again only after
+// RATE_LIMIT_FLAG_WINDOWS more throttled windows.
 // ============================================
-app.post('/api/notifications/broadcast', async (req, res) => {
+const OFFENDER_STATUSES = ['watching', 'flagged', 'reviewed'];
+
+app.get('/api/admin/rate-limits/offenders', requireAuth, requireRole('admin'), validate({
+  query: {
+    status: { type: 'enum', values: OFFENDER_STATUSES },
+    cursor: PAGE_QUERY.cursor,
+    limit:  { ...PAGE_QUERY.limit, default: 50 },
+  },
+}), async (req, res) => {
   try {
-    const { title, body, type, data } = req.body;
-    if (!title || !body) return res.status(400).json({ error: 'Title and Body required' });
-    const snap = await db.collection('users').where('expoPushToken', '!=', null).get();
-    if (snap.empty) return res.json({ success: true, sentCount: 0 });
-    const messages = snap.docs.map(d => ({
-      to:    d.data().expoPushToken,
-      sound: 'default',
-      title, body,
-      data:  { ...data, type: type || 'admin_notification', sentAt: new Date().toISOString() },
-    }));
-    const chunks = [];
-    const copy   = [...messages];
-    while (copy.length) chunks.push(copy.splice(0, 100));
-    await Promise.all(chunks.map(c =>
-      axios.post('https://exp.host/--/api/v2/push/send', c, {
-        headers: { 'Content-Type': 'application/json', Accept: 'application/json', 'Accept-encoding': 'gzip, deflate' },
-      })
-    ));
-    res.json({ success: true, sentCount: snap.size });
-  } catch (e) {
-    res.status(500).json({ error: 'Failed to broadcast' });
+    const { status, cursor, limit } = req.valid.query;
+
+    const offenders = db.collection('rate_limit_offenders');
+    let q = status ? offenders.where('status', '==', status) : offenders;
+    q = q.orderBy('lastThrottledAt', 'desc').limit(limit);
+    if (cursor) {
+      const after = await offenders.doc(cursor).get();
+      if (!after.exists) return res.status(400).json({ error: 'Invalid cursor' });
+      q = q.startAfter(after);
+    }
+
+    const snap = await q.get();
+    res.json({
+      success:    true,
+      policies:   RATE_LIMIT_POLICIES,
+      offenders:  snap.docs.map(d => {
+        const data = d.data();
+        return {
+          id: d.id,
+          ...data,
+          firstThrottledAt: isoTime(data.firstThrottledAt),
+          lastThrottledAt:  isoTime(data.lastThrottledAt),
+          flaggedAt:        isoTime(data.flaggedAt),
+          reviewedAt:       isoTime(data.reviewedAt),
+        };
+      }),
+      nextCursor: snap.size === limit ? snap.docs[snap.size - 1].id : null,
+    });
+  } catch (error) {
+    log.error('❌ Rate Limit Offenders Error', { error });
+    res.status(500).json({ error: 'Failed to fetch rate-limit offenders' });
   }
 });
 
-app.post('/api/notifications/send-to-user', async (req, res) => {
+app.post('/api/admin/rate-limits/offenders/:id/review', requireAuth, requireRole('admin'), validate({
+  params: ID_PARAM,
+  body:   { note: { type: 'string', max: 500, required: true } },
+}), async (req, res) => {
+  const { note } = req.valid.body;
+
+  const ref = db.collection('rate_limit_offenders').doc(req.params.id);
   try {
-    const { userId, notification } = req.body;
-    if (!userId || !notification) return res.status(400).json({ error: 'Missing params' });
-    const d = await db.collection('users').doc(userId).get();
-    if (!d.exists) return res.status(404).json({ error: 'User not found' });
-    const tok = d.data().expoPushToken;
-    if (!tok) return res.json({ success: true, sentCount: 0 });
-    await axios.post(
-      'https://exp.host/--/api/v2/push/send',
-      { to: tok, sound: 'default', title: notification.title, body: notification.body, data: notification.data ?? {} },
-      { headers: { 'Content-Type': 'application/json', Accept: 'application/json' } }
-    );
-    res.json({ success: true, sentCount: 1 });
-  } catch (e) {
-    res.status(500).json({ error: 'Failed to send notification' });
+    const previous = await db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists) return null;
+      const { status, throttledWindows } = snap.data();
+      t.update(ref, {
+        status:           'reviewed',
+        throttledWindows: 0,
+        reviewNote:       note,
+        reviewedBy:       req.user.uid,
+        reviewedAt:       admin.firestore.FieldValue.serverTimestamp(),
+      });
+      recordAdminAction(req, {
+        action:     'rate_limit.offender_review',
+        targetType: 'rate_limit_offender',
+        targetId:   ref.id,
+        reason:     note,
+        details:    { previousStatus: status, throttledWindows },
+      }, t);
+      return { status, throttledWindows };
+    });
+    if (!previous) return res.status(404).json({ error: 'Offender not found' });
+
+    log.info(`✅ Rate-limit offender ${ref.id} reviewed by ${req.user.uid}`);
+    res.json({ success: true, id: ref.id, status: 'reviewed', previousStatus: previous.status });
+  } catch (error) {
+    log.error('❌ Rate Limit Review Error', { error });
+    res.status(500).json({ error: 'Failed to review offender' });
   }
 });
 
-app.post('/api/notifications/send', async (req, res) => {
+// ============================================
+// ADMIN — AUDIT LOG
+// Newest first.  Filter by `actorId`, `targetId`, `action` and a `from`/`to`
+// date range (YYYY-MM-DD, Lagos time); page with `cursor`.
+// ============================================
+app.get('/api/admin/audit-log', requireAuth, requireRole('admin'), validate({
+  query: {
+    actorId:  { type: 'reference' },
+    targetId: { type: 'reference' },
+    action:   { type: 'string', max: 64 },
+    from:     { type: 'date' },
+    to:       { type: 'date' },
+    cursor:   PAGE_QUERY.cursor,
+    limit:    { ...PAGE_QUERY.limit, default: 50 },
+  },
+}), async (req, res) => {
   try {
-    const { filters, notification } = req.body;
-    if (!notification) return res.status(400).json({ error: 'Missing notification' });
-    let q = db.collection('users');
-    if (filters?.state) q = q.where('state', '==', filters.state);
-    if (filters?.city)  q = q.where('city',  '==', filters.city);
-    if (filters?.role)  q = q.where('role',  '==', filters.role);
+    const { actorId, targetId, action, from, to, cursor, limit } = req.valid.query;
+    const range = parseStatementRange(from, to);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const auditLog = db.collection('admin_audit_log');
+    let q = auditLog;
+    if (actorId)    q = q.where('actorId', '==', actorId);
+    if (targetId)   q = q.where('targetId', '==', targetId);
+    if (action)     q = q.where('action', '==', action);
+    if (range.from) q = q.where('createdAt', '>=', admin.firestore.Timestamp.fromMillis(range.from))
+                         .where('createdAt', '<',  admin.firestore.Timestamp.fromMillis(range.to));
+    q = q.orderBy('createdAt', 'desc').limit(limit);
+    if (cursor) {
+      const after = await auditLog.doc(cursor).get();
+      if (!after.exists) return res.status(400).json({ error: 'Invalid cursor' });
+      q = q.startAfter(after);
+    }
+
     const snap = await q.get();
-    const msgs = snap.docs
-      .map(d => d.data())
-      .filter(u => u.expoPushToken)
-      .map(u => ({
-        to:    u.expoPushToken,
-        sound: 'default',
-        title: notification.title,
-        body:  notification.body,
-        data:  notification.data ?? {},
-      }));
-    if (!msgs.length) return res.json({ success: true, sentCount: 0 });
-    await axios.post('https://exp.host/--/api/v2/push/send', msgs, {
-      headers: { 'Content-Type': 'application/json', Accept: 'application/json', 'Accept-encoding': 'gzip, deflate' },
+    res.json({
+      success:    true,
+      entries:    snap.docs.map(d => ({ id: d.id, ...d.data(), createdAt: isoTime(d.data().createdAt) })),
+      nextCursor: snap.size === limit ? snap.docs[snap.size - 1].id : null,
     });
-    res.json({ success: true, sentCount: msgs.length });
-  } catch (e) {
-    res.status(500).json({ error: 'Failed to send notifications' });
+  } catch (error) {
+    log.error('❌ Audit Log Error', { error });
+    res.status(500).json({ error: 'Failed to fetch audit log' });
   }
 });
 
@@ -666,11 +7225,24 @@ app.post('/api/notifications/send', async (req, res) => {
 // ============================================
 app.use((req, res) => res.status(404).json({ error: 'Route not found' }));
 app.use((err, req, res, next) => {
-  console.error('❌ Unhandled Error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+  // Body-parser rejections (oversized or malformed JSON) are the client's error.
+  if (err.type === 'entity.too.large')    return res.status(413).json({ error: 'Request body too large' });
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Malformed JSON body' });
+  log.error('❌ Unhandled Error', { error: err });
+  res.status(500).json({ error: 'Internal server error', requestId: requestContext.getStore()?.requestId });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server active on port ${PORT}`);
-  console.log(`📍 Environment: ${process.env.NODE_ENV || 'production'}`);
-});
\ No newline at end of file
+// `node server.js` serves and runs the workers; the integration tests
+// require() the app and listen on PORT themselves, without the workers.
+if (require.main === module) {
+  app.listen(PORT, () => {
+    log.info(`🚀 Server active on port ${PORT}`);
+    log.info(`📍 Environment: ${config.env}`);
+    startReconciliationWorker();
+    startAutopayWorker();
+    startVasCatalogueRefresher();
+    startPushWorker();
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,160 @@
+// Boots server.js in-process against the Monnify simulator and the Firebase
+// emulators (Firestore and Auth).  Run through `npm run test:emulators`, which
+// starts both emulators (needs the Firebase CLI and Java); the tests refuse
+// to run against anything else, since they write users, balances and journal
+// entries.
+const crypto = require('crypto');
+const net    = require('net');
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-callondemand';
+
+if (!process.env.FIRESTORE_EMULATOR_HOST || !process.env.FIREBASE_AUTH_EMULATOR_HOST)
+  throw new Error('FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST must be set — run `npm run test:emulators`');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// A throwaway service account: the emulators never check its key.
+function serviceAccount() {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength:      2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding:  { type: 'spki', format: 'pem' },
+  });
+  return JSON.stringify({
+    type:         'service_account',
+    project_id:   PROJECT_ID,
+    private_key:  privateKey,
+    client_email: `tests@${PROJECT_ID}.iam.gserviceaccount.com`,
+  });
+}
+
+// The Auth emulator accepts unsigned ID tokens.
+const b64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+function idToken(uid, claims = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return `${b64url({ alg: 'none', typ: 'JWT' })}.${b64url({
+    iss:       `https://securetoken.google.com/${PROJECT_ID}`,
+    aud:       PROJECT_ID,
+    sub:       uid,
+    user_id:   uid,
+    email:     `${uid}@test.callondemand.app`,
+    iat:       now,
+    exp:       now + 3600,
+    auth_time: now,
+    ...claims,
+  })}.`;
+}
+
+// → { api, simulator, db, adminToken, signUp, fund, balanceKobo, invariants, close }
+async function startServer() {
+  const port = await freePort();
+  Object.assign(process.env, {
+    APP_ENV:                     'development',
+    PORT:                        String(port),
+    FIREBASE_CREDENTIALS_JSON:   serviceAccount(),
+    MONNIFY_SIMULATOR:           'true',
+    MONNIFY_BASE_URL:            '',
+    MONNIFY_SIMULATOR_SETTLE_MS: String(10 * 60 * 1000),   // tests settle payouts themselves
+    PAYMENT_PROVIDER:            'monnify',
+    KYC_PROVIDER:                'stub',
+    KYC_HASH_KEY:                'test-kyc-hash-key',
+    RATE_LIMIT_ENABLED:          'false',
+    LOG_LEVEL:                   process.env.LOG_LEVEL || 'error',
+  });
+
+  const app    = require('../server.js');
+  const admin  = require('firebase-admin');
+  const db     = admin.firestore();
+  const server = await new Promise(resolve => { const s = app.listen(port, () => resolve(s)); });
+  const base   = `http://127.0.0.1:${port}`;
+
+  async function api(method, path, { token, body, headers = {} } = {}) {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let json;
+    try { json = JSON.parse(text); } catch { json = text; }
+    return { status: res.status, body: json };
+  }
+
+  const simulator = (path, body) => api('POST', `/simulator/monnify/control${path}`, { body: body || {} });
+
+  const adminToken = await (async () => {
+    const uid = `admin-${crypto.randomUUID()}`;
+    await admin.auth().createUser({ uid });
+    return idToken(uid, { role: 'admin' });
+  })();
+
+  // Creates a signed-in user with an empty wallet and a transaction PIN.
+  async function signUp({ name = 'user', kycTier = 1, pin = '1234' } = {}) {
+    const uid = `${name}-${crypto.randomUUID()}`;
+    await admin.auth().createUser({ uid });
+    await db.collection('users').doc(uid).set({
+      email:       `${uid}@test.callondemand.app`,
+      fullName:    `Test ${name}`,
+      balance:     0,
+      balanceKobo: 0,
+      kycTier,
+      createdAt:   admin.firestore.FieldValue.serverTimestamp(),
+    });
+    const token = idToken(uid);
+    const res   = await api('POST', '/api/wallet/pin', { token, body: { pin } });
+    if (res.status !== 201) throw new Error(`PIN setup failed: ${JSON.stringify(res.body)}`);
+    return { uid, token, pin };
+  }
+
+  // Funds a wallet the way a customer does: checkout, then pay on Monnify.
+  async function fund(user, amount) {
+    const init = await api('POST', '/api/monnify/initialize', {
+      token: user.token,
+      body:  { amount, email: `${user.uid}@test.callondemand.app`, reference: `FUND-${crypto.randomUUID()}` },
+    });
+    if (init.status !== 200) throw new Error(`Checkout failed: ${JSON.stringify(init.body)}`);
+    const paid = await simulator(`/transactions/${encodeURIComponent(init.body.transactionRef)}/pay`);
+    if (paid.body.webhookStatus !== 200) throw new Error(`Funding webhook answered ${paid.body.webhookStatus}`);
+    return init.body.paymentReference;
+  }
+
+  const balanceKobo = async (uid) => (await db.collection('users').doc(uid).get()).data().balanceKobo;
+
+  // Every journal entry balances, and each wallet's cached balance matches its
+  // journal.  Resolves to a list of problems (empty when all hold).
+  async function invariants(uids) {
+    const problems = [];
+    const entries  = await db.collection('ledger_entries').get();
+    for (const doc of entries.docs) {
+      const imbalance = doc.data().legs.reduce((sum, l) => sum + (l.direction === 'debit' ? l.amountKobo : -l.amountKobo), 0);
+      if (imbalance !== 0) problems.push(`${doc.id} is unbalanced by ${imbalance} kobo`);
+    }
+    for (const uid of uids) {
+      const res = await api('GET', `/api/admin/ledger/reconcile?userId=${encodeURIComponent(uid)}`, { token: adminToken });
+      if (res.status !== 200) problems.push(`reconcile ${uid} answered ${res.status}`);
+      else problems.push(...res.body.mismatches.map(m => `${uid}: cached ${m.cachedBalance}, journal ${m.journalBalance}`));
+    }
+    return problems;
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await Promise.all(admin.apps.map(a => a.delete()));
+  }
+
+  return { api, simulator, db, adminToken, signUp, fund, balanceKobo, invariants, close };
+}
+
+module.exports = { startServer };
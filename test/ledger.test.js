@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./harness');
+
+describe('ledger', () => {
+  let h;
+  before(async () => { h = await startServer(); });
+  after(() => h.close());
+
+  it('credits a funded wallet once, even when the webhook is delivered again', async () => {
+    const user = await h.signUp({ name: 'funding' });
+    await h.fund(user, 2500);
+    assert.equal(await h.balanceKobo(user.uid), 250000);
+
+    const state = await h.api('GET', '/simulator/monnify/control/state');
+    const last  = state.body.webhooks.length - 1;
+    const again = await h.simulator(`/webhooks/${last}/redeliver`);
+    assert.equal(again.body.webhookStatus, 200);
+    assert.equal(await h.balanceKobo(user.uid), 250000);
+
+    assert.deepEqual(await h.invariants([user.uid]), []);
+  });
+
+  it('keeps every wallet equal to its journal across P2P transfers and adjustments', async () => {
+    const sender    = await h.signUp({ name: 'sender' });
+    const recipient = await h.signUp({ name: 'recipient' });
+    await h.fund(sender, 1000);
+
+    const p2p = await h.api('POST', '/api/wallet/p2p', {
+      token: sender.token,
+      body:  { recipient: recipient.uid, amount: 250.5, pin: sender.pin },
+    });
+    assert.equal(p2p.status, 201, JSON.stringify(p2p.body));
+
+    const credit = await h.api('POST', `/api/admin/users/${recipient.uid}/adjustments`, {
+      token: h.adminToken,
+      body:  { direction: 'credit', amount: 10, reason: 'Goodwill credit' },
+    });
+    assert.equal(credit.status, 201, JSON.stringify(credit.body));
+    const debit = await h.api('POST', `/api/admin/users/${sender.uid}/adjustments`, {
+      token: h.adminToken,
+      body:  { direction: 'debit', amount: 0.5, reason: 'Duplicate credit' },
+    });
+    assert.equal(debit.status, 201, JSON.stringify(debit.body));
+
+    assert.equal(await h.balanceKobo(sender.uid), 100000 - 25050 - 50);
+    assert.equal(await h.balanceKobo(recipient.uid), 25050 + 1000);
+    assert.deepEqual(await h.invariants([sender.uid, recipient.uid]), []);
+  });
+
+  it('refuses a debit adjustment larger than the wallet', async () => {
+    const user = await h.signUp({ name: 'overdraw' });
+    await h.fund(user, 100);
+
+    const res = await h.api('POST', `/api/admin/users/${user.uid}/adjustments`, {
+      token: h.adminToken,
+      body:  { direction: 'debit', amount: 100.01, reason: 'Too much' },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(await h.balanceKobo(user.uid), 10000);
+    assert.deepEqual(await h.invariants([user.uid]), []);
+  });
+});
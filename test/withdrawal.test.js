@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./harness');
+
+// Simulator payout outcomes go by the account number's last digit: 0 does not
+// resolve, 8 is refused outright, 9 fails later, anything else succeeds.
+const ACCOUNT = { ok: '0123456781', unresolvable: '0123456780', refused: '0123456788', failsLater: '0123456789' };
+
+describe('withdrawals', () => {
+  let h;
+  before(async () => { h = await startServer(); });
+  after(() => h.close());
+
+  const withdraw = (user, accountNumber, amount = 300) => h.api('POST', '/api/monnify/transfer', {
+    token: user.token,
+    body:  { amount, destinationBankCode: '058', destinationAccountNumber: accountNumber, pin: user.pin },
+  });
+
+  const withdrawalsOf = async (uid) =>
+    (await h.db.collection('transactions').where('userId', '==', uid).where('category', '==', 'Withdrawal').get()).docs;
+
+  // Net kobo the journal moved into the user's wallet for one reference.
+  async function walletMovement(uid, reference) {
+    const entries = await h.db.collection('ledger_entries').where('reference', '==', reference).get();
+    return entries.docs.flatMap(d => d.data().legs)
+      .filter(l => l.account === `user_wallet:${uid}`)
+      .reduce((sum, l) => sum + (l.direction === 'credit' ? l.amountKobo : -l.amountKobo), 0);
+  }
+
+  it('debits the wallet and marks the payout successful once Monnify settles it', async () => {
+    const user = await h.signUp({ name: 'payout-ok' });
+    await h.fund(user, 1000);
+
+    const res = await withdraw(user, ACCOUNT.ok);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.data.status, 'PENDING');
+    const reference = res.body.data.reference;
+    assert.equal(await h.balanceKobo(user.uid), 70000);
+
+    const settled = await h.simulator(`/disbursements/${reference}/settle`, { status: 'SUCCESS' });
+    assert.equal(settled.body.webhookStatus, 200);
+    assert.equal((await h.db.collection('transactions').doc(reference).get()).data().status, 'success');
+    assert.equal(await h.balanceKobo(user.uid), 70000);
+    assert.deepEqual(await h.invariants([user.uid]), []);
+  });
+
+  it('reverses the debit when Monnify refuses the payout', async () => {
+    const user = await h.signUp({ name: 'payout-refused' });
+    await h.fund(user, 1000);
+
+    const res = await withdraw(user, ACCOUNT.refused);
+    assert.equal(res.status, 400, JSON.stringify(res.body));
+    assert.equal(await h.balanceKobo(user.uid), 100000);
+
+    const [txn] = await withdrawalsOf(user.uid);
+    assert.equal(txn.data().status, 'failed');
+    assert.equal(await walletMovement(user.uid, txn.id), 0);
+    assert.deepEqual(await h.invariants([user.uid]), []);
+  });
+
+  it('reverses a payout Monnify later reports failed, once however often it says so', async () => {
+    const user = await h.signUp({ name: 'payout-failed' });
+    await h.fund(user, 1000);
+
+    const res = await withdraw(user, ACCOUNT.failsLater);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    const reference = res.body.data.reference;
+
+    const settled = await h.simulator(`/disbursements/${reference}/settle`, { status: 'FAILED' });
+    assert.equal(settled.body.webhookStatus, 200);
+    assert.equal(await h.balanceKobo(user.uid), 100000);
+
+    const state = await h.api('GET', '/simulator/monnify/control/state');
+    await h.simulator(`/webhooks/${state.body.webhooks.length - 1}/redeliver`);
+    assert.equal(await h.balanceKobo(user.uid), 100000);
+    assert.equal((await h.db.collection('transactions').doc(reference).get()).data().status, 'failed');
+    assert.equal(await walletMovement(user.uid, reference), 0);
+    assert.deepEqual(await h.invariants([user.uid]), []);
+  });
+
+  it('leaves other withdrawals alone when one fails before its debit', async () => {
+    const first  = await h.signUp({ name: 'payout-first' });
+    const second = await h.signUp({ name: 'payout-second' });
+    await h.fund(first, 1000);
+    await h.fund(second, 1000);
+
+    const pending = await withdraw(first, ACCOUNT.ok);
+    assert.equal(pending.status, 200, JSON.stringify(pending.body));
+
+    const res = await withdraw(second, ACCOUNT.unresolvable);
+    assert.equal(res.status, 400, JSON.stringify(res.body));
+    assert.equal((await withdrawalsOf(second.uid)).length, 0);
+    assert.equal(await h.balanceKobo(second.uid), 100000);
+
+    const txn = await h.db.collection('transactions').doc(pending.body.data.reference).get();
+    assert.equal(txn.data().status, 'processing');
+    assert.equal(await h.balanceKobo(first.uid), 70000);
+    assert.deepEqual(await h.invariants([first.uid, second.uid]), []);
+  });
+});